@@ -1,10 +1,94 @@
 // Agent-to-Agent (A2A) Implementation
 // Specialized agent for argument analysis and critical thinking feedback
+// Analysis runs on the LLM (ANALYSIS_ENGINE=llm, the default) with the
+// `evaluator` prompt and a JSON schema; any section the model fails to
+// produce validly falls back to the keyword heuristics below.
+// Uses: ANALYSIS_ENGINE (llm | heuristic), ANALYSIS_MAX_TOKENS
+
+const {
+  ANALYSIS_SCHEMA,
+  SECTIONS,
+  validate,
+  pick,
+  parseJsonObject,
+} = require("./argument-schema");
+const RubricWeights = require("./rubric-weights");
+const { InMemoryAnalysisRepository } = require("./analysis-repo");
+const {
+  InMemoryChallengeRepository,
+  publicChallenge,
+} = require("./challenge-repo");
+const FallacyDetector = require("./fallacy-detector");
+const FeedbackAnchorer = require("./feedback-anchors");
+const ReadabilityAnalyzer = require("./readability");
+const { countTerms, hasTerm, sentences } = require("./spanish-text");
+const PromptRegistry = require("./prompt-registry");
+
+// Fallacies reported as weaknesses (feedback + micro-challenge) per analysis
+const MAX_FALLACY_WEAKNESSES = 3;
+
+// `evaluaciones` score columns (0-5) and the analysis areas behind each
+const EVALUATION_AREAS = {
+  estructura_score: ["structure", "content"],
+  evidencia_score: ["evidence"],
+  critica_score: ["reasoning", "criticalThinking"],
+  creatividad_score: ["originality"],
+};
+
+// Performance levels on the 0-5 scale (highest first)
+const PERFORMANCE_LEVELS = [
+  { min: 4.6, label: "Superior" },
+  { min: 4.0, label: "Alto" },
+  { min: 3.0, label: "Básico" },
+  { min: 0, label: "Bajo" },
+];
+
+// Levels of a micro-challenge hint ladder
+const HINT_KINDS = ["nudge", "question", "example"];
+
+// Heuristic analyzer for each section of the analysis
+const HEURISTICS = {
+  structure: "analyzeStructure",
+  content: "analyzeContent",
+  reasoning: "analyzeReasoning",
+  evidence: "analyzeEvidence",
+  criticalThinking: "analyzeCriticalThinking",
+  originality: "analyzeOriginality",
+};
+
+const LLM_INSTRUCTIONS = `FORMATO DE RESPUESTA:
+Responde únicamente con un objeto JSON (sin texto adicional) que cumpla este JSON Schema:
+${JSON.stringify(ANALYSIS_SCHEMA)}
+- Los puntajes van de 0 a 1 con dos decimales; los conteos son enteros.
+- averageSentenceLength es el promedio de caracteres por oración.
+- evidenceTypes usa solo: statistics, examples, quotes, references.
+- Evalúa el texto tal como está escrito; no inventes evidencia ni fuentes.`;
 
 class A2AAgent {
-  constructor(mcp) {
+  constructor(mcp, options = {}) {
     this.mcp = mcp;
-    this.analysisHistory = new Map();
+    // Shared LLM provider (see ./providers), defaults to the one given to MCP
+    this.llm = options.llm || mcp?.llm || null;
+    // Source of the `evaluator` system prompt (see ./prompt-registry)
+    this.promptRegistry = options.promptRegistry || new PromptRegistry(null);
+    // Per class/activity weights for the overall score (see ./rubric-weights)
+    this.rubricWeights = options.rubricWeights || null;
+    this.analysisEngine =
+      options.analysisEngine || process.env.ANALYSIS_ENGINE || "llm";
+    this.analysisMaxTokens =
+      options.analysisMaxTokens ||
+      Number(process.env.ANALYSIS_MAX_TOKENS) ||
+      1200;
+    // Analysis history for progress tracking (see ./analysis-repo)
+    this.analysisRepo =
+      options.analysisRepo || new InMemoryAnalysisRepository();
+    // Micro-challenges kept against the student's plan step (see ./challenge-repo)
+    this.challengeRepo =
+      options.challengeRepo || new InMemoryChallengeRepository();
+    this.fallacyDetector = options.fallacyDetector || new FallacyDetector();
+    this.feedbackAnchorer = options.feedbackAnchorer || new FeedbackAnchorer();
+    // Readability metrics and grade checks (see ./readability)
+    this.readability = options.readability || new ReadabilityAnalyzer();
     this.feedbackTemplates = this.initializeFeedbackTemplates();
   }
 
@@ -44,6 +128,12 @@ class A2AAgent {
           "Considera diferentes perspectivas y cuestiona las suposiciones",
         priority: "high",
       },
+      // {name}, {text}, {explanation} and {question} come from the detection
+      fallacy: {
+        message: 'Posible {name} en "{text}". {explanation}',
+        suggestion: "{question}",
+        priority: "high",
+      },
     };
   }
 
@@ -51,12 +141,12 @@ class A2AAgent {
   async analyzeArgument(studentText, context = {}) {
     try {
       // Perform comprehensive argument analysis
-      const analysis = await this.performArgumentAnalysis(studentText);
+      const analysis = await this.performArgumentAnalysis(studentText, context);
 
-      // Generate personalized feedback
-      const feedback = await this.generatePersonalizedFeedback(
-        analysis,
-        context
+      // Generate personalized feedback, anchored to the passages it is about
+      const feedback = this.feedbackAnchorer.anchor(
+        await this.generatePersonalizedFeedback(analysis, context),
+        studentText
       );
 
       // Create micro-challenges based on weaknesses
@@ -66,14 +156,22 @@ class A2AAgent {
       );
 
       // Store analysis for progress tracking
-      this.storeAnalysis(context.sessionId, analysis, feedback);
+      const analysisId = await this.storeAnalysis(
+        context,
+        analysis,
+        feedback,
+        studentText
+      );
 
       return {
+        analysisId: analysisId,
         analysis: analysis,
         feedback: feedback,
+        annotations: this.feedbackAnchorer.annotations(feedback),
         microChallenges: microChallenges,
         recommendations: this.generateRecommendations(analysis),
-        progress: this.calculateProgress(context.sessionId),
+        gradeFit: this.checkGradeFit(feedback, microChallenges, context),
+        progress: await this.calculateProgress(this.progressScope(context)),
       };
     } catch (error) {
       console.error("[A2A Agent] Error analyzing argument:", error);
@@ -82,33 +180,133 @@ class A2AAgent {
   }
 
   // Perform comprehensive argument analysis
-  async performArgumentAnalysis(text) {
-    const analysis = {
-      structure: await this.analyzeStructure(text),
-      content: await this.analyzeContent(text),
-      reasoning: await this.analyzeReasoning(text),
-      evidence: await this.analyzeEvidence(text),
-      criticalThinking: await this.analyzeCriticalThinking(text),
-      originality: await this.analyzeOriginality(text),
-      overall: {},
-    };
+  // `analysis.engine.sections` tells which engine produced each section
+  async performArgumentAnalysis(text, context = {}) {
+    const llmResult =
+      this.analysisEngine === "llm" && this.llm
+        ? await this.analyzeWithLLM(text, context)
+        : null;
+
+    const analysis = {};
+    const sections = {};
+    for (const section of SECTIONS) {
+      if (llmResult?.sections[section]) {
+        analysis[section] = llmResult.sections[section];
+        sections[section] = "llm";
+      } else {
+        analysis[section] = await this[HEURISTICS[section]](text);
+        sections[section] = "heuristic";
+      }
+    }
 
-    // Calculate overall scores
-    analysis.overall = this.calculateOverallScores(analysis);
+    // Possible fallacies with their location in the text
+    analysis.fallacies = this.fallacyDetector.detect(text);
+
+    // Readability and complexity of the text (deterministic, either engine)
+    analysis.readability = this.readability.measure(text);
+
+    // Calculate overall scores with the class/activity rubric weights
+    const { weights, source } = this.rubricWeights
+      ? await this.rubricWeights.resolve({
+          classId: context.classId,
+          activityId: context.activityId,
+        })
+      : { weights: RubricWeights.DEFAULT_WEIGHTS, source: "default" };
+    analysis.overall = this.calculateOverallScores(analysis, weights);
+    analysis.overall.weightsSource = source;
+
+    const used = new Set(Object.values(sections));
+    analysis.engine = {
+      requested: this.analysisEngine,
+      used: used.size > 1 ? "mixed" : [...used][0],
+      sections,
+      ...(llmResult && {
+        provider: llmResult.provider || null,
+        model: llmResult.model || null,
+        usage: llmResult.usage || null,
+        promptVersionId: llmResult.promptVersionId || null,
+      }),
+      ...(llmResult?.errors.length > 0 && {
+        fallbackReason: llmResult.errors.slice(0, 5).join("; "),
+      }),
+    };
 
     return analysis;
   }
 
+  // Ask the model for the analysis as JSON and keep the sections that pass
+  // the schema; never throws, failures are reported in `errors`
+  async analyzeWithLLM(text, context = {}) {
+    const empty = (errors, result = {}) => ({
+      sections: {},
+      errors,
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      promptVersionId,
+    });
+
+    let result;
+    // Template version the call ran with, stored with its usage and results
+    let promptVersionId = null;
+    try {
+      const evaluator = await this.promptRegistry.renderEvaluator(context);
+      promptVersionId = evaluator.promptVersionId;
+      result = await this.llm.chat(
+        [
+          {
+            role: "system",
+            content: `${evaluator.content}\n\n${LLM_INSTRUCTIONS}`,
+          },
+          { role: "user", content: `TEXTO DEL ESTUDIANTE:\n${text}` },
+        ],
+        { temperature: 0, maxTokens: this.analysisMaxTokens }
+      );
+    } catch (error) {
+      console.warn("[A2A Agent] LLM analysis failed:", error.message);
+      return empty([`llm error: ${error.message}`]);
+    }
+
+    // The demo responder answers with canned text, not an analysis
+    if (result.provider === "demo") {
+      return empty(["demo provider does not analyze"], result);
+    }
+
+    const data = parseJsonObject(result.content);
+    if (!data) {
+      console.warn("[A2A Agent] LLM analysis returned invalid JSON");
+      return empty(["invalid JSON"], result);
+    }
+
+    const sections = {};
+    const errors = [];
+    for (const section of SECTIONS) {
+      const schema = ANALYSIS_SCHEMA.properties[section];
+      const sectionErrors = validate(schema, data[section], section);
+      if (sectionErrors.length === 0) {
+        sections[section] = pick(schema, data[section]);
+      } else {
+        errors.push(...sectionErrors);
+      }
+    }
+    if (errors.length > 0) {
+      console.warn("[A2A Agent] LLM analysis failed schema:", errors);
+    }
+    return { ...empty(errors, result), sections };
+  }
+
   // Analyze argument structure
   async analyzeStructure(text) {
-    const sentences = text.split(/[.!?]+/).filter((s) => s.trim().length > 0);
+    const sentenceTexts = sentences(text).map(({ start, end }) =>
+      text.slice(start, end)
+    );
 
     return {
       hasIntroduction: this.detectIntroduction(text),
       hasBody: this.detectBody(text),
       hasConclusion: this.detectConclusion(text),
-      sentenceCount: sentences.length,
-      averageSentenceLength: this.calculateAverageSentenceLength(sentences),
+      sentenceCount: sentenceTexts.length,
+      averageSentenceLength: this.calculateAverageSentenceLength(sentenceTexts),
       coherence: this.assessCoherence(text),
       organization: this.assessOrganization(text),
     };
@@ -179,7 +377,26 @@ class A2AAgent {
     // Generate feedback for each weakness
     weaknesses.forEach((weakness) => {
       const template = this.feedbackTemplates[weakness.type];
-      if (template) {
+      if (template && weakness.fallacy) {
+        const fill = (text) =>
+          text.replace(/\{(\w+)\}/g, (_, key) =>
+            key === "name"
+              ? weakness.fallacy.name.toLowerCase()
+              : key === "text"
+              ? this.quoteSpan(weakness.fallacy.span)
+              : weakness.fallacy[key] ?? ""
+          );
+        feedback.push({
+          type: weakness.type,
+          fallacyType: weakness.fallacy.type,
+          message: fill(template.message),
+          suggestion: fill(template.suggestion),
+          priority: template.priority,
+          area: weakness.area,
+          score: weakness.score,
+          spans: [weakness.fallacy.span],
+        });
+      } else if (template) {
         feedback.push({
           type: weakness.type,
           message: template.message,
@@ -219,7 +436,50 @@ class A2AAgent {
       }
     });
 
-    return challenges;
+    return Promise.all(
+      challenges.map((challenge) => this.storeChallenge(context, challenge))
+    );
+  }
+
+  // Keep a challenge on the student's current plan step so it can be
+  // answered later and its hints requested one by one; challenges that
+  // cannot be stored (anonymous use, no plan, storage error) are returned
+  // with their first hint, as there is no way to request the others
+  async storeChallenge(context, challenge) {
+    let stored = null;
+    try {
+      stored = await this.challengeRepo.save({
+        studentId: context.studentId,
+        activityId: context.activityId,
+        stepId: context.stepId,
+        challenge,
+      });
+    } catch (error) {
+      console.error("[A2A Agent] Error storing challenge:", error);
+    }
+    if (stored) return publicChallenge(stored);
+    const { hints, ...rest } = challenge;
+    return { ...rest, hint: hints[0].text };
+  }
+
+  // Whether the feedback and micro-challenges we generated read at the
+  // student's grade (`context.grade`, from `cursos.grado`); null when the
+  // grade is unknown
+  checkGradeFit(feedback, microChallenges, context = {}) {
+    if (!context.grade) return null;
+    const feedbackText = this.readability.textOf(
+      feedback.map((item) => [item.message, item.suggestion])
+    );
+    const challengeText = this.readability.textOf(
+      microChallenges.map((challenge) => [challenge.prompt, challenge.hint])
+    );
+    return {
+      feedback: this.readability.checkGrade(feedbackText, context.grade),
+      microChallenges: this.readability.checkGrade(
+        challengeText,
+        context.grade
+      ),
+    };
   }
 
   // Create a specific micro-challenge
@@ -229,31 +489,75 @@ class A2AAgent {
         prompt:
           "Escribe una oración que exprese claramente tu posición principal sobre el tema",
         skill: "thesis_formation",
-        hint: "Comienza con 'Mi posición es que...' o 'Creo que...'",
+        hints: [
+          "Comienza con 'Mi posición es que...' o 'Creo que...'",
+          "Si tuvieras que responder al tema con un sí o un no, ¿qué dirías? ¿Por qué esa respuesta y no la contraria?",
+          "Ejemplo con otro tema: 'Creo que el colegio debería ofrecer más horas de deporte, porque mejora la concentración.' Ahora escribe la tuya sobre tu tema.",
+        ],
         criteria: "Debe ser una declaración clara y específica",
       },
       evidence_lacking: {
         prompt:
           "Identifica 3 datos o ejemplos específicos que respalden tu argumento",
         skill: "evidence_gathering",
-        hint: "Busca estadísticas, ejemplos concretos o casos específicos",
+        hints: [
+          "Busca estadísticas, ejemplos concretos o casos específicos",
+          "¿Qué has visto, leído o medido que haga creíble tu idea? Piensa en quién, cuándo, dónde o cuánto.",
+          "Una forma posible: '1. Según [fuente], el [número]% de... 2. En mi colegio, cuando... 3. En [noticia o libro] se cuenta que...'. Complétala con tu tema.",
+        ],
         criteria: "Deben ser relevantes y específicos al tema",
       },
       reasoning_weak: {
         prompt: "Explica cómo una de tus ideas principales se conecta con otra",
         skill: "logical_connection",
-        hint: "Usa palabras como 'por lo tanto', 'en consecuencia', 'esto demuestra'",
+        hints: [
+          "Usa palabras como 'por lo tanto', 'en consecuencia', 'esto demuestra'",
+          "Toma dos de tus ideas: ¿la primera causa, explica o demuestra la segunda? ¿Qué palabra expresa esa relación?",
+          "Ejemplo: 'Muchos estudiantes usan el celular de noche; por lo tanto, llegan cansados a clase.' Fíjate en cómo 'por lo tanto' une la causa con su consecuencia.",
+        ],
         criteria: "Debe mostrar una conexión lógica clara",
       },
       critical_thinking_low: {
         prompt:
           "Formula 2 preguntas críticas sobre el tema que no hayas considerado",
         skill: "critical_questioning",
-        hint: "Pregunta sobre suposiciones, alternativas o implicaciones",
+        hints: [
+          "Pregunta sobre suposiciones, alternativas o implicaciones",
+          "¿Qué das por sentado en tu texto? ¿Quién podría no estar de acuerdo contigo y por qué?",
+          "Ejemplos de preguntas críticas: '¿Qué pasaría si...?', '¿Ocurre igual en todos los casos o solo en algunos?', '¿Quién se beneficia y quién se perjudica con...?'. Adapta una a tu tema.",
+        ],
         criteria: "Deben ser preguntas que requieran análisis profundo",
       },
     };
 
+    // Fallacies get a challenge about the exact passage where they occur
+    if (weakness.fallacy) {
+      const { fallacy } = weakness;
+      return {
+        id: `challenge_${Date.now()}_${Math.random()
+          .toString(36)
+          .substr(2, 9)}`,
+        type: weakness.type,
+        fallacyType: fallacy.type,
+        prompt: `Relee este fragmento de tu texto: "${this.quoteSpan(
+          fallacy.span
+        )}". ${
+          fallacy.question
+        } Reescríbelo para que no dependa de esa falacia.`,
+        skill: "fallacy_detection",
+        hints: this.hintLadder([
+          fallacy.hint,
+          `¿Qué tendrías que demostrar para poder escribir "${fallacy.cue.text}"? ¿Lo has demostrado en tu texto?`,
+          fallacy.example,
+        ]),
+        criteria:
+          "Debe reformular el fragmento sin la falacia y sostener la idea con razones o evidencia",
+        span: fallacy.span,
+        priority: weakness.priority,
+        estimatedTime: "5-10 minutos",
+      };
+    }
+
     const template = challengeTemplates[weakness.type];
     if (template) {
       return {
@@ -263,7 +567,7 @@ class A2AAgent {
         type: weakness.type,
         prompt: template.prompt,
         skill: template.skill,
-        hint: template.hint,
+        hints: this.hintLadder(template.hints),
         criteria: template.criteria,
         priority: weakness.priority,
         estimatedTime: "5-10 minutos",
@@ -273,6 +577,21 @@ class A2AAgent {
     return null;
   }
 
+  // Hints from least to most help: a nudge, a guiding question and a worked
+  // partial example; students request them one level at a time
+  hintLadder(texts) {
+    return texts.map((text, i) => ({
+      level: i + 1,
+      kind: HINT_KINDS[i],
+      text,
+    }));
+  }
+
+  // Span text to quote inside a sentence (without its final punctuation)
+  quoteSpan(span) {
+    return span.text.replace(/[.!?]+$/, "");
+  }
+
   // Generate recommendations for improvement
   generateRecommendations(analysis) {
     const recommendations = [];
@@ -316,23 +635,47 @@ class A2AAgent {
     return recommendations;
   }
 
-  // Store analysis for progress tracking
-  storeAnalysis(sessionId, analysis, feedback) {
-    if (!this.analysisHistory.has(sessionId)) {
-      this.analysisHistory.set(sessionId, []);
+  // Store analysis for progress tracking; returns the stored id, or null
+  // (a storage failure only loses the history entry, never the analysis)
+  async storeAnalysis(context, analysis, feedback, text) {
+    try {
+      const record = await this.analysisRepo.save({
+        sessionId: context.sessionId,
+        studentId: context.studentId,
+        classId: context.classId,
+        activityId: context.activityId,
+        text,
+        analysis,
+        feedback,
+      });
+      return record.id;
+    } catch (error) {
+      console.error("[A2A Agent] Error storing analysis:", error);
+      return null;
     }
+  }
 
-    this.analysisHistory.get(sessionId).push({
-      timestamp: Date.now(),
-      analysis: analysis,
-      feedback: feedback,
-    });
+  // History that progress is measured on: the student's analyses (for the
+  // activity, if any) or, for anonymous use, the session's
+  progressScope(context = {}) {
+    return context.studentId
+      ? { studentId: context.studentId, activityId: context.activityId }
+      : { sessionId: context.sessionId };
   }
 
   // Calculate progress over time
-  calculateProgress(sessionId) {
-    const history = this.analysisHistory.get(sessionId);
-    if (!history || history.length < 2) {
+  // `scope` is a sessionId or { sessionId, studentId, classId, activityId,
+  // from, to } filters for the analysis history
+  async calculateProgress(scope) {
+    const filters = typeof scope === "string" ? { sessionId: scope } : scope;
+    let history;
+    try {
+      history = await this.analysisRepo.list({ ...filters, limit: 6 });
+    } catch (error) {
+      console.error("[A2A Agent] Error loading analysis history:", error);
+      history = [];
+    }
+    if (history.length < 2) {
       return { trend: "insufficient_data", improvement: 0 };
     }
 
@@ -370,9 +713,7 @@ class A2AAgent {
       "para comenzar",
       "inicialmente",
     ];
-    return introIndicators.some((indicator) =>
-      text.toLowerCase().includes(indicator)
-    );
+    return hasTerm(text, introIndicators);
   }
 
   detectBody(text) {
@@ -386,9 +727,7 @@ class A2AAgent {
       "para terminar",
       "en resumen",
     ];
-    return conclusionIndicators.some((indicator) =>
-      text.toLowerCase().includes(indicator)
-    );
+    return hasTerm(text, conclusionIndicators);
   }
 
   calculateAverageSentenceLength(sentences) {
@@ -409,9 +748,7 @@ class A2AAgent {
       "sin embargo",
       "por otro lado",
     ];
-    const count = coherenceIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    const count = countTerms(text, coherenceIndicators);
     return Math.min(count / 3, 1);
   }
 
@@ -424,9 +761,7 @@ class A2AAgent {
       "finalmente",
       "en primer lugar",
     ];
-    const count = structureIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    const count = countTerms(text, structureIndicators);
     return Math.min(count / 2, 1);
   }
 
@@ -438,9 +773,7 @@ class A2AAgent {
       "mi posición",
       "estoy convencido",
     ];
-    return thesisIndicators.some((indicator) =>
-      text.toLowerCase().includes(indicator)
-    );
+    return hasTerm(text, thesisIndicators);
   }
 
   assessThesisClarity(text) {
@@ -462,9 +795,7 @@ class A2AAgent {
       "profundizar",
       "detallar",
     ];
-    const count = depthIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    const count = countTerms(text, depthIndicators, { stem: true });
     return Math.min(count / 2, 1);
   }
 
@@ -477,9 +808,7 @@ class A2AAgent {
       "asimismo",
       "igualmente",
     ];
-    const count = breadthIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    const count = countTerms(text, breadthIndicators);
     return Math.min(count / 3, 1);
   }
 
@@ -491,9 +820,7 @@ class A2AAgent {
       "se puede concluir",
       "debido a",
     ];
-    return connectionIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    return countTerms(text, connectionIndicators);
   }
 
   assessArgumentFlow(text) {
@@ -507,18 +834,9 @@ class A2AAgent {
     return 0.7;
   }
 
+  // Number of possible fallacies (see ./fallacy-detector)
   detectFallacies(text) {
-    // Simple fallacy detection - in real implementation, use LLM
-    const fallacyIndicators = [
-      "todos",
-      "nunca",
-      "siempre",
-      "nadie",
-      "todo el mundo",
-    ];
-    return fallacyIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    return this.fallacyDetector.detect(text).length;
   }
 
   assessReasoningQuality(text) {
@@ -528,20 +846,43 @@ class A2AAgent {
   }
 
   extractEvidenceIndicators(text) {
+    // Whole words, so singular and plural are listed ("caso" is not "casa")
     const evidenceTypes = {
-      statistics: ["porcentaje", "estadística", "dato", "cifra"],
-      examples: ["ejemplo", "caso", "instancia", "muestra"],
-      quotes: ["cita", "dice", "menciona", "afirma"],
-      references: ["según", "fuente", "referencia", "estudio"],
+      statistics: [
+        "porcentaje",
+        "porcentajes",
+        "estadística",
+        "estadísticas",
+        "dato",
+        "datos",
+        "cifra",
+        "cifras",
+      ],
+      examples: [
+        "ejemplo",
+        "ejemplos",
+        "caso",
+        "casos",
+        "instancia",
+        "muestra",
+      ],
+      quotes: ["cita", "citas", "dice", "dicen", "menciona", "afirma"],
+      references: [
+        "según",
+        "fuente",
+        "fuentes",
+        "referencia",
+        "referencias",
+        "estudio",
+        "estudios",
+      ],
     };
 
     const counts = {};
     const types = [];
 
     Object.entries(evidenceTypes).forEach(([type, indicators]) => {
-      const count = indicators.reduce((sum, indicator) => {
-        return sum + (text.toLowerCase().split(indicator).length - 1);
-      }, 0);
+      const count = countTerms(text, indicators);
       if (count > 0) {
         counts[type] = count;
         types.push(type);
@@ -569,9 +910,7 @@ class A2AAgent {
       "dice que",
       "menciona",
     ];
-    const count = sourceIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    const count = countTerms(text, sourceIndicators);
     return Math.min(count / 5, 1);
   }
 
@@ -580,18 +919,17 @@ class A2AAgent {
     return 0.7;
   }
 
+  // Questions asked, plus the interrogatives in them (outside a question
+  // "que" or "como" are just connectors)
   detectQuestioning(text) {
-    const questionIndicators = [
-      "¿",
-      "por qué",
-      "cómo",
-      "qué",
-      "cuándo",
-      "dónde",
-    ];
-    return questionIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    const questionIndicators = ["por qué", "cómo", "qué", "cuándo", "dónde"];
+    return sentences(text)
+      .map(({ start, end }) => text.slice(start, end))
+      .filter((sentence) => /[¿?]/.test(sentence))
+      .reduce(
+        (sum, question) => sum + 1 + countTerms(question, questionIndicators),
+        0
+      );
   }
 
   detectAnalysis(text) {
@@ -602,9 +940,7 @@ class A2AAgent {
       "estudiar",
       "evaluar",
     ];
-    return analysisIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    return countTerms(text, analysisIndicators, { stem: true });
   }
 
   detectEvaluation(text) {
@@ -615,9 +951,7 @@ class A2AAgent {
       "considerar",
       "ponderar",
     ];
-    return evaluationIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    return countTerms(text, evaluationIndicators, { stem: true });
   }
 
   detectSynthesis(text) {
@@ -628,9 +962,7 @@ class A2AAgent {
       "unificar",
       "consolidar",
     ];
-    return synthesisIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    return countTerms(text, synthesisIndicators, { stem: true });
   }
 
   detectMetacognition(text) {
@@ -641,9 +973,7 @@ class A2AAgent {
       "meditar",
       "contemplar",
     ];
-    return metacognitionIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    return countTerms(text, metacognitionIndicators, { stem: true });
   }
 
   calculateCriticalThinkingLevel(text) {
@@ -658,10 +988,6 @@ class A2AAgent {
     return Math.min(total / 5, 1);
   }
 
-  assessSourceDependency(text) {
-    return this.assessSourceDependency(text); // Reuse existing method
-  }
-
   detectPersonalInsights(text) {
     const personalIndicators = [
       "mi experiencia",
@@ -670,9 +996,7 @@ class A2AAgent {
       "mi opinión",
       "considero",
     ];
-    return personalIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    return countTerms(text, personalIndicators);
   }
 
   detectCreativeElements(text) {
@@ -683,9 +1007,7 @@ class A2AAgent {
       "diseñar",
       "innovar",
     ];
-    return creativeIndicators.reduce((sum, indicator) => {
-      return sum + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    return countTerms(text, creativeIndicators);
   }
 
   calculateOriginalityScore(text) {
@@ -703,6 +1025,21 @@ class A2AAgent {
   identifyWeaknesses(analysis) {
     const weaknesses = [];
 
+    // One weakness per kind of fallacy, in reading order
+    const fallacyTypes = new Set();
+    for (const fallacy of analysis.fallacies || []) {
+      if (fallacyTypes.size >= MAX_FALLACY_WEAKNESSES) break;
+      if (fallacyTypes.has(fallacy.type)) continue;
+      fallacyTypes.add(fallacy.type);
+      weaknesses.push({
+        type: "fallacy",
+        area: "Falacias",
+        score: analysis.reasoning.reasoningQuality,
+        priority: "high",
+        fallacy,
+      });
+    }
+
     if (analysis.content.thesisClarity < 0.6) {
       weaknesses.push({
         type: "thesis_weak",
@@ -792,8 +1129,10 @@ class A2AAgent {
   }
 
   // Calculate overall scores
-  calculateOverallScores(analysis) {
-    return {
+  // `total` is the weighted mean of the area scores (0-1); `evaluation`
+  // holds the same result on the 0-5 scale of `evaluaciones`
+  calculateOverallScores(analysis, weights = RubricWeights.DEFAULT_WEIGHTS) {
+    const scores = {
       structure:
         (analysis.structure.coherence + analysis.structure.organization) / 2,
       content:
@@ -808,10 +1147,46 @@ class A2AAgent {
         2,
       criticalThinking: analysis.criticalThinking.overallLevel,
       originality: analysis.originality.originalityScore,
-      total: 0, // Will be calculated below
+    };
+    const total = RubricWeights.AREAS.reduce(
+      (sum, area) => sum + scores[area] * (weights[area] || 0),
+      0
+    );
+
+    return {
+      ...scores,
+      total,
+      weights,
+      evaluation: this.toEvaluationScale(scores, total, weights),
     };
   }
 
+  // Map area scores to the `evaluaciones` columns: each column is the
+  // weighted mean of its areas (plain mean if they all weigh 0), times 5
+  toEvaluationScale(scores, total, weights) {
+    const toScale = (value) => Math.round(value * 50) / 10;
+    const evaluation = {};
+    for (const [column, areas] of Object.entries(EVALUATION_AREAS)) {
+      const weightSum = areas.reduce((sum, a) => sum + (weights[a] || 0), 0);
+      const value =
+        weightSum > 0
+          ? areas.reduce((sum, a) => sum + scores[a] * (weights[a] || 0), 0) /
+            weightSum
+          : areas.reduce((sum, a) => sum + scores[a], 0) / areas.length;
+      evaluation[column] = toScale(value);
+    }
+    evaluation.rubrica_total = toScale(total);
+    evaluation.nivel_desempeno = this.performanceLevel(
+      evaluation.rubrica_total
+    );
+    return evaluation;
+  }
+
+  // Performance level label for a 0-5 score
+  performanceLevel(score) {
+    return PERFORMANCE_LEVELS.find((level) => score >= level.min).label;
+  }
+
   // Calculate average score from analysis history
   calculateAverageScore(analyses) {
     if (analyses.length === 0) return 0;
@@ -824,4 +1199,6 @@ class A2AAgent {
   }
 }
 
+A2AAgent.PERFORMANCE_LEVELS = PERFORMANCE_LEVELS;
+
 module.exports = A2AAgent;
@@ -0,0 +1,173 @@
+// Argument analysis history for progress tracking
+// Every A2A analysis is kept per student, activity and session so progress
+// trends survive restarts and are shared across server instances.
+// The analyzed text is kept too, so drafts can be compared later.
+// Two implementations of the same interface:
+//   save({ sessionId, studentId, classId, activityId, text, analysis,
+//          feedback })
+//   get(id) -> record | null
+//   list({ sessionId, studentId, classId, activityId, from, to, limit })
+//     -> records oldest first: { id, timestamp, sessionId, studentId,
+//        classId, activityId, text, analysis, feedback }
+// SupabaseAnalysisRepository stores them in `analisis_argumentos`;
+// InMemoryAnalysisRepository is used when Supabase is not configured.
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SupabaseAnalysisRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async save({
+    sessionId,
+    studentId,
+    classId,
+    activityId,
+    text,
+    analysis,
+    feedback,
+  }) {
+    const { data, error } = await this.supabase
+      .from("analisis_argumentos")
+      .insert({
+        id_sesion: sessionId || null,
+        id_estudiante: studentId || null,
+        id_clase: classId || null,
+        id_actividad: activityId || null,
+        texto: text || null,
+        analisis: analysis,
+        retroalimentacion: feedback || [],
+        puntaje_total: analysis.overall?.total ?? 0,
+        rubrica_total: analysis.overall?.evaluation?.rubrica_total ?? null,
+        motor: analysis.engine?.used || null,
+      })
+      .select()
+      .single();
+    if (error) throw new Error(`save analysis: ${error.message || error}`);
+    return this.toRecord(data);
+  }
+
+  async get(id) {
+    if (!UUID.test(String(id))) return null;
+    const { data, error } = await this.supabase
+      .from("analisis_argumentos")
+      .select("*")
+      .eq("id_analisis", id)
+      .maybeSingle();
+    if (error) throw new Error(`get analysis: ${error.message || error}`);
+    return data ? this.toRecord(data) : null;
+  }
+
+  // Latest `limit` matching analyses (all when no limit), oldest first
+  async list({
+    sessionId,
+    studentId,
+    classId,
+    activityId,
+    from,
+    to,
+    limit,
+  } = {}) {
+    let query = this.supabase
+      .from("analisis_argumentos")
+      .select("*")
+      .order("creado_en", { ascending: false });
+    if (sessionId) query = query.eq("id_sesion", sessionId);
+    if (studentId) query = query.eq("id_estudiante", studentId);
+    if (classId) query = query.eq("id_clase", classId);
+    if (activityId) query = query.eq("id_actividad", activityId);
+    if (from) query = query.gte("creado_en", new Date(from).toISOString());
+    if (to) query = query.lte("creado_en", new Date(to).toISOString());
+    if (limit) query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`list analyses: ${error.message || error}`);
+    return (data || []).map((row) => this.toRecord(row)).reverse();
+  }
+
+  toRecord(row) {
+    return {
+      id: row.id_analisis,
+      timestamp: new Date(row.creado_en).getTime(),
+      sessionId: row.id_sesion,
+      studentId: row.id_estudiante,
+      classId: row.id_clase,
+      activityId: row.id_actividad,
+      text: row.texto,
+      analysis: row.analisis,
+      feedback: row.retroalimentacion,
+    };
+  }
+}
+
+class InMemoryAnalysisRepository {
+  constructor() {
+    this.records = [];
+    this.nextId = 1;
+  }
+
+  async save({
+    sessionId,
+    studentId,
+    classId,
+    activityId,
+    text,
+    analysis,
+    feedback,
+  }) {
+    const record = {
+      id: String(this.nextId++),
+      timestamp: Date.now(),
+      sessionId: sessionId || null,
+      studentId: studentId || null,
+      classId: classId || null,
+      activityId: activityId || null,
+      text: text || null,
+      analysis,
+      feedback: feedback || [],
+    };
+    this.records.push(record);
+    return record;
+  }
+
+  async get(id) {
+    return this.records.find((r) => r.id === String(id)) || null;
+  }
+
+  async list({
+    sessionId,
+    studentId,
+    classId,
+    activityId,
+    from,
+    to,
+    limit,
+  } = {}) {
+    const fromMs = from ? new Date(from).getTime() : -Infinity;
+    const toMs = to ? new Date(to).getTime() : Infinity;
+    const matches = this.records.filter(
+      (r) =>
+        (!sessionId || r.sessionId === sessionId) &&
+        (!studentId || r.studentId === studentId) &&
+        (!classId || r.classId === classId) &&
+        (!activityId || r.activityId === activityId) &&
+        r.timestamp >= fromMs &&
+        r.timestamp <= toMs
+    );
+    return limit ? matches.slice(-limit) : matches;
+  }
+}
+
+// Supabase-backed repository when a client is available, else in memory
+function createAnalysisRepository(supabase) {
+  return supabase
+    ? new SupabaseAnalysisRepository(supabase)
+    : new InMemoryAnalysisRepository();
+}
+
+module.exports = {
+  SupabaseAnalysisRepository,
+  InMemoryAnalysisRepository,
+  createAnalysisRepository,
+};
@@ -0,0 +1,599 @@
+// Toulmin argument maps for student texts
+// Decomposes a text into claims, grounds, warrants, backing, qualifiers and
+// rebuttals as a node/edge graph, flags claims without support and evidence
+// not tied to any claim, and renders the graph as Mermaid or Graphviz DOT.
+// Like the A2A analysis, the map comes from the LLM (validated against a
+// schema) when ANALYSIS_ENGINE=llm, falling back to connector heuristics.
+
+const { validate, parseJsonObject } = require("./argument-schema");
+const { B, E, fold, cues, sentences } = require("./spanish-text");
+const PromptRegistry = require("./prompt-registry");
+
+const NODE_TYPES = [
+  "claim",
+  "grounds",
+  "warrant",
+  "backing",
+  "qualifier",
+  "rebuttal",
+];
+const RELATIONS = [
+  "supports",
+  "justifies",
+  "backs",
+  "qualifies",
+  "rebuts",
+  "restates",
+];
+
+const TYPE_LABELS = {
+  claim: "Afirmación",
+  grounds: "Datos",
+  warrant: "Garantía",
+  backing: "Respaldo",
+  qualifier: "Calificador",
+  rebuttal: "Refutación",
+};
+
+const RELATION_LABELS = {
+  supports: "apoya",
+  justifies: "justifica",
+  backs: "respalda",
+  qualifies: "matiza",
+  rebuts: "refuta",
+  restates: "reafirma",
+};
+
+const COLORS = {
+  claim: "#dbeafe",
+  grounds: "#dcfce7",
+  warrant: "#fef9c3",
+  backing: "#ffedd5",
+  qualifier: "#f3e8ff",
+  rebuttal: "#fee2e2",
+};
+
+const MAP_SCHEMA = {
+  type: "object",
+  required: ["nodes", "edges"],
+  properties: {
+    nodes: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "type", "text"],
+        properties: {
+          id: { type: "string" },
+          type: { type: "string", enum: NODE_TYPES },
+          text: { type: "string" },
+        },
+      },
+    },
+    edges: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["from", "to", "relation"],
+        properties: {
+          from: { type: "string" },
+          to: { type: "string" },
+          relation: { type: "string", enum: RELATIONS },
+        },
+      },
+    },
+  },
+};
+
+const LLM_INSTRUCTIONS = `TAREA: Descompón el texto del estudiante según el modelo de Toulmin.
+- claim: afirmaciones o tesis; grounds: datos, hechos o ejemplos; warrant: la garantía que conecta datos y afirmación; backing: respaldo de la garantía; qualifier: matices de certeza ("probablemente", "en general"); rebuttal: objeciones o excepciones.
+- Relaciones: grounds -supports-> claim, warrant -justifies-> claim, backing -backs-> warrant, qualifier -qualifies-> claim, rebuttal -rebuts-> claim, claim -supports-> claim (subtesis), claim -restates-> claim (conclusión que repite la tesis).
+- El texto de cada nodo debe copiarse literalmente del texto del estudiante. No inventes elementos que no estén escritos: si un dato no se conecta con ninguna afirmación, déjalo sin relación.
+Responde únicamente con un objeto JSON que cumpla este JSON Schema:
+${JSON.stringify(MAP_SCHEMA)}`;
+
+const CUES = {
+  rebuttal: cues([
+    "sin embargo",
+    "no obstante",
+    "aunque",
+    "a menos que",
+    "excepto",
+    "algunos (?:dirán|dicen|piensan|creen)",
+    "es cierto que",
+    "por otro lado",
+    "aun así",
+  ]),
+  backing: cues([
+    "como (?:lo )?establece",
+    "de acuerdo con (?:la|el|los|las) (?:ley|constitución|norma|teoría|principio)",
+    "según (?:la|el) (?:ley|constitución|norma|teoría|principio)",
+    "está (?:comprobado|demostrado) que",
+    "la ciencia (?:ha )?(?:demuestra|demostrado|muestra)",
+    "investigaciones",
+  ]),
+  warrant: cues([
+    "esto (?:demuestra|muestra|significa|indica|implica|prueba)",
+    "lo que (?:demuestra|muestra|significa|indica|implica)",
+    "eso (?:demuestra|muestra|significa|indica|implica)",
+    "si .{1,60} entonces",
+  ]),
+  grounds: cues([
+    "según",
+    "por ejemplo",
+    "un estudio",
+    "los datos",
+    "estadísticas?",
+    "encuesta",
+    "porcentaje",
+    "\\d+(?:[.,]\\d+)?\\s?%",
+    "\\d{2,}",
+    "en (?:mi|nuestra) experiencia",
+    "como (?:se ve|ocurre) en",
+  ]),
+  conclusion: cues([
+    "por lo tanto",
+    "en conclusión",
+    "por eso",
+    "por esto",
+    "en consecuencia",
+    "así que",
+    "finalmente",
+    "en resumen",
+  ]),
+  thesis: cues([
+    "creo que",
+    "pienso que",
+    "considero que",
+    "opino que",
+    "en mi opinión",
+    "mi (?:posición|postura|tesis)",
+    "estoy convencid[oa]",
+    "debemos",
+    "deberíamos",
+    "es necesario",
+    "es importante",
+  ]),
+  qualifier: cues(
+    [
+      "probablemente",
+      "posiblemente",
+      "quizás?",
+      "tal vez",
+      "en general",
+      "generalmente",
+      "a menudo",
+      "casi siempre",
+      "en la mayoría de (?:los )?casos",
+      "en muchos casos",
+      "puede que",
+    ],
+    "giu"
+  ),
+};
+
+// Causal connectors that split "claim porque grounds" inside a sentence
+const CAUSAL = new RegExp(
+  `,?\\s*${B}(?:porque|ya que|puesto que|debido a que|dado que|pues)${E}`,
+  "iu"
+);
+
+class ArgumentMapper {
+  constructor(options = {}) {
+    this.llm = options.llm || null;
+    this.promptRegistry = options.promptRegistry || new PromptRegistry(null);
+    this.engine = options.engine || process.env.ANALYSIS_ENGINE || "llm";
+    this.maxTokens =
+      options.maxTokens || Number(process.env.ANALYSIS_MAX_TOKENS) || 1200;
+  }
+
+  // Map of `text`: { nodes, edges, mainClaim, issues, engine }
+  // Nodes: { id, type, text, span: { start, end } | null }
+  async extract(text, context = {}) {
+    let graph = null;
+    let llmInfo = null;
+    if (this.engine === "llm" && this.llm) {
+      llmInfo = await this.extractWithLLM(text, context);
+      graph = llmInfo.graph;
+    }
+    if (!graph) graph = this.extractHeuristic(text);
+
+    const map = {
+      ...graph,
+      mainClaim: graph.mainClaim || this.findMainClaim(graph),
+      issues: this.findIssues(graph),
+    };
+    map.engine = {
+      requested: this.engine,
+      used: llmInfo?.graph ? "llm" : "heuristic",
+      ...(llmInfo && {
+        provider: llmInfo.provider || null,
+        model: llmInfo.model || null,
+        usage: llmInfo.usage || null,
+        promptVersionId: llmInfo.promptVersionId || null,
+      }),
+      ...(llmInfo?.error && { fallbackReason: llmInfo.error }),
+    };
+    return map;
+  }
+
+  // Ask the model for the graph; { graph } or { error }, never throws
+  async extractWithLLM(text, context) {
+    let result;
+    let promptVersionId = null;
+    try {
+      const evaluator = await this.promptRegistry.renderEvaluator(context);
+      promptVersionId = evaluator.promptVersionId;
+      result = await this.llm.chat(
+        [
+          {
+            role: "system",
+            content: `${evaluator.content}\n\n${LLM_INSTRUCTIONS}`,
+          },
+          { role: "user", content: `TEXTO DEL ESTUDIANTE:\n${text}` },
+        ],
+        { temperature: 0, maxTokens: this.maxTokens }
+      );
+    } catch (error) {
+      console.warn("[argument-map] LLM extraction failed:", error.message);
+      return { error: `llm error: ${error.message}` };
+    }
+    const info = {
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      promptVersionId,
+    };
+
+    // The demo responder answers with canned text, not a map
+    if (result.provider === "demo") {
+      return { ...info, error: "demo provider does not analyze" };
+    }
+    const data = parseJsonObject(result.content);
+    const errors = data ? validate(MAP_SCHEMA, data) : ["invalid JSON"];
+    if (errors.length === 0) {
+      const ids = new Set(data.nodes.map((n) => n.id));
+      if (ids.size !== data.nodes.length) errors.push("duplicate node ids");
+      for (const edge of data.edges) {
+        if (!ids.has(edge.from) || !ids.has(edge.to)) {
+          errors.push(`edge ${edge.from}->${edge.to}: unknown node`);
+        }
+      }
+    }
+    if (errors.length > 0) {
+      console.warn("[argument-map] LLM map rejected:", errors.slice(0, 5));
+      return { ...info, error: errors.slice(0, 5).join("; ") };
+    }
+
+    // Model ids are replaced by n1..nN so they are safe in Mermaid/DOT
+    const ids = new Map(data.nodes.map((n, i) => [n.id, `n${i + 1}`]));
+    const nodes = data.nodes.map((n) => ({
+      id: ids.get(n.id),
+      type: n.type,
+      text: n.text,
+      span: this.locate(text, n.text),
+    }));
+    const edges = data.edges.map(({ from, to, relation }) => ({
+      from: ids.get(from),
+      to: ids.get(to),
+      relation,
+    }));
+    return { ...info, graph: { nodes, edges } };
+  }
+
+  // Offsets of a node's text in the original (case- and accent-insensitive),
+  // or null
+  locate(text, fragment) {
+    const needle = String(fragment || "")
+      .trim()
+      .replace(/[.!?]+$/, "");
+    if (!needle) return null;
+    const start = fold(text).indexOf(fold(needle));
+    return start === -1 ? null : { start, end: start + needle.length };
+  }
+
+  // Connector-based decomposition: sentences are split at causal
+  // connectors and each clause is typed by its cues
+  extractHeuristic(text) {
+    const nodes = [];
+    const edges = [];
+    let nextId = 1;
+    const addNode = (type, start, end, extra = {}) => {
+      const node = {
+        id: `n${nextId++}`,
+        type,
+        text: text.slice(start, end),
+        span: { start, end },
+        ...extra,
+      };
+      nodes.push(node);
+      return node;
+    };
+
+    // Typed clauses in reading order
+    const clauses = [];
+    for (const sentence of this.sentences(text)) {
+      const body = text.slice(sentence.start, sentence.end);
+      const causal = body.match(CAUSAL);
+      const parts =
+        causal && causal.index > 0
+          ? [
+              { start: sentence.start, end: sentence.start + causal.index },
+              {
+                start: sentence.start + causal.index,
+                end: sentence.end,
+                causal: true,
+              },
+            ]
+          : [{ ...sentence, causal: Boolean(causal) }];
+      for (const part of parts) {
+        const clause = this.trim(text, part);
+        if (clause.end <= clause.start) continue;
+        clauses.push({
+          ...clause,
+          sentence: sentence.start,
+          type: part.causal
+            ? "grounds"
+            : this.classify(text.slice(clause.start, clause.end)),
+        });
+      }
+    }
+
+    // Without an explicit thesis the first sentence is taken as the claim
+    if (!clauses.some((c) => c.type === "claim") && clauses.length > 0) {
+      clauses[0].type = "claim";
+      clauses[0].inferred = true;
+    }
+
+    let mainClaim = null;
+    let lastClaim = null;
+    let lastWarrant = null;
+    let lastNode = null;
+    const pendingGrounds = [];
+
+    for (const clause of clauses) {
+      if (!clause.type) continue;
+      const clauseText = text.slice(clause.start, clause.end);
+      const node = addNode(clause.type, clause.start, clause.end, {
+        ...(clause.inferred && { inferred: true }),
+      });
+
+      if (clause.type === "claim") {
+        const isConclusion = CUES.conclusion.test(clauseText);
+        if (!mainClaim) {
+          mainClaim = node;
+        } else {
+          edges.push({
+            from: node.id,
+            to: mainClaim.id,
+            relation: isConclusion ? "restates" : "supports",
+          });
+        }
+        // Evidence right before a conclusion supports it
+        if (isConclusion) {
+          for (const g of pendingGrounds.splice(0)) {
+            edges.push({ from: g.id, to: node.id, relation: "supports" });
+          }
+        }
+        for (const match of clauseText.matchAll(CUES.qualifier)) {
+          const start = clause.start + match.index;
+          const qualifier = addNode(
+            "qualifier",
+            start,
+            start + match[0].length
+          );
+          edges.push({
+            from: qualifier.id,
+            to: node.id,
+            relation: "qualifies",
+          });
+        }
+        lastClaim = node;
+      } else if (clause.type === "grounds") {
+        // Same sentence as a claim, or right after a claim or its evidence
+        const target =
+          (lastNode?.type === "claim" || lastNode?.supports) && lastClaim
+            ? lastClaim
+            : null;
+        if (target) {
+          edges.push({ from: node.id, to: target.id, relation: "supports" });
+          node.supports = target.id;
+        } else {
+          pendingGrounds.push(node);
+        }
+      } else if (clause.type === "warrant") {
+        const target = lastClaim || mainClaim;
+        if (target) {
+          edges.push({ from: node.id, to: target.id, relation: "justifies" });
+        }
+        // A warrant ties the evidence before it to the claim
+        for (const g of pendingGrounds.splice(0)) {
+          if (target) {
+            edges.push({ from: g.id, to: target.id, relation: "supports" });
+          }
+        }
+        lastWarrant = node;
+      } else if (clause.type === "backing") {
+        const target = lastWarrant || mainClaim;
+        if (target) {
+          edges.push({ from: node.id, to: target.id, relation: "backs" });
+        }
+      } else if (clause.type === "rebuttal") {
+        const target = lastClaim || mainClaim;
+        if (target) {
+          edges.push({ from: node.id, to: target.id, relation: "rebuts" });
+        }
+      }
+      lastNode = node;
+    }
+
+    for (const node of nodes) delete node.supports;
+    return { nodes, edges, mainClaim: mainClaim?.id || null };
+  }
+
+  // Toulmin role of a clause from its cues (null when it has none)
+  classify(clause) {
+    if (CUES.rebuttal.test(clause)) return "rebuttal";
+    if (CUES.backing.test(clause)) return "backing";
+    if (CUES.warrant.test(clause)) return "warrant";
+    if (CUES.thesis.test(clause) || CUES.conclusion.test(clause)) {
+      return "claim";
+    }
+    if (CUES.grounds.test(clause)) return "grounds";
+    return null;
+  }
+
+  // Main claim: a claim nothing points to with supports/restates, or the first
+  findMainClaim({ nodes, edges }) {
+    const claims = nodes.filter((n) => n.type === "claim");
+    const pointing = new Set(
+      edges
+        .filter((e) => e.relation === "supports" || e.relation === "restates")
+        .map((e) => e.from)
+    );
+    return (claims.find((c) => !pointing.has(c.id)) || claims[0])?.id || null;
+  }
+
+  // Claims without supporting grounds (directly, through a warrant or a
+  // supported sub-claim) and grounds not connected to any claim
+  findIssues({ nodes, edges }) {
+    const byId = new Map(nodes.map((n) => [n.id, n]));
+    const incoming = (id) => edges.filter((e) => e.to === id);
+
+    const supported = (id, seen = new Set()) => {
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return incoming(id).some((edge) => {
+        const from = byId.get(edge.from);
+        if (!from) return false;
+        if (edge.relation === "supports" && from.type === "grounds") {
+          return true;
+        }
+        if (edge.relation === "supports" && from.type === "claim") {
+          return supported(from.id, seen);
+        }
+        // A conclusion restating the thesis shares its support, and the
+        // thesis is supported by what supports its restatement
+        if (edge.relation === "restates") return supported(from.id, seen);
+        return false;
+      });
+    };
+    const restated = (claim) =>
+      edges
+        .filter((e) => e.from === claim.id && e.relation === "restates")
+        .some((e) => supported(e.to));
+
+    const unsupportedClaims = nodes
+      .filter((n) => n.type === "claim")
+      .filter((claim) => !supported(claim.id) && !restated(claim))
+      .map((n) => n.id);
+    const danglingEvidence = nodes
+      .filter((n) => n.type === "grounds")
+      .filter(
+        (g) =>
+          !edges.some(
+            (e) =>
+              e.from === g.id &&
+              ["claim", "warrant"].includes(byId.get(e.to)?.type)
+          )
+      )
+      .map((n) => n.id);
+
+    return { unsupportedClaims, danglingEvidence };
+  }
+
+  // Sentence offsets ({ start, end }) with surrounding spaces trimmed
+  sentences(text) {
+    return sentences(text)
+      .map((span) => this.trim(text, span))
+      .filter((span) => span.end > span.start);
+  }
+
+  // Span without surrounding spaces and punctuation-only edges
+  trim(text, { start, end }) {
+    while (start < end && /[\s,;:]/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    return { start, end };
+  }
+
+  // Mermaid flowchart; unsupported claims and dangling evidence are marked
+  toMermaid(map) {
+    const label = (node) =>
+      `${TYPE_LABELS[node.type]}: ${this.shorten(node.text)}`
+        .replace(/"/g, "#quot;")
+        .replace(/[[\]{}<>]/g, " ");
+    const lines = ["flowchart BT"];
+    for (const node of map.nodes) {
+      lines.push(`  ${node.id}["${label(node)}"]`);
+    }
+    for (const edge of map.edges) {
+      lines.push(
+        `  ${edge.from} -->|${RELATION_LABELS[edge.relation]}| ${edge.to}`
+      );
+    }
+    for (const type of NODE_TYPES) {
+      lines.push(`  classDef ${type} fill:${COLORS[type]},stroke:#475569`);
+    }
+    lines.push("  classDef issue stroke:#dc2626,stroke-width:3px");
+    lines.push("  classDef dangling stroke:#dc2626,stroke-dasharray:5 5");
+    for (const type of NODE_TYPES) {
+      const ids = map.nodes.filter((n) => n.type === type).map((n) => n.id);
+      if (ids.length > 0) lines.push(`  class ${ids.join(",")} ${type}`);
+    }
+    if (map.issues.unsupportedClaims.length > 0) {
+      lines.push(`  class ${map.issues.unsupportedClaims.join(",")} issue`);
+    }
+    if (map.issues.danglingEvidence.length > 0) {
+      lines.push(`  class ${map.issues.danglingEvidence.join(",")} dangling`);
+    }
+    return lines.join("\n");
+  }
+
+  // Graphviz DOT digraph with the same marks as the Mermaid version
+  toDot(map) {
+    const quote = (value) =>
+      `"${String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`;
+    const unsupported = new Set(map.issues.unsupportedClaims);
+    const dangling = new Set(map.issues.danglingEvidence);
+    const lines = [
+      "digraph argumento {",
+      "  rankdir=BT;",
+      '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+    ];
+    for (const node of map.nodes) {
+      const attrs = [
+        `label=${quote(
+          `${TYPE_LABELS[node.type]}\n${this.shorten(node.text)}`
+        )}`,
+        `fillcolor=${quote(COLORS[node.type])}`,
+      ];
+      if (unsupported.has(node.id)) attrs.push('color="#dc2626"', "penwidth=3");
+      if (dangling.has(node.id)) {
+        attrs.push('color="#dc2626"', 'style="rounded,filled,dashed"');
+      }
+      lines.push(`  ${node.id} [${attrs.join(", ")}];`);
+    }
+    for (const edge of map.edges) {
+      lines.push(
+        `  ${edge.from} -> ${edge.to} [label=${quote(
+          RELATION_LABELS[edge.relation]
+        )}];`
+      );
+    }
+    lines.push("}");
+    return lines.join("\n");
+  }
+
+  shorten(text, max = 80) {
+    const clean = String(text).replace(/\s+/g, " ").trim();
+    return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+  }
+}
+
+ArgumentMapper.NODE_TYPES = NODE_TYPES;
+ArgumentMapper.RELATIONS = RELATIONS;
+ArgumentMapper.FORMATS = ["json", "mermaid", "dot"];
+
+module.exports = ArgumentMapper;
@@ -0,0 +1,217 @@
+// JSON schema of the A2A argument analysis
+// Describes the structure/content/reasoning/evidence/criticalThinking/
+// originality sections the heuristics produce, so an LLM can be asked for
+// the same shape and its answer checked before it is used.
+// Only the subset of JSON Schema used here is validated: type, required,
+// properties, items, enum, minimum and maximum.
+
+const SCORE = { type: "number", minimum: 0, maximum: 1 };
+const COUNT = { type: "integer", minimum: 0 };
+
+const EVIDENCE_TYPES = ["statistics", "examples", "quotes", "references"];
+
+const ANALYSIS_SCHEMA = {
+  type: "object",
+  required: [
+    "structure",
+    "content",
+    "reasoning",
+    "evidence",
+    "criticalThinking",
+    "originality",
+  ],
+  properties: {
+    structure: {
+      type: "object",
+      required: [
+        "hasIntroduction",
+        "hasBody",
+        "hasConclusion",
+        "sentenceCount",
+        "averageSentenceLength",
+        "coherence",
+        "organization",
+      ],
+      properties: {
+        hasIntroduction: { type: "boolean" },
+        hasBody: { type: "boolean" },
+        hasConclusion: { type: "boolean" },
+        sentenceCount: COUNT,
+        averageSentenceLength: { type: "number", minimum: 0 },
+        coherence: SCORE,
+        organization: SCORE,
+      },
+    },
+    content: {
+      type: "object",
+      required: [
+        "hasThesis",
+        "thesisClarity",
+        "topicRelevance",
+        "depth",
+        "breadth",
+      ],
+      properties: {
+        hasThesis: { type: "boolean" },
+        thesisClarity: SCORE,
+        topicRelevance: SCORE,
+        depth: SCORE,
+        breadth: SCORE,
+      },
+    },
+    reasoning: {
+      type: "object",
+      required: [
+        "logicalConnections",
+        "argumentFlow",
+        "consistency",
+        "fallacies",
+        "reasoningQuality",
+      ],
+      properties: {
+        logicalConnections: COUNT,
+        argumentFlow: SCORE,
+        consistency: SCORE,
+        fallacies: COUNT,
+        reasoningQuality: SCORE,
+      },
+    },
+    evidence: {
+      type: "object",
+      required: [
+        "evidenceCount",
+        "evidenceTypes",
+        "evidenceQuality",
+        "sourceDependency",
+        "evidenceRelevance",
+      ],
+      properties: {
+        evidenceCount: COUNT,
+        evidenceTypes: {
+          type: "array",
+          items: { type: "string", enum: EVIDENCE_TYPES },
+        },
+        evidenceQuality: SCORE,
+        sourceDependency: SCORE,
+        evidenceRelevance: SCORE,
+      },
+    },
+    criticalThinking: {
+      type: "object",
+      required: [
+        "questioning",
+        "analysis",
+        "evaluation",
+        "synthesis",
+        "metacognition",
+        "overallLevel",
+      ],
+      properties: {
+        questioning: COUNT,
+        analysis: COUNT,
+        evaluation: COUNT,
+        synthesis: COUNT,
+        metacognition: COUNT,
+        overallLevel: SCORE,
+      },
+    },
+    originality: {
+      type: "object",
+      required: [
+        "sourceDependency",
+        "personalInsights",
+        "creativeElements",
+        "originalityScore",
+      ],
+      properties: {
+        sourceDependency: SCORE,
+        personalInsights: COUNT,
+        creativeElements: COUNT,
+        originalityScore: SCORE,
+      },
+    },
+  },
+};
+
+const SECTIONS = ANALYSIS_SCHEMA.required;
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// Errors of `value` against `schema` ("content.depth: must be <= 1"...)
+function validate(schema, value, path = "") {
+  const at = path || "value";
+  const actual = typeOf(value);
+  const matches =
+    actual === schema.type ||
+    (schema.type === "number" && actual === "integer");
+  if (!matches) return [`${at}: expected ${schema.type}, got ${actual}`];
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, i) =>
+      errors.push(...validate(schema.items, item, `${at}[${i}]`))
+    );
+  }
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        const childPath = path ? `${path}.${key}` : key;
+        errors.push(...validate(child, value[key], childPath));
+      }
+    }
+  }
+  return errors;
+}
+
+// Copy of a valid object with only the properties declared in the schema
+function pick(schema, value) {
+  if (schema.type !== "object") return value;
+  return Object.fromEntries(
+    Object.keys(schema.properties).map((key) => [
+      key,
+      pick(schema.properties[key], value[key]),
+    ])
+  );
+}
+
+// First JSON object in a model reply (tolerates ```json fences and prose)
+function parseJsonObject(text) {
+  if (typeof text !== "string") return null;
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf("{");
+  const end = body.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+  try {
+    const data = JSON.parse(body.slice(start, end + 1));
+    return typeOf(data) === "object" ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  SECTIONS,
+  EVIDENCE_TYPES,
+  validate,
+  pick,
+  parseJsonObject,
+};
@@ -0,0 +1,352 @@
+// Micro-challenge answer evaluation
+// Grades a student's answer against the challenge's acceptance criterion
+// (`criterio_aceptacion`): { passed, score (0-1), feedback, missing, engine }.
+// With ANALYSIS_ENGINE=llm the evaluator model grades it against a schema;
+// in heuristic mode, or when the model fails, skill-specific checks decide
+// (a thesis needs a stated position, a connection needs a connector...).
+// The score is reduced by the hints the student requested before answering;
+// whether the challenge is passed depends only on the criterion.
+
+const { validate, parseJsonObject } = require("./argument-schema");
+const FallacyDetector = require("./fallacy-detector");
+const { cues, tokenize, stem, sentences } = require("./spanish-text");
+const PromptRegistry = require("./prompt-registry");
+
+const EVALUATION_SCHEMA = {
+  type: "object",
+  required: ["passed", "score", "feedback"],
+  properties: {
+    passed: { type: "boolean" },
+    score: { type: "number", minimum: 0, maximum: 1 },
+    feedback: { type: "string" },
+    missing: { type: "array", items: { type: "string" } },
+  },
+};
+
+const LLM_INSTRUCTIONS = `TAREA: Evalúa la respuesta del estudiante a un micro-reto según su criterio de aceptación.
+- passed es true solo si la respuesta cumple el criterio; score va de 0 a 1.
+- feedback: una o dos oraciones en español, dirigidas al estudiante, que reconozcan lo logrado y digan qué falta.
+- missing: lo que le falta para cumplir el criterio (vacío si lo cumple).
+- No escribas la respuesta por el estudiante.
+Responde únicamente con un objeto JSON que cumpla este JSON Schema:
+${JSON.stringify(EVALUATION_SCHEMA)}`;
+
+// Score reduction per hint level used (nudge, guiding question, example)
+const HINT_PENALTIES = [0.1, 0.15, 0.25];
+
+const POSITION = cues([
+  "creo que",
+  "pienso que",
+  "considero que",
+  "opino que",
+  "en mi opinión",
+  "mi (?:posición|postura|tesis)",
+  "estoy (?:a favor|en contra|convencid[oa])",
+  "debe(?:n|mos|ríamos)?",
+  "es (?:necesario|importante|mejor|peor)",
+]);
+const CONNECTOR = cues([
+  "por lo tanto",
+  "en consecuencia",
+  "esto demuestra",
+  "lo que (?:demuestra|significa|implica)",
+  "por eso",
+  "por esto",
+  "así que",
+  "porque",
+  "ya que",
+  "puesto que",
+  "debido a",
+  "dado que",
+  "de modo que",
+]);
+const REASON = cues([
+  "porque",
+  "ya que",
+  "según",
+  "por ejemplo",
+  "datos?",
+  "estudios?",
+  "\\d+(?:[.,]\\d+)?\\s?%?",
+]);
+
+// Moves that answer an objection instead of ignoring it
+const REBUTTAL = cues([
+  "aunque",
+  "sin embargo",
+  "pero",
+  "no obstante",
+  "si bien",
+  "es cierto que",
+  "en cambio",
+  "por el contrario",
+  "a pesar de",
+  "aun así",
+  "eso no (?:significa|quiere decir|demuestra)",
+  "no es (?:cierto|verdad) que",
+]);
+
+// What answering each kind of objection usually talks about
+// (see ./devils-advocate TYPES)
+const OBJECTION_CUES = {
+  evidence: REASON,
+  exception: cues([
+    "casos?",
+    "excepci(?:ón|ones)",
+    "mayoría",
+    "no siempre",
+    "algun[oa]s",
+    "en general",
+  ]),
+  alternative: cues([
+    "causas?",
+    "explicaci(?:ón|ones)",
+    "se debe",
+    "otra razón",
+    "en realidad",
+  ]),
+  consequence: cues([
+    "costos?",
+    "beneficios?",
+    "afecta(?:r|ría)?",
+    "vale la pena",
+    "riesgos?",
+    "ventajas?",
+  ]),
+  values: cues([
+    "valor(?:es)?",
+    "importa(?:nte)?",
+    "libertad",
+    "igualdad",
+    "seguridad",
+    "justicia",
+    "derechos?",
+  ]),
+};
+
+// Words only, without punctuation or symbols
+const words = tokenize;
+
+// Stems of the longer words of a text (short words are mostly function words)
+const contentStems = (text) =>
+  new Set(
+    words(text)
+      .filter((w) => w.folded.length >= 5)
+      .map((w) => stem(w.folded))
+  );
+
+// A rebuttal engages the objection: it talks about what that kind of
+// objection is about, or takes up at least two of its words that are not
+// just the thesis repeated
+function addressesObjection(answer, challenge) {
+  const objection = challenge.counterargument;
+  if (!objection) return true;
+  if (OBJECTION_CUES[objection.type]?.test(answer)) return true;
+  const thesis = contentStems(challenge.thesis?.text || "");
+  const own = contentStems(answer);
+  const shared = [...contentStems(objection.objection)].filter(
+    (s) => !thesis.has(s) && own.has(s)
+  );
+  return shared.length >= 2;
+}
+
+// Heuristic checks per challenge skill: [passes(answer, challenge), missing]
+const CHECKS = {
+  thesis_formation: [
+    [(a) => POSITION.test(a), "Expresa tu posición de forma explícita"],
+    [
+      (a) => words(a).length >= 8,
+      "Hazla más específica: di sobre qué y en qué sentido",
+    ],
+  ],
+  evidence_gathering: [
+    [
+      (a) => items(a).length >= 3,
+      "Presenta al menos 3 datos o ejemplos (uno por línea o separados por punto y coma)",
+    ],
+    [
+      (a) => items(a).filter((i) => words(i).length >= 4).length >= 3,
+      "Haz cada dato o ejemplo concreto: qué, quién, cuándo o cuánto",
+    ],
+  ],
+  logical_connection: [
+    [(a) => CONNECTOR.test(a), "Une tus ideas con un conector lógico"],
+    [
+      (a) => words(a).length >= 12,
+      "Desarrolla las dos ideas que estás conectando",
+    ],
+  ],
+  critical_questioning: [
+    [(a) => questions(a).length >= 2, "Formula al menos 2 preguntas"],
+    [
+      (a) => questions(a).filter((q) => words(q).length >= 5).length >= 2,
+      "Haz preguntas abiertas que exijan analizar, no solo responder sí o no",
+    ],
+  ],
+  rebuttal: [
+    [addressesObjection, "Responde a la objeción concreta que te plantearon"],
+    [
+      (a) => REBUTTAL.test(a),
+      "Explica por qué la objeción no invalida tu tesis (por ejemplo: 'Aunque..., ...')",
+    ],
+    [(a) => REASON.test(a), "Sostén tu respuesta con una razón o evidencia"],
+  ],
+  fallacy_detection: [
+    [
+      (a, c, detector) =>
+        !detector.detect(a).some((d) => d.type === c.fallacyType),
+      "Tu nueva versión todavía cae en la misma falacia",
+    ],
+    [(a) => REASON.test(a), "Sostén la idea con una razón o evidencia"],
+  ],
+};
+const DEFAULT_CHECKS = [
+  [(a) => words(a).length >= 5, "Desarrolla más tu respuesta"],
+];
+
+// Listed items: lines, semicolons or numbered/bulleted entries
+function items(text) {
+  return text
+    .split(/\n|;|(?:^|\s)(?:\d+[.)]|[-•*])\s+/)
+    .map((i) => i.trim())
+    .filter(Boolean);
+}
+
+// Sentences asked as questions ("¿...?", or just ending in "?")
+function questions(text) {
+  return sentences(text)
+    .map(({ start, end }) => text.slice(start, end))
+    .filter((sentence) => sentence.endsWith("?"));
+}
+
+class ChallengeEvaluator {
+  constructor(options = {}) {
+    this.llm = options.llm || null;
+    this.promptRegistry = options.promptRegistry || new PromptRegistry(null);
+    this.engine = options.engine || process.env.ANALYSIS_ENGINE || "llm";
+    this.maxTokens = options.maxTokens || 400;
+    this.fallacyDetector = options.fallacyDetector || new FallacyDetector();
+  }
+
+  // Grade `answer` to `challenge`; `options.llm` overrides the provider for
+  // this call (e.g. a RedactingProvider); never throws
+  async evaluate(challenge, answer, context = {}, options = {}) {
+    const llm = options.llm || this.llm;
+    let llmInfo = null;
+    if (this.engine === "llm" && llm) {
+      llmInfo = await this.evaluateWithLLM(challenge, answer, context, llm);
+    }
+    const result =
+      llmInfo?.evaluation || this.evaluateHeuristic(challenge, answer);
+    const hintsUsed = challenge.hintsUsed || 0;
+    const hintPenalty = this.hintPenalty(hintsUsed);
+    return {
+      ...result,
+      score: Math.round(result.score * (1 - hintPenalty) * 100) / 100,
+      rawScore: result.score,
+      hintsUsed,
+      hintPenalty,
+      engine: {
+        requested: this.engine,
+        used: llmInfo?.evaluation ? "llm" : "heuristic",
+        ...(llmInfo && {
+          provider: llmInfo.provider || null,
+          model: llmInfo.model || null,
+          usage: llmInfo.usage || null,
+          promptVersionId: llmInfo.promptVersionId || null,
+        }),
+        ...(llmInfo?.error && { fallbackReason: llmInfo.error }),
+      },
+    };
+  }
+
+  // Ask the model for the grade; { evaluation } or { error }, never throws
+  async evaluateWithLLM(challenge, answer, context, llm) {
+    let result;
+    let promptVersionId = null;
+    try {
+      const evaluator = await this.promptRegistry.renderEvaluator(context);
+      promptVersionId = evaluator.promptVersionId;
+      result = await llm.chat(
+        [
+          {
+            role: "system",
+            content: `${evaluator.content}\n\n${LLM_INSTRUCTIONS}`,
+          },
+          {
+            role: "user",
+            content: `RETO: ${challenge.prompt}\nCRITERIO DE ACEPTACIÓN: ${
+              challenge.criteria || "Responde a lo que pide el reto"
+            }\n\nRESPUESTA DEL ESTUDIANTE:\n${answer}`,
+          },
+        ],
+        { temperature: 0, maxTokens: this.maxTokens }
+      );
+    } catch (error) {
+      console.warn(
+        "[challenge-evaluator] LLM evaluation failed:",
+        error.message
+      );
+      return { error: `llm error: ${error.message}` };
+    }
+    const info = {
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      promptVersionId,
+    };
+
+    // The demo responder answers with canned text, not a grade
+    if (result.provider === "demo") {
+      return { ...info, error: "demo provider does not evaluate" };
+    }
+    const data = parseJsonObject(result.content);
+    const errors = data ? validate(EVALUATION_SCHEMA, data) : ["invalid JSON"];
+    if (errors.length > 0) {
+      console.warn("[challenge-evaluator] LLM grade rejected:", errors);
+      return { ...info, error: errors.slice(0, 5).join("; ") };
+    }
+    return {
+      ...info,
+      evaluation: {
+        passed: data.passed,
+        score: Math.round(data.score * 100) / 100,
+        feedback: data.feedback,
+        missing: data.missing || [],
+      },
+    };
+  }
+
+  // Share of the score lost after using the first `hintsUsed` hints
+  hintPenalty(hintsUsed) {
+    const used = HINT_PENALTIES.slice(0, hintsUsed);
+    return Math.round(used.reduce((a, b) => a + b, 0) * 100) / 100;
+  }
+
+  // Skill checks: passed when every check holds
+  evaluateHeuristic(challenge, answer) {
+    const checks = CHECKS[challenge.skill] || DEFAULT_CHECKS;
+    const missing = checks
+      .filter(([passes]) => !passes(answer, challenge, this.fallacyDetector))
+      .map(([, message]) => message);
+    const passed = missing.length === 0;
+    const score =
+      Math.round(((checks.length - missing.length) / checks.length) * 100) /
+      100;
+    return {
+      passed,
+      score,
+      feedback: passed
+        ? "¡Reto superado! Tu respuesta cumple el criterio."
+        : `Aún no cumple el criterio${
+            challenge.criteria ? ` (${challenge.criteria})` : ""
+          }. ${missing.join(". ")}.`,
+      missing,
+    };
+  }
+}
+
+ChallengeEvaluator.SKILLS = Object.keys(CHECKS);
+ChallengeEvaluator.HINT_PENALTIES = HINT_PENALTIES;
+
+module.exports = ChallengeEvaluator;
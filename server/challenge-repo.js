@@ -0,0 +1,333 @@
+// Micro-challenge lifecycle storage
+// Challenges created by the A2A agent are kept against the student's current
+// guided-plan step (`micro_retros` -> `pasos_plan`) and every answer is kept
+// with its grade (`respuestas_estudiante.calificacion`). A challenge is
+// "pending" until answered, then "passed" or "retry"; once passed it stays
+// passed. Each hint served from the challenge's ladder is recorded
+// (`pistas_solicitadas`) and counted in `hintsUsed`.
+// Two implementations of the same interface:
+//   save({ studentId, activityId, stepId, challenge }) -> challenge | null
+//     (an open challenge with the same prompt on the step is returned
+//     instead of a duplicate, so re-analyzing a text adds nothing new)
+//   get(challengeId) -> challenge | null
+//   list({ studentId, activityId, stepId, status, limit }) -> oldest first
+//   recordAnswer({ challenge, studentId, answer, evaluation })
+//     -> { answer, challenge } (challenge with its new status)
+//   recordHint({ challenge, studentId, level }) -> challenge (new hintsUsed)
+// Stored challenges carry their whole hint ladder; publicChallenge() is the
+// view sent to students, without the hints they have not asked for.
+// SupabaseChallengeRepository needs a plan step to attach a challenge to
+// (none -> save() returns null); InMemoryChallengeRepository is used when
+// Supabase is not configured.
+
+// API status -> value stored in `micro_retros.estado`
+const STATUSES = {
+  pending: "pendiente",
+  passed: "superado",
+  retry: "reintentar",
+};
+const FROM_DB = Object.fromEntries(
+  Object.entries(STATUSES).map(([status, stored]) => [stored, status])
+);
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Challenge fields without a column of their own (kept in `detalle`)
+function detailOf(challenge) {
+  return {
+    type: challenge.type || null,
+    ...(challenge.fallacyType && { fallacyType: challenge.fallacyType }),
+    ...(challenge.span && { span: challenge.span }),
+    ...(challenge.counterargument && {
+      counterargument: challenge.counterargument,
+    }),
+    ...(challenge.thesis && { thesis: challenge.thesis }),
+    hints: challenge.hints || [],
+    priority: challenge.priority || null,
+    estimatedTime: challenge.estimatedTime || null,
+  };
+}
+
+// Status after an answer: a passed challenge is never reopened
+function nextStatus(challenge, evaluation) {
+  return challenge.status === "passed" || evaluation.passed
+    ? "passed"
+    : "retry";
+}
+
+const WITH_PLAN =
+  "*, pasos_plan!inner(id_plan, plan_guiado!inner(id_estudiante, id_actividad))";
+
+class SupabaseChallengeRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async save({ studentId, activityId, stepId, challenge }) {
+    if (!studentId) return null;
+    const step = stepId || (await this.currentStepId(studentId, activityId));
+    if (!step) return null;
+
+    const { data: open, error: openErr } = await this.supabase
+      .from("micro_retros")
+      .select(WITH_PLAN)
+      .eq("id_paso", step)
+      .eq("prompt", challenge.prompt)
+      .neq("estado", STATUSES.passed)
+      .order("creado_en", { ascending: false })
+      .limit(1);
+    if (openErr) {
+      throw new Error(`find challenge: ${openErr.message || openErr}`);
+    }
+    if (open?.[0]) return this.toChallenge(open[0]);
+
+    const { data, error } = await this.supabase
+      .from("micro_retros")
+      .insert({
+        id_paso: step,
+        prompt: challenge.prompt,
+        habilidad_objetivo: challenge.skill || null,
+        pista: challenge.hints?.[0]?.text || null,
+        criterio_aceptacion: challenge.criteria || null,
+        detalle: detailOf(challenge),
+        estado: STATUSES.pending,
+      })
+      .select(WITH_PLAN)
+      .single();
+    if (error) throw new Error(`save challenge: ${error.message || error}`);
+    return this.toChallenge(data);
+  }
+
+  async get(challengeId) {
+    if (!UUID.test(String(challengeId))) return null;
+    const { data, error } = await this.supabase
+      .from("micro_retros")
+      .select(WITH_PLAN)
+      .eq("id_reto", challengeId)
+      .maybeSingle();
+    if (error) throw new Error(`get challenge: ${error.message || error}`);
+    return data ? this.toChallenge(data) : null;
+  }
+
+  async list({ studentId, activityId, stepId, status, limit } = {}) {
+    let query = this.supabase
+      .from("micro_retros")
+      .select(WITH_PLAN)
+      .order("creado_en", { ascending: false });
+    if (studentId) {
+      query = query.eq("pasos_plan.plan_guiado.id_estudiante", studentId);
+    }
+    if (activityId) {
+      query = query.eq("pasos_plan.plan_guiado.id_actividad", activityId);
+    }
+    if (stepId) query = query.eq("id_paso", stepId);
+    if (status) query = query.eq("estado", STATUSES[status]);
+    if (limit) query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`list challenges: ${error.message || error}`);
+    return (data || []).map((row) => this.toChallenge(row)).reverse();
+  }
+
+  async recordAnswer({ challenge, studentId, answer, evaluation }) {
+    const status = nextStatus(challenge, evaluation);
+    const { data, error } = await this.supabase
+      .from("respuestas_estudiante")
+      .insert({
+        id_reto: challenge.id,
+        id_paso: challenge.stepId,
+        id_estudiante: studentId,
+        contenido: answer,
+        calificacion: {
+          rubrica: { criterio: challenge.criteria || null, ...evaluation },
+          estado: status,
+        },
+      })
+      .select()
+      .single();
+    if (error) throw new Error(`save answer: ${error.message || error}`);
+
+    if (status !== challenge.status) {
+      const { error: updErr } = await this.supabase
+        .from("micro_retros")
+        .update({ estado: STATUSES[status] })
+        .eq("id_reto", challenge.id);
+      if (updErr) {
+        throw new Error(`update challenge: ${updErr.message || updErr}`);
+      }
+    }
+
+    return {
+      answer: {
+        id: data.id_respuesta,
+        timestamp: new Date(data.creado_en).getTime(),
+        content: data.contenido,
+        grade: data.calificacion,
+      },
+      challenge: { ...challenge, status },
+    };
+  }
+
+  async recordHint({ challenge, studentId, level }) {
+    const { error } = await this.supabase.from("pistas_solicitadas").insert({
+      id_reto: challenge.id,
+      id_estudiante: studentId,
+      nivel: level,
+    });
+    if (error) throw new Error(`save hint request: ${error.message || error}`);
+    const { error: updErr } = await this.supabase
+      .from("micro_retros")
+      .update({ pistas_usadas: level })
+      .eq("id_reto", challenge.id);
+    if (updErr)
+      throw new Error(`update challenge: ${updErr.message || updErr}`);
+    return { ...challenge, hintsUsed: level };
+  }
+
+  // Next pending step of the student's plan for the activity (or of their
+  // latest active plan)
+  async currentStepId(studentId, activityId) {
+    let planQuery = this.supabase
+      .from("plan_guiado")
+      .select("id_plan")
+      .eq("id_estudiante", studentId)
+      .order("creado_en", { ascending: false })
+      .limit(1);
+    planQuery = activityId
+      ? planQuery.eq("id_actividad", activityId)
+      : planQuery.eq("estado", "activo");
+    const { data: plans, error } = await planQuery;
+    if (error) throw new Error(`plan lookup: ${error.message || error}`);
+    if (!plans?.[0]) return null;
+
+    const { data: steps, error: stepErr } = await this.supabase
+      .from("pasos_plan")
+      .select("id_paso")
+      .eq("id_plan", plans[0].id_plan)
+      .eq("completado", false)
+      .order("orden", { ascending: true })
+      .limit(1);
+    if (stepErr) throw new Error(`step lookup: ${stepErr.message || stepErr}`);
+    return steps?.[0]?.id_paso || null;
+  }
+
+  toChallenge(row) {
+    const plan = row.pasos_plan?.plan_guiado || {};
+    return {
+      id: row.id_reto,
+      stepId: row.id_paso,
+      studentId: plan.id_estudiante || null,
+      activityId: plan.id_actividad || null,
+      ...(row.detalle || {}),
+      prompt: row.prompt,
+      skill: row.habilidad_objetivo,
+      criteria: row.criterio_aceptacion,
+      hintsUsed: row.pistas_usadas || 0,
+      status: FROM_DB[row.estado] || "pending",
+      timestamp: new Date(row.creado_en).getTime(),
+    };
+  }
+}
+
+class InMemoryChallengeRepository {
+  constructor() {
+    this.challenges = new Map();
+    this.answers = [];
+    this.hintRequests = [];
+    this.nextId = 1;
+  }
+
+  async save({ studentId, activityId, stepId, challenge }) {
+    if (!studentId) return null;
+    const open = [...this.challenges.values()].find(
+      (c) =>
+        c.studentId === studentId &&
+        c.activityId === (activityId || null) &&
+        c.stepId === (stepId || null) &&
+        c.prompt === challenge.prompt &&
+        c.status !== "passed"
+    );
+    if (open) return { ...open };
+    const record = {
+      id: String(this.nextId++),
+      stepId: stepId || null,
+      studentId,
+      activityId: activityId || null,
+      ...detailOf(challenge),
+      prompt: challenge.prompt,
+      skill: challenge.skill || null,
+      hintsUsed: 0,
+      criteria: challenge.criteria || null,
+      status: "pending",
+      timestamp: Date.now(),
+    };
+    this.challenges.set(record.id, record);
+    return { ...record };
+  }
+
+  async get(challengeId) {
+    const record = this.challenges.get(String(challengeId));
+    return record ? { ...record } : null;
+  }
+
+  async list({ studentId, activityId, stepId, status, limit } = {}) {
+    const matches = [...this.challenges.values()].filter(
+      (c) =>
+        (!studentId || c.studentId === studentId) &&
+        (!activityId || c.activityId === activityId) &&
+        (!stepId || c.stepId === stepId) &&
+        (!status || c.status === status)
+    );
+    return (limit ? matches.slice(-limit) : matches).map((c) => ({ ...c }));
+  }
+
+  async recordAnswer({ challenge, studentId, answer, evaluation }) {
+    const status = nextStatus(challenge, evaluation);
+    const record = {
+      id: String(this.answers.length + 1),
+      timestamp: Date.now(),
+      content: answer,
+      grade: {
+        rubrica: { criterio: challenge.criteria || null, ...evaluation },
+        estado: status,
+      },
+    };
+    this.answers.push({ ...record, challengeId: challenge.id, studentId });
+    const stored = this.challenges.get(challenge.id);
+    if (stored) stored.status = status;
+    return { answer: record, challenge: { ...challenge, status } };
+  }
+
+  async recordHint({ challenge, studentId, level }) {
+    this.hintRequests.push({
+      challengeId: challenge.id,
+      studentId,
+      level,
+      timestamp: Date.now(),
+    });
+    const stored = this.challenges.get(challenge.id);
+    if (stored) stored.hintsUsed = level;
+    return { ...challenge, hintsUsed: level };
+  }
+}
+
+// Challenge as shown to the student: hints are requested one at a time
+function publicChallenge(challenge) {
+  const { hints = [], ...rest } = challenge;
+  return { ...rest, hintsAvailable: hints.length };
+}
+
+// Supabase-backed repository when a client is available, else in memory
+function createChallengeRepository(supabase) {
+  return supabase
+    ? new SupabaseChallengeRepository(supabase)
+    : new InMemoryChallengeRepository();
+}
+
+module.exports = {
+  SupabaseChallengeRepository,
+  InMemoryChallengeRepository,
+  createChallengeRepository,
+  publicChallenge,
+  STATUSES: Object.keys(STATUSES),
+};
@@ -0,0 +1,224 @@
+// Server-side tools the chat tutor can call through function calling
+// Each tool declares the roles allowed to use it; the allow-list is checked
+// both when tools are offered to the model and again before execution.
+// A tool that calls a model itself returns its `engine` info (provider,
+// model, usage) so the chat can record those tokens against the quotas
+
+const TOOL_DEFINITIONS = {
+  analyze_argument: {
+    roles: ["student", "teacher"],
+    description:
+      "Analiza un texto argumentativo del estudiante (tesis, evidencia, razonamiento, pensamiento crítico) y devuelve puntajes, retroalimentación y recomendaciones.",
+    parameters: {
+      type: "object",
+      properties: {
+        text: {
+          type: "string",
+          description: "Texto argumentativo a analizar",
+        },
+      },
+      required: ["text"],
+    },
+  },
+  get_current_plan_step: {
+    roles: ["student", "teacher"],
+    description:
+      "Obtiene el paso pendiente actual del plan guiado del estudiante para una actividad.",
+    parameters: {
+      type: "object",
+      properties: {
+        activityId: {
+          type: "string",
+          description:
+            "ID de la actividad (opcional; por defecto el plan activo más reciente)",
+        },
+      },
+    },
+  },
+  complete_plan_step: {
+    roles: ["student"],
+    description:
+      "Marca como completado un paso del plan guiado del estudiante y devuelve el siguiente paso.",
+    parameters: {
+      type: "object",
+      properties: {
+        stepId: {
+          type: "string",
+          description: "ID del paso (id_paso) a marcar como completado",
+        },
+      },
+      required: ["stepId"],
+    },
+  },
+  get_learning_profile: {
+    roles: ["student", "teacher"],
+    description:
+      "Obtiene el perfil de aprendizaje del estudiante: estilo dominante, fortalezas y debilidades.",
+    parameters: { type: "object", properties: {} },
+  },
+};
+
+class ChatToolbox {
+  constructor({ supabase, a2aAgent, mcp }) {
+    this.supabase = supabase;
+    this.a2aAgent = a2aAgent;
+    this.mcp = mcp;
+  }
+
+  // Tool definitions offered to the model for a role
+  forRole(role) {
+    return Object.entries(TOOL_DEFINITIONS)
+      .filter(([, def]) => def.roles.includes(role))
+      .filter(([name]) => this.isAvailable(name))
+      .map(([name, def]) => ({
+        name,
+        description: def.description,
+        parameters: def.parameters,
+      }));
+  }
+
+  // Plan and profile tools need the database
+  isAvailable(name) {
+    return name === "analyze_argument" || Boolean(this.supabase);
+  }
+
+  // Run a tool call; errors are returned to the model instead of thrown
+  async execute(name, args = {}, context = {}) {
+    const def = TOOL_DEFINITIONS[name];
+    if (!def || !def.roles.includes(context.role) || !this.isAvailable(name)) {
+      return { error: `Tool ${name} is not allowed for role ${context.role}` };
+    }
+    if (name !== "analyze_argument" && !context.studentId) {
+      return { error: "No hay un estudiante asociado a esta conversación" };
+    }
+
+    try {
+      switch (name) {
+        case "analyze_argument":
+          return await this.analyzeArgument(args, context);
+        case "get_current_plan_step":
+          return await this.getCurrentPlanStep(args, context);
+        case "complete_plan_step":
+          return await this.completePlanStep(args, context);
+        case "get_learning_profile":
+          return await this.getLearningProfile(context);
+        default:
+          return { error: `Unknown tool ${name}` };
+      }
+    } catch (error) {
+      console.error(`[chat-tools] ${name} error:`, error);
+      return { error: error.message };
+    }
+  }
+
+  // Compact view of the A2A analysis, enough for the tutor to comment on
+  // The text is masked with the chat's redaction session (`context.redaction`)
+  // as in /api/analyze-argument: the agent's model and the stored analysis
+  // only see placeholders, and the result goes back to the tutor model masked
+  async analyzeArgument({ text }, context) {
+    if (!text || typeof text !== "string") {
+      return { error: "text is required" };
+    }
+    const masked = context.redaction ? context.redaction.redact(text) : text;
+    const result = await this.a2aAgent.analyzeArgument(masked, {
+      sessionId: context.sessionId,
+      studentId: context.studentId,
+      classId: context.classId,
+      activityId: context.activityId,
+    });
+    return {
+      overall: result.analysis.overall,
+      engine: result.analysis.engine,
+      hasThesis: result.analysis.content.hasThesis,
+      evidenceCount: result.analysis.evidence.evidenceCount,
+      fallacies: result.analysis.fallacies.map((f) => ({
+        name: f.name,
+        text: f.span.text,
+        question: f.question,
+      })),
+      feedback: result.feedback.map((f) => ({
+        area: f.area,
+        message: f.message,
+        suggestion: f.suggestion,
+      })),
+      recommendations: result.recommendations,
+    };
+  }
+
+  // The student's plan for an activity (or latest active plan)
+  async findPlan(studentId, activityId) {
+    let query = this.supabase
+      .from("plan_guiado")
+      .select("id_plan, id_actividad, estado, creado_en")
+      .eq("id_estudiante", studentId)
+      .order("creado_en", { ascending: false })
+      .limit(1);
+    query = activityId
+      ? query.eq("id_actividad", activityId)
+      : query.eq("estado", "activo");
+    const { data, error } = await query;
+    if (error) throw new Error(`plan lookup: ${error.message || error}`);
+    return data?.[0] || null;
+  }
+
+  async nextPendingStep(planId) {
+    const { data, error } = await this.supabase
+      .from("pasos_plan")
+      .select("id_paso, orden, tipo, contenido, completado")
+      .eq("id_plan", planId)
+      .eq("completado", false)
+      .order("orden", { ascending: true })
+      .limit(1);
+    if (error) throw new Error(`step lookup: ${error.message || error}`);
+    return data?.[0] || null;
+  }
+
+  async getCurrentPlanStep({ activityId }, context) {
+    const plan = await this.findPlan(
+      context.studentId,
+      activityId || context.activityId
+    );
+    if (!plan) return { plan: null, message: "No hay un plan guiado activo" };
+    const step = await this.nextPendingStep(plan.id_plan);
+    return {
+      plan: { id: plan.id_plan, activityId: plan.id_actividad },
+      step,
+      allCompleted: !step,
+    };
+  }
+
+  async completePlanStep({ stepId }, context) {
+    if (!stepId) return { error: "stepId is required" };
+
+    // Only steps of the student's own plans can be completed
+    const { data: step, error } = await this.supabase
+      .from("pasos_plan")
+      .select("id_paso, id_plan, completado, plan_guiado!inner(id_estudiante)")
+      .eq("id_paso", stepId)
+      .maybeSingle();
+    if (error) throw new Error(`step lookup: ${error.message || error}`);
+    if (!step || step.plan_guiado?.id_estudiante !== context.studentId) {
+      return { error: "Paso no encontrado para este estudiante" };
+    }
+
+    if (!step.completado) {
+      const { error: updErr } = await this.supabase
+        .from("pasos_plan")
+        .update({ completado: true, completado_en: new Date().toISOString() })
+        .eq("id_paso", stepId);
+      if (updErr) throw new Error(`step update: ${updErr.message || updErr}`);
+    }
+
+    const next = await this.nextPendingStep(step.id_plan);
+    return { completed: stepId, nextStep: next, allCompleted: !next };
+  }
+
+  async getLearningProfile(context) {
+    const profile = await this.mcp.getStudentLearningStyles(context.studentId);
+    return profile || { message: "El estudiante aún no tiene perfil" };
+  }
+}
+
+ChatToolbox.ROLES = ["student", "teacher"];
+
+module.exports = ChatToolbox;
@@ -0,0 +1,167 @@
+// Context-window management for the chat pipeline
+// Keeps the prompt inside the model's budget: recent turns stay verbatim,
+// older turns are folded into a running summary stored with the conversation
+// (`conversaciones.resumen` / `resumen_hasta`), and pinned content (activity
+// objective, student's thesis) is always part of the system message.
+// Stateless chats have nowhere to keep a summary, so their oldest turns are
+// dropped instead.
+// Uses: CONTEXT_RECENT_TURNS, CONTEXT_MAX_PROMPT_TOKENS, CONTEXT_SUMMARY_TOKENS
+
+const SUMMARY_PROMPT = `Resume la conversación entre un estudiante y su tutor MentorIA para que el tutor pueda continuarla.
+Incluye: temas tratados, la posición o tesis del estudiante, dudas abiertas, acuerdos y próximos pasos.
+Escribe en español, en tercera persona, en un solo párrafo de máximo 150 palabras. No inventes información.`;
+
+const ROLE_LABELS = { user: "Estudiante", assistant: "Tutor" };
+
+class ContextWindowManager {
+  constructor({ llm, conversationRepo, options = {} }) {
+    this.llm = llm;
+    this.conversationRepo = conversationRepo;
+    this.recentTurns =
+      options.recentTurns ?? (Number(process.env.CONTEXT_RECENT_TURNS) || 6);
+    this.maxPromptTokens =
+      options.maxPromptTokens ??
+      (Number(process.env.CONTEXT_MAX_PROMPT_TOKENS) || Infinity);
+    this.summaryTokens =
+      options.summaryTokens ??
+      (Number(process.env.CONTEXT_SUMMARY_TOKENS) || 300);
+  }
+
+  // Tokens available for the prompt on the given provider chain
+  budget(llm = this.llm) {
+    return Math.min(llm.promptBudget(), this.maxPromptTokens);
+  }
+
+  // System message with pinned content and the running summary appended
+  buildSystem(base, { pinned = {}, summary }) {
+    const pinnedLines = [
+      pinned.objective && `- Objetivo de la actividad: ${pinned.objective}`,
+      pinned.thesis && `- Tesis del estudiante: ${pinned.thesis}`,
+    ].filter(Boolean);
+    return [
+      base,
+      pinnedLines.length &&
+        `CONTENIDO FIJADO (tenlo siempre presente):\n${pinnedLines.join("\n")}`,
+      summary && `RESUMEN DE LA CONVERSACIÓN ANTERIOR:\n${summary}`,
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
+  // Fit `messages` (system first, then turns) into the prompt budget of
+  // `llm` (the request's provider, defaults to the shared one)
+  // Returns { messages, summary, summarized, dropped, summaryCall } where
+  // `summaryCall` ({ messages, result }) is the model call made, for accounting
+  async fit(messages, { llm = this.llm, conversation, pinned, signal } = {}) {
+    const base = messages[0]?.role === "system" ? messages[0].content : null;
+    let turns = messages.filter((m) => m.role !== "system");
+    let summary = conversation?.resumen || null;
+    let summarized = 0;
+    let dropped = 0;
+    let summaryCall = null;
+
+    const assemble = () => [
+      { role: "system", content: this.buildSystem(base, { pinned, summary }) },
+      ...turns.map(({ createdAt, ...m }) => m),
+    ];
+
+    const budget = this.budget(llm);
+    if (llm.estimateMessages(assemble()) <= budget) {
+      return { messages: assemble(), summary, summarized, dropped };
+    }
+
+    // Older turns go to the summary; the kept window starts on a user turn
+    let split = Math.max(0, turns.length - this.recentTurns);
+    while (split < turns.length - 1 && turns[split].role !== "user") split++;
+    const older = turns.slice(0, split);
+    turns = turns.slice(split);
+
+    if (older.length > 0 && conversation && this.conversationRepo) {
+      const result = await this.summarize(llm, summary, older, signal);
+      summary = result.summary;
+      summaryCall = result.call;
+      summarized = older.length;
+      const coveredUntil = older[older.length - 1].createdAt;
+      if (coveredUntil) {
+        try {
+          await this.conversationRepo.updateConversation(
+            conversation.id_conversacion,
+            { resumen: summary, resumen_hasta: coveredUntil }
+          );
+        } catch (e) {
+          console.error("[context] Failed to store summary:", e);
+        }
+      }
+    } else {
+      dropped += older.length;
+    }
+
+    // Still too long: drop the oldest kept turns, never the latest one
+    while (turns.length > 1 && llm.estimateMessages(assemble()) > budget) {
+      turns = turns.slice(1);
+      dropped++;
+      while (turns.length > 1 && turns[0].role !== "user") {
+        turns = turns.slice(1);
+        dropped++;
+      }
+    }
+
+    return {
+      messages: assemble(),
+      summary,
+      summarized,
+      dropped,
+      summaryCall,
+    };
+  }
+
+  // Fold older turns into the running summary with the model, falling back
+  // to an extractive summary when the model is unavailable
+  async summarize(llm, previous, turns, signal) {
+    const transcript = turns
+      .map((m) => `${ROLE_LABELS[m.role] || m.role}: ${m.content}`)
+      .join("\n");
+    const input = previous
+      ? `Resumen previo:\n${previous}\n\nNuevos mensajes:\n${transcript}`
+      : transcript;
+
+    const request = [
+      { role: "system", content: SUMMARY_PROMPT },
+      { role: "user", content: input },
+    ];
+    try {
+      const result = await llm.chat(request, {
+        maxTokens: this.summaryTokens,
+        temperature: 0.2,
+        signal,
+      });
+      // The demo responder answers with canned text, not a summary
+      if (result.content && result.provider !== "demo") {
+        return {
+          summary: result.content.trim(),
+          call: { messages: request, result },
+        };
+      }
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      console.warn("[context] Summary generation failed:", e.message);
+    }
+    return {
+      summary: this.extractiveSummary(llm, previous, turns),
+      call: null,
+    };
+  }
+
+  // First sentence of each turn, capped to the summary token budget
+  extractiveSummary(llm, previous, turns) {
+    const lines = turns.map((m) => {
+      const first = String(m.content || "").split(/(?<=[.!?])\s/)[0];
+      return `${ROLE_LABELS[m.role] || m.role}: ${first.slice(0, 160)}`;
+    });
+    const text = [previous, ...lines].filter(Boolean).join("\n");
+    const maxChars = this.summaryTokens * llm.charsPerToken;
+    return text.length > maxChars ? text.slice(text.length - maxChars) : text;
+  }
+}
+
+module.exports = ContextWindowManager;
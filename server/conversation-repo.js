@@ -0,0 +1,128 @@
+// Conversation threads for student chat, persisted in Supabase
+// Turns are stored in `interacciones_ia` linked by `id_conversacion`
+// ('Estudiante' <-> user, 'AgenteIA' <-> assistant)
+
+const ROLE_TO_DB = { user: "Estudiante", assistant: "AgenteIA" };
+const DB_TO_ROLE = { Estudiante: "user", AgenteIA: "assistant" };
+
+class ConversationRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  // Throw Supabase errors with the operation that failed
+  unwrap({ data, error }, operation) {
+    if (error) {
+      const err = new Error(`${operation}: ${error.message || error}`);
+      err.cause = error;
+      throw err;
+    }
+    return data;
+  }
+
+  async createConversation({ studentId, activityId, title }) {
+    return this.unwrap(
+      await this.supabase
+        .from("conversaciones")
+        .insert({
+          id_estudiante: studentId,
+          id_actividad: activityId || null,
+          titulo: title || null,
+        })
+        .select()
+        .single(),
+      "create conversation"
+    );
+  }
+
+  async getConversation(conversationId) {
+    return this.unwrap(
+      await this.supabase
+        .from("conversaciones")
+        .select("*")
+        .eq("id_conversacion", conversationId)
+        .maybeSingle(),
+      "get conversation"
+    );
+  }
+
+  // Threads for a student, most recently active first
+  async listConversations(studentId, { status, limit = 50 } = {}) {
+    let query = this.supabase
+      .from("conversaciones")
+      .select("*")
+      .eq("id_estudiante", studentId)
+      .order("actualizado_en", { ascending: false })
+      .limit(limit);
+    if (status) query = query.eq("estado", status);
+    return this.unwrap(await query, "list conversations");
+  }
+
+  // Latest `limit` stored turns in chronological order, in chat message shape
+  // `since` skips turns up to that timestamp (e.g. already summarized ones);
+  // `before` keeps only earlier turns (paging back through the history)
+  async getMessages(conversationId, { limit = 200, since, before } = {}) {
+    let query = this.supabase
+      .from("interacciones_ia")
+      .select("id_interaccion, rol, mensaje, fecha_hora")
+      .eq("id_conversacion", conversationId)
+      .order("fecha_hora", { ascending: false })
+      .limit(limit);
+    if (since) query = query.gt("fecha_hora", since);
+    if (before) query = query.lt("fecha_hora", before);
+    const rows = this.unwrap(await query, "get messages");
+    return (rows || []).reverse().map((row) => ({
+      id: row.id_interaccion,
+      role: DB_TO_ROLE[row.rol] || "user",
+      content: row.mensaje,
+      createdAt: row.fecha_hora,
+    }));
+  }
+
+  async appendMessage(
+    conversation,
+    { role, content, learningStyle, promptVersionId }
+  ) {
+    const row = this.unwrap(
+      await this.supabase
+        .from("interacciones_ia")
+        .insert({
+          id_conversacion: conversation.id_conversacion,
+          id_estudiante: conversation.id_estudiante,
+          rol: ROLE_TO_DB[role] || "Estudiante",
+          mensaje: content,
+          estilo_aprendizaje: learningStyle || null,
+          id_version_prompt: promptVersionId || null,
+        })
+        .select("id_interaccion, fecha_hora")
+        .single(),
+      "append message"
+    );
+    await this.touch(conversation.id_conversacion);
+    return { id: row.id_interaccion, role, content, createdAt: row.fecha_hora };
+  }
+
+  async updateConversation(conversationId, changes) {
+    return this.unwrap(
+      await this.supabase
+        .from("conversaciones")
+        .update({ ...changes, actualizado_en: new Date().toISOString() })
+        .eq("id_conversacion", conversationId)
+        .select()
+        .single(),
+      "update conversation"
+    );
+  }
+
+  async touch(conversationId) {
+    const { error } = await this.supabase
+      .from("conversaciones")
+      .update({ actualizado_en: new Date().toISOString() })
+      .eq("id_conversacion", conversationId);
+    if (error) {
+      console.error("[conversations] touch error:", error);
+    }
+  }
+}
+
+module.exports = ConversationRepository;
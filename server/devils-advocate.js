@@ -0,0 +1,367 @@
+// Devil's-advocate mode
+// Takes the student's thesis and raises the strongest objections to it, at
+// the level of the student's grade, so the student has to defend it instead
+// of only polishing its form. Each counterargument becomes a micro-challenge
+// (type "counterargument", skill "rebuttal"): the student's rebuttal is
+// answered and graded like any other challenge (see ./challenge-evaluator),
+// which checks that it actually takes on the objection.
+// With ANALYSIS_ENGINE=llm the evaluator model reads the thesis and writes
+// the objections against a schema; in heuristic mode, or when the model
+// fails, the thesis is the main claim of the Toulmin map and the objections
+// come from what the text leaves open (missing evidence, absolute claims,
+// a single cause...).
+
+const { validate, parseJsonObject } = require("./argument-schema");
+const ArgumentMapper = require("./argument-map");
+const FallacyDetector = require("./fallacy-detector");
+const { cues } = require("./spanish-text");
+const PromptRegistry = require("./prompt-registry");
+
+const TYPES = ["evidence", "exception", "alternative", "consequence", "values"];
+
+const COUNTER_SCHEMA = {
+  type: "object",
+  required: ["thesis", "counterarguments"],
+  properties: {
+    thesis: { type: "string" },
+    counterarguments: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["type", "objection", "question"],
+        properties: {
+          type: { type: "string", enum: TYPES },
+          objection: { type: "string" },
+          question: { type: "string" },
+          strength: { type: "number", minimum: 0, maximum: 1 },
+        },
+      },
+    },
+  },
+};
+
+// Grade bands (Colombian grades 1-11): how objections are written
+const LEVELS = {
+  basic: {
+    maxGrade: 7,
+    count: 2,
+    guide:
+      "Nivel básico: oraciones cortas, vocabulario cotidiano y ejemplos de la vida escolar o familiar.",
+  },
+  intermediate: {
+    maxGrade: 9,
+    count: 3,
+    guide:
+      "Nivel intermedio: objeciones concretas con un ejemplo o dato posible; vocabulario de secundaria.",
+  },
+  advanced: {
+    maxGrade: Infinity,
+    count: 3,
+    guide:
+      "Nivel avanzado: objeciones rigurosas (evidencia contraria, supuestos ocultos, dilemas de valores), como las de un debate formal.",
+  },
+};
+
+const llmInstructions = (
+  level,
+  count
+) => `TAREA: Actúa como abogado del diablo frente al texto del estudiante.
+- thesis: la tesis del estudiante en sus propias palabras (copiada del texto), o "" si no defiende ninguna posición.
+- counterarguments: las ${count} objeciones más fuertes contra esa tesis, de la más a la menos fuerte, de tipos distintos cuando sea posible (${TYPES.join(
+  ", "
+)}).
+- objection: la objeción en una o dos oraciones, en español, dicha como la diría alguien que piensa lo contrario; no la respondas.
+- question: una pregunta que invite al estudiante a refutarla.
+- strength: qué tan difícil es de refutar (0 a 1).
+- ${LEVELS[level].guide}
+Responde únicamente con un objeto JSON que cumpla este JSON Schema:
+${JSON.stringify(COUNTER_SCHEMA)}`;
+
+const ABSOLUTE = cues([
+  "todos",
+  "todas",
+  "siempre",
+  "nunca",
+  "nadie",
+  "ningún",
+  "ninguna",
+  "jamás",
+  "cualquier",
+]);
+const CAUSAL = cues([
+  "porque",
+  "ya que",
+  "debido a",
+  "dado que",
+  "causa",
+  "provoca",
+]);
+
+// "Creo que", "En mi opinión,"... before the thesis itself
+const OPINION_LEAD = new RegExp(
+  `^${
+    cues([
+      "(?:yo )?(?:creo|pienso|considero|opino) que",
+      "en mi opinión,?",
+      "mi (?:posición|postura|tesis) es que",
+    ]).source
+  }\\s*`,
+  "iu"
+);
+
+// Heuristic objections per type: [applies(text, map, fallacies), strength,
+// objection(thesis), question, hints]
+const TEMPLATES = {
+  evidence: [
+    (text, map) => map.issues.unsupportedClaims.includes(map.mainClaim),
+    0.9,
+    (thesis) =>
+      `No das pruebas de que "${thesis}". Sin datos, alguien podría sostener justo lo contrario con la misma seguridad.`,
+    "¿Qué evidencia le mostrarías a alguien que no te cree?",
+    [
+      "Piensa en un dato, un caso o una fuente que respalde tu tesis.",
+      "Si esa persona te pidiera una sola prueba, ¿cuál sería la más difícil de negar?",
+      "Una forma de empezar: 'Entiendo que pidas pruebas; por ejemplo, según..., lo que muestra que...'.",
+    ],
+  ],
+  exception: [
+    (text, map, fallacies) =>
+      ABSOLUTE.test(text) ||
+      fallacies.some((f) => f.type === "hasty_generalization"),
+    0.85,
+    (thesis) =>
+      `Hay casos en los que no se cumple que "${thesis}"; basta un ejemplo en contra para ponerlo en duda.`,
+    "¿Tu tesis vale para todos los casos o necesitas precisarla?",
+    [
+      "Busca un caso en el que tu tesis podría fallar y decide qué harías con él.",
+      "¿Ese caso contrario es una excepción o muestra que tu tesis está mal planteada?",
+      "Una forma de empezar: 'Es cierto que hay casos como..., pero en la mayoría...'.",
+    ],
+  ],
+  alternative: [
+    (text) => CAUSAL.test(text),
+    0.7,
+    () =>
+      "Las razones que das podrían tener otra explicación: quizá lo que describes se debe a causas distintas de las que mencionas.",
+    "¿Por qué tu explicación es mejor que otras posibles?",
+    [
+      "Piensa en otra causa que alguien podría proponer.",
+      "¿Qué muestra que tu razón pesa más que esa otra causa?",
+      "Una forma de empezar: 'Podría pensarse que se debe a..., sin embargo...'.",
+    ],
+  ],
+  consequence: [
+    () => true,
+    0.6,
+    (thesis) =>
+      `Aceptar que "${thesis}" también puede traer costos o efectos negativos para algunas personas.`,
+    "¿Qué costos tiene tu propuesta y por qué valen la pena?",
+    [
+      "Piensa en quién podría salir perdiendo si se aplica tu tesis.",
+      "¿Los beneficios que defiendes son mayores que esos costos? ¿Por qué?",
+      "Una forma de empezar: 'Aunque... podría afectar a..., los beneficios son mayores porque...'.",
+    ],
+  ],
+  values: [
+    () => true,
+    0.5,
+    () =>
+      "Alguien que da más importancia a otros valores (la libertad, la igualdad, la seguridad...) llegaría a la conclusión opuesta.",
+    "¿Qué valor defiende tu tesis y por qué debería pesar más?",
+    [
+      "Identifica qué valor hay detrás de tu tesis.",
+      "¿Cómo le explicarías a quien prioriza otro valor que el tuyo es más importante en este caso?",
+      "Una forma de empezar: 'Entiendo que se valore..., pero en este caso importa más... porque...'.",
+    ],
+  ],
+};
+
+class DevilsAdvocate {
+  constructor(options = {}) {
+    this.llm = options.llm || null;
+    this.promptRegistry = options.promptRegistry || new PromptRegistry(null);
+    this.engine = options.engine || process.env.ANALYSIS_ENGINE || "llm";
+    this.maxTokens = options.maxTokens || 700;
+    this.mapper = options.mapper || new ArgumentMapper({ engine: "heuristic" });
+    this.fallacyDetector = options.fallacyDetector || new FallacyDetector();
+  }
+
+  // Thesis of `text` and the strongest objections to it:
+  // { thesis: { text, span, explicit } | null, level, counterarguments:
+  //   [{ type, objection, question, strength }], engine }
+  // `options.llm` overrides the provider for this call; never throws
+  async generate(text, context = {}, options = {}) {
+    const level = this.level(context.grade);
+    const llm = options.llm || this.llm;
+    let llmInfo = null;
+    if (this.engine === "llm" && llm) {
+      llmInfo = await this.generateWithLLM(text, context, level, llm);
+    }
+    const result = llmInfo?.result || this.generateHeuristic(text, level);
+    return {
+      ...result,
+      level,
+      engine: {
+        requested: this.engine,
+        used: llmInfo?.result ? "llm" : "heuristic",
+        ...(llmInfo && {
+          provider: llmInfo.provider || null,
+          model: llmInfo.model || null,
+          usage: llmInfo.usage || null,
+          promptVersionId: llmInfo.promptVersionId || null,
+        }),
+        ...(llmInfo?.error && { fallbackReason: llmInfo.error }),
+      },
+    };
+  }
+
+  // Ask the model for the thesis and objections; { result } or { error }
+  async generateWithLLM(text, context, level, llm) {
+    const { count } = LEVELS[level];
+    let response;
+    let promptVersionId = null;
+    try {
+      const evaluator = await this.promptRegistry.renderEvaluator(context);
+      promptVersionId = evaluator.promptVersionId;
+      response = await llm.chat(
+        [
+          {
+            role: "system",
+            content: `${evaluator.content}\n\n${llmInstructions(level, count)}`,
+          },
+          { role: "user", content: `TEXTO DEL ESTUDIANTE:\n${text}` },
+        ],
+        { temperature: 0.4, maxTokens: this.maxTokens }
+      );
+    } catch (error) {
+      console.warn("[devils-advocate] LLM generation failed:", error.message);
+      return { error: `llm error: ${error.message}` };
+    }
+    const info = {
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+      promptVersionId,
+    };
+
+    // The demo responder answers with canned text, not objections
+    if (response.provider === "demo") {
+      return { ...info, error: "demo provider does not argue" };
+    }
+    const data = parseJsonObject(response.content);
+    const errors = data ? validate(COUNTER_SCHEMA, data) : ["invalid JSON"];
+    if (!errors.length && data.thesis.trim() && !data.counterarguments.length) {
+      errors.push("counterarguments: empty");
+    }
+    if (errors.length > 0) {
+      console.warn("[devils-advocate] LLM output rejected:", errors);
+      return { ...info, error: errors.slice(0, 5).join("; ") };
+    }
+
+    const stated = data.thesis.trim();
+    const span = stated ? this.mapper.locate(text, stated) : null;
+    return {
+      ...info,
+      result: {
+        thesis: stated
+          ? {
+              text: span ? text.slice(span.start, span.end) : stated,
+              span,
+              explicit: true,
+            }
+          : null,
+        counterarguments: stated
+          ? data.counterarguments.slice(0, count).map((c, i) => ({
+              type: c.type,
+              objection: c.objection,
+              question: c.question,
+              strength: c.strength ?? Math.round((1 - i * 0.1) * 100) / 100,
+            }))
+          : [],
+      },
+    };
+  }
+
+  // Whether `text` states a position of its own (an explicit claim in the
+  // heuristic map); cheap, so it can be checked before calling the model
+  hasThesis(text) {
+    const { nodes, mainClaim } = this.mapper.extractHeuristic(text);
+    const claim = nodes.find((n) => n.id === mainClaim);
+    return Boolean(claim && !claim.inferred);
+  }
+
+  // Main claim of the Toulmin map and the template objections that apply
+  // to the text, strongest first
+  generateHeuristic(text, level) {
+    const { nodes, edges, mainClaim } = this.mapper.extractHeuristic(text);
+    const map = {
+      mainClaim,
+      issues: this.mapper.findIssues({ nodes, edges }),
+    };
+    const claim = nodes.find((n) => n.id === mainClaim);
+    if (!claim) return { thesis: null, counterarguments: [] };
+
+    const thesis = this.quote(claim.text);
+    const fallacies = this.fallacyDetector.detect(text);
+    const counterarguments = Object.entries(TEMPLATES)
+      .filter(([, [applies]]) => applies(text, map, fallacies))
+      .slice(0, LEVELS[level].count)
+      .map(([type, [, strength, objection, question]]) => ({
+        type,
+        objection: objection(thesis),
+        question,
+        strength,
+      }));
+    return {
+      thesis: {
+        text: claim.text,
+        span: claim.span,
+        explicit: !claim.inferred,
+      },
+      counterarguments,
+    };
+  }
+
+  // Micro-challenge asking the student to rebut `counterargument`; `hints`
+  // are the texts of its hint ladder (nudge, question, example)
+  toChallenge(thesis, counterargument) {
+    return {
+      type: "counterargument",
+      skill: "rebuttal",
+      prompt: `Alguien que piensa distinto te dice: "${counterargument.objection}" ${counterargument.question} Responde defendiendo tu tesis.`,
+      criteria:
+        "Debe responder directamente a la objeción y explicar con una razón o evidencia por qué la tesis se sostiene (o cómo la precisa)",
+      counterargument: {
+        type: counterargument.type,
+        objection: counterargument.objection,
+        strength: counterargument.strength,
+      },
+      thesis: { text: thesis.text, span: thesis.span },
+      hints: TEMPLATES[counterargument.type][4],
+      priority: counterargument.strength >= 0.8 ? "high" : "medium",
+      estimatedTime: "10 minutos",
+    };
+  }
+
+  // Grade band for a course grade ("10°", "7", 8...); intermediate when
+  // the grade is unknown
+  level(grade) {
+    const number = parseInt(String(grade ?? "").replace(/\D+/g, ""), 10);
+    if (!Number.isFinite(number)) return "intermediate";
+    return Object.keys(LEVELS).find((key) => number <= LEVELS[key].maxGrade);
+  }
+
+  // Thesis without its opinion lead-in ("Creo que...") and final
+  // punctuation, shortened for quoting
+  quote(text) {
+    const clean = text
+      .trim()
+      .replace(OPINION_LEAD, "")
+      .replace(/[.!?]+$/, "");
+    return clean.length > 120 ? `${clean.slice(0, 117)}...` : clean;
+  }
+}
+
+DevilsAdvocate.TYPES = TYPES;
+
+module.exports = DevilsAdvocate;
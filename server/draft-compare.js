@@ -0,0 +1,310 @@
+// Draft revision comparison
+// Compares two drafts of a student's argument: sentences are aligned (kept,
+// rewritten, moved, added, removed), the A2A analysis dimensions are diffed, claims
+// added or dropped are listed from the Toulmin maps of both drafts, and
+// praise is generated only for what actually improved, quoting the passage
+// of the new draft where possible. Spans refer to the text of their draft.
+// Masked drafts are compared by placeholder type ([NOMBRE_1] and [NOMBRE_2]
+// match), as drafts masked in different requests may number the same
+// person differently.
+
+const ArgumentMapper = require("./argument-map");
+const { tokenize } = require("./spanish-text");
+
+// Analysis dimensions compared between drafts (`count` ones are integers)
+const DIMENSIONS = {
+  thesisClarity: { path: ["content", "thesisClarity"], label: "Tesis" },
+  evidenceCount: {
+    path: ["evidence", "evidenceCount"],
+    label: "Evidencia",
+    count: true,
+  },
+  reasoningQuality: {
+    path: ["reasoning", "reasoningQuality"],
+    label: "Razonamiento",
+  },
+  originality: {
+    path: ["originality", "originalityScore"],
+    label: "Originalidad",
+  },
+  overall: { path: ["overall", "total"], label: "Puntaje general" },
+};
+
+// Score changes below this are reported as unchanged
+const SCORE_EPSILON = 0.05;
+
+// Word overlap for two sentences (or claims) to count as the same one
+const MATCH_SIMILARITY = 0.5;
+
+const pct = (score) => `${Math.round(score * 100)}%`;
+
+// PII placeholder numbers dropped: "[NOMBRE_2]" -> "[NOMBRE]"
+const unnumbered = (text) => text.replace(/\[([A-Z]+)_\d+\]/g, "[$1]");
+
+class DraftComparer {
+  constructor(options = {}) {
+    this.mapper = options.mapper || new ArgumentMapper({ engine: "heuristic" });
+  }
+
+  // previous/current: { text, analysis } (analysis from A2AAgent)
+  // -> { alignment, summary, dimensions, claims, fallacies, praise }
+  compare(previous, current) {
+    const alignment = this.align(previous.text, current.text);
+    const summary = {
+      unchanged: 0,
+      modified: 0,
+      moved: 0,
+      added: 0,
+      removed: 0,
+    };
+    for (const entry of alignment) summary[entry.change]++;
+
+    const dimensions = this.diffDimensions(previous.analysis, current.analysis);
+    const previousMap = this.mapper.extractHeuristic(previous.text);
+    const currentMap = this.mapper.extractHeuristic(current.text);
+    const claims = {
+      added: this.unmatchedNodes(currentMap, previousMap, "claim"),
+      removed: this.unmatchedNodes(previousMap, currentMap, "claim"),
+    };
+    const fallacies = this.diffFallacies(previous.analysis, current.analysis);
+
+    return {
+      alignment,
+      summary,
+      dimensions,
+      claims,
+      fallacies,
+      praise: this.praise({ dimensions, fallacies, currentMap, previousMap }),
+    };
+  }
+
+  // Sentence alignment maximizing the overlap of matched sentences (LCS
+  // over similar sentences), then removed/added pairs that are the same
+  // sentence in another place become "moved"; entries in reading order of
+  // the previous draft, added sentences where they appear
+  align(previousText, currentText) {
+    const prev = this.sentencesOf(previousText);
+    const cur = this.sentencesOf(currentText);
+    const sim = prev.map((p) =>
+      cur.map((c) => this.similarity(p.text, c.text))
+    );
+
+    // best[i][j]: best total similarity aligning prev[i..] with cur[j..]
+    const best = Array.from({ length: prev.length + 1 }, () =>
+      new Array(cur.length + 1).fill(0)
+    );
+    for (let i = prev.length - 1; i >= 0; i--) {
+      for (let j = cur.length - 1; j >= 0; j--) {
+        best[i][j] = Math.max(
+          best[i + 1][j],
+          best[i][j + 1],
+          sim[i][j] >= MATCH_SIMILARITY ? best[i + 1][j + 1] + sim[i][j] : 0
+        );
+      }
+    }
+
+    const alignment = [];
+    let i = 0;
+    let j = 0;
+    while (i < prev.length || j < cur.length) {
+      if (
+        i < prev.length &&
+        j < cur.length &&
+        sim[i][j] >= MATCH_SIMILARITY &&
+        best[i][j] === best[i + 1][j + 1] + sim[i][j]
+      ) {
+        alignment.push({
+          change:
+            this.normalize(prev[i].text) === this.normalize(cur[j].text)
+              ? "unchanged"
+              : "modified",
+          previous: prev[i],
+          current: cur[j],
+          similarity: Math.round(sim[i][j] * 100) / 100,
+        });
+        i++;
+        j++;
+      } else if (
+        j >= cur.length ||
+        (i < prev.length && best[i][j] === best[i + 1][j])
+      ) {
+        alignment.push({ change: "removed", previous: prev[i], current: null });
+        i++;
+      } else {
+        alignment.push({ change: "added", previous: null, current: cur[j] });
+        j++;
+      }
+    }
+
+    for (const entry of alignment) {
+      if (entry.change !== "removed") continue;
+      let match = null;
+      for (const other of alignment) {
+        if (other.change !== "added") continue;
+        const score = sim[entry.previous.index][other.current.index];
+        if (score >= MATCH_SIMILARITY && score > (match?.score ?? 0)) {
+          match = { other, score };
+        }
+      }
+      if (match) {
+        Object.assign(entry, {
+          change: "moved",
+          current: match.other.current,
+          similarity: Math.round(match.score * 100) / 100,
+        });
+        match.other.change = null;
+      }
+    }
+    return alignment.filter((entry) => entry.change);
+  }
+
+  // { dimension: { label, previous, current, delta, trend } } for the
+  // dimensions present in both analyses
+  diffDimensions(previous, current) {
+    const result = {};
+    for (const [name, { path, label, count }] of Object.entries(DIMENSIONS)) {
+      const before = path.reduce((node, key) => node?.[key], previous);
+      const after = path.reduce((node, key) => node?.[key], current);
+      if (typeof before !== "number" || typeof after !== "number") continue;
+      const delta = Math.round((after - before) * 100) / 100;
+      const threshold = count ? 1 : SCORE_EPSILON;
+      result[name] = {
+        label,
+        previous: Math.round(before * 100) / 100,
+        current: Math.round(after * 100) / 100,
+        delta,
+        trend:
+          delta >= threshold
+            ? "improved"
+            : delta <= -threshold
+            ? "declined"
+            : "unchanged",
+      };
+    }
+    return result;
+  }
+
+  // Fallacy types of the previous draft that are gone, and new ones
+  diffFallacies(previous, current) {
+    const before = previous.fallacies || [];
+    const after = current.fallacies || [];
+    const typesAfter = new Set(after.map((f) => f.type));
+    const typesBefore = new Set(before.map((f) => f.type));
+    const brief = ({ type, name, span }) => ({ type, name, span });
+    return {
+      resolved: before.filter((f) => !typesAfter.has(f.type)).map(brief),
+      introduced: after.filter((f) => !typesBefore.has(f.type)).map(brief),
+    };
+  }
+
+  // Nodes of `type` in `map` without a similar node in `other`
+  unmatchedNodes(map, other, type) {
+    const candidates = other.nodes.filter((n) => n.type === type);
+    return map.nodes
+      .filter((n) => n.type === type && !n.inferred)
+      .filter(
+        (n) =>
+          !candidates.some(
+            (c) => this.similarity(n.text, c.text) >= MATCH_SIMILARITY
+          )
+      )
+      .map((n) => ({ text: n.text, span: n.span }));
+  }
+
+  // Praise for the dimensions that improved, quoting the new draft
+  praise({ dimensions, fallacies, currentMap, previousMap }) {
+    const praise = [];
+    const improved = (name) => dimensions[name]?.trend === "improved";
+
+    if (improved("thesisClarity")) {
+      const main = currentMap.nodes.find(
+        (n) => n.id === currentMap.mainClaim && !n.inferred
+      );
+      praise.push({
+        dimension: "thesisClarity",
+        message: main
+          ? `Tu tesis es más clara que en el borrador anterior: "${this.quote(
+              main.text
+            )}".`
+          : "Tu tesis es más clara que en el borrador anterior.",
+        ...(main && { span: main.span }),
+      });
+    }
+    if (improved("evidenceCount")) {
+      const added = dimensions.evidenceCount.delta;
+      const [grounds] = this.unmatchedNodes(currentMap, previousMap, "grounds");
+      praise.push({
+        dimension: "evidenceCount",
+        message: `Sumaste ${added} ${
+          added === 1 ? "evidencia nueva" : "evidencias nuevas"
+        } para respaldar tu argumento${
+          grounds ? `, por ejemplo: "${this.quote(grounds.text)}"` : ""
+        }.`,
+        ...(grounds && { span: grounds.span }),
+      });
+    }
+    if (improved("reasoningQuality")) {
+      const { previous, current } = dimensions.reasoningQuality;
+      praise.push({
+        dimension: "reasoningQuality",
+        message: `Tus ideas están mejor conectadas: tu razonamiento pasó de ${pct(
+          previous
+        )} a ${pct(current)}.`,
+      });
+    }
+    if (improved("originality")) {
+      praise.push({
+        dimension: "originality",
+        message:
+          "Tu texto tiene más voz propia: aportas más ideas y análisis personales.",
+      });
+    }
+    for (const fallacy of fallacies.resolved) {
+      praise.push({
+        dimension: "fallacies",
+        message: `Ya no aparece la falacia "${
+          fallacy.name
+        }" que había en "${this.quote(fallacy.span.text)}".`,
+      });
+    }
+    return praise;
+  }
+
+  sentencesOf(text) {
+    return this.mapper.sentences(text).map(({ start, end }, index) => ({
+      index,
+      start,
+      end,
+      text: text.slice(start, end),
+    }));
+  }
+
+  // Word overlap (Dice) of two texts, 0-1; a sentence that was only
+  // extended keeps a high similarity with its earlier version, and one
+  // where only accents were fixed counts as the same
+  similarity(a, b) {
+    const wordsA = new Set(tokenize(unnumbered(a)).map((t) => t.folded));
+    const wordsB = new Set(tokenize(unnumbered(b)).map((t) => t.folded));
+    if (wordsA.size === 0 && wordsB.size === 0) return 1;
+    let shared = 0;
+    for (const word of wordsA) if (wordsB.has(word)) shared++;
+    return (2 * shared) / (wordsA.size + wordsB.size);
+  }
+
+  normalize(text) {
+    return unnumbered(text)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+      .trim();
+  }
+
+  // Short quote without final punctuation
+  quote(text) {
+    const clean = text.trim().replace(/[.!?]+$/, "");
+    return clean.length > 100 ? `${clean.slice(0, 97)}...` : clean;
+  }
+}
+
+DraftComparer.DIMENSIONS = Object.keys(DIMENSIONS);
+
+module.exports = DraftComparer;
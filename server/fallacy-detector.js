@@ -0,0 +1,242 @@
+// Fallacy detection for student arguments (Spanish)
+// Pattern-based detector for a fixed taxonomy of informal fallacies. Each
+// detection carries the sentence where it occurs (span with offsets into the
+// original text), the cue that triggered it, an explanation and a guiding
+// question for the student. Detections are "possible" fallacies: they point
+// the student to a passage to review, they do not prove a fallacy.
+
+const { B, E, accentInsensitive, sentences } = require("./spanish-text");
+
+// Patterns also match when the student leaves out accents ("segun", "asi")
+const re = (source) => new RegExp(accentInsensitive(source), "giu");
+
+// Insults used to disqualify a person instead of their argument
+const INSULT =
+  "(?:ignorante|idiota|tont[oa]|mentiros[oa]|corrupt[oa]|ladr[oa]n|incompetente|fan[aá]tic[oa])";
+
+const FALLACIES = {
+  hasty_generalization: {
+    name: "Generalización apresurada",
+    explanation:
+      "Se saca una conclusión sobre todo un grupo o sobre todos los casos a partir de pocos ejemplos, usando palabras absolutas.",
+    question:
+      "¿Tienes datos sobre todos los casos o solo sobre algunos? ¿Cómo lo dirías con más precisión?",
+    hint: "Cambia las palabras absolutas (todos, nunca, siempre) por expresiones como 'muchos', 'con frecuencia' o 'en los casos que conozco', y di en qué te basas.",
+    example:
+      "Ejemplo: en lugar de 'Todos los adolescentes son irresponsables', se podría escribir 'Algunos adolescentes que conozco olvidan sus tareas, aunque no tengo datos para decir que sea lo común'.",
+    patterns: [
+      re(
+        `${B}tod[oa]s\\s+(?:l[oa]s\\s+)?\\p{L}+\\s+(?:son|est[aá]n|tienen|hacen|piensan|creen|quieren)${E}`
+      ),
+      // Absolute words only count with a group as subject ("los jóvenes
+      // nunca leen", "ningún político cumple", "nadie en este país..."), so
+      // first-person statements like "nunca he ido" are left alone
+      re(
+        `${B}l[oa]s\\s+\\p{L}+s(?:\\s+\\p{L}+s)?\\s+(?:siempre|nunca|jam[aá]s)\\s+(?:se\\s+)?\\p{L}+n${E}`
+      ),
+      re(
+        `${B}ning[uú]n[oa]?\\s+\\p{L}+\\s+(?:es|est[aá]|tiene|sabe|puede|quiere|hace|sirve|cumple|respeta|piensa|cree|lee|estudia|trabaja)${E}`
+      ),
+      re(
+        `${B}(?:nadie|todo el mundo)\\s+(?:en|de)\\s+(?:(?:este|esta|el|la|los|las|mi|mis|nuestro|nuestra)\\s+)?\\p{L}+`
+      ),
+      re(
+        `${B}(?:conozco a|mi (?:vecin[oa]|amig[oa]|herman[oa]|primo|prima))\\p{L}*.{0,80}?${B}(?:as[ií] que|por eso|entonces)\\s+tod[oa]s${E}`
+      ),
+    ],
+  },
+  ad_hominem: {
+    name: "Ataque personal (ad hominem)",
+    explanation:
+      "Se descalifica a la persona que defiende una idea en lugar de responder a sus argumentos.",
+    question:
+      "Aunque esa persona tuviera defectos, ¿qué dice exactamente su argumento y por qué sería incorrecto?",
+    hint: "Deja de lado a la persona y responde a la razón que da: cita su idea y explica con evidencia por qué no la compartes.",
+    example:
+      "Ejemplo: en lugar de 'No le creas al alcalde porque es un corrupto', se podría escribir 'El alcalde dice que el parque es seguro, pero el informe de la policía registra diez robos este año'.",
+    patterns: [
+      // The insult has to fall on someone being argued against ("no le
+      // creas porque es un mentiroso", "ese ministro es un corrupto"); an
+      // attribute of a group ("los políticos son corruptos") is a
+      // generalization, not a personal attack
+      re(
+        `${B}(?:(?:porque|ya que|pues|pero)\\s+(?:él\\s+|ella\\s+)?|(?:él|ella|es[eao]|est[eao]|aquel|aquella)\\s+(?:\\p{L}+\\s+)?)es\\s+(?:un[oa]?\\s+)?${INSULT}${E}`
+      ),
+      re(`${B}no (?:le|les) (?:creas|crean|hagas caso|hagan caso)${E}`),
+      re(
+        `${B}(?:qu[eé] (?:va|van|puede|pueden) (?:a )?saber|no sabe[n]? (?:nada|de lo que habla[n]?))${E}`
+      ),
+      re(
+        `${B}no (?:se le|se les|le|les) (?:puede|debe) creer(?: nada)?\\s+porque${E}`
+      ),
+      re(`${B}lo dice (?:alguien|una persona|un[oa]?) que${E}`),
+    ],
+  },
+  false_dilemma: {
+    name: "Falso dilema",
+    explanation:
+      "Se presentan solo dos opciones como si fueran las únicas posibles, cuando existen alternativas intermedias o distintas.",
+    question:
+      "¿De verdad solo hay dos caminos? ¿Qué otras opciones o puntos intermedios podrían existir?",
+    hint: "Menciona al menos una tercera alternativa y explica por qué tu opción sigue siendo la mejor frente a todas.",
+    example:
+      "Ejemplo: en lugar de 'O prohibimos los celulares o nadie aprenderá', se podría escribir 'Prohibir los celulares es una opción; también se podrían limitar a ciertas actividades. Prefiero la segunda porque...'.",
+    patterns: [
+      re(
+        `${B}(?:o|u) est[aá]s? con (?:nosotros|migo|ellos).{0,20}?o (?:est[aá]s? )?(?:contra|en contra)${E}`
+      ),
+      re(
+        `${B}(?:solo|s[oó]lo|[uú]nicamente) (?:hay|existen|tenemos) dos (?:opciones|caminos|alternativas|salidas|posibilidades)${E}`
+      ),
+      re(
+        `${B}no (?:hay|existe|tenemos) (?:otra|m[aá]s) (?:opci[oó]n|alternativa|salida|forma)${E}`
+      ),
+      re(`${B}o bien${E}.{3,80}?${B}o bien${E}`),
+    ],
+  },
+  slippery_slope: {
+    name: "Pendiente resbaladiza",
+    explanation:
+      "Se afirma que un primer paso llevará inevitablemente a una cadena de consecuencias graves, sin mostrar por qué cada paso produciría el siguiente.",
+    question:
+      "¿Qué pruebas tienes de que cada paso llevará necesariamente al siguiente? ¿Qué podría detener esa cadena?",
+    hint: "Revisa cada eslabón de la cadena y justifica con evidencia por qué uno causaría el otro, o limita tu afirmación a la consecuencia directa.",
+    example:
+      "Ejemplo: en lugar de 'Si salimos temprano un día, pronto nadie vendrá a clase', se podría escribir 'Si salimos temprano un día, se pierde una hora de clase; se podría recuperar con una tarea corta'.",
+    patterns: [
+      re(
+        `${B}si (?:permitimos|aceptamos|dejamos|empezamos|se permite|se acepta|se deja)${E}.{0,140}?${B}(?:terminar[aá]n?|acabar[aá]n?|llevar[aá]|conducir[aá]|pronto|despu[eé]s|luego)${E}`
+      ),
+      re(`${B}(?:es|ser[aá]) (?:solo )?el primer paso (?:hacia|para)${E}`),
+      re(`${B}tarde o temprano${E}`),
+      re(
+        `${B}y (?:luego|despu[eé]s)${E}.{0,80}?${B}y (?:luego|despu[eé]s|al final)${E}`
+      ),
+    ],
+  },
+  appeal_to_authority: {
+    name: "Apelación a la autoridad",
+    explanation:
+      "Se da algo por verdadero solo porque lo dice una persona famosa o con poder, sin que sea experta en el tema ni se presente la evidencia.",
+    question:
+      "¿Esa persona es experta en este tema? ¿Qué evidencia respalda lo que dice, además de quién lo dice?",
+    hint: "Indica la fuente concreta (estudio, dato, especialista en el tema) y explica la evidencia, no solo quién lo afirma.",
+    example:
+      "Ejemplo: en lugar de 'Es verdad porque lo dijo un futbolista famoso', se podría escribir 'Un informe de la Organización Mundial de la Salud muestra que...', y explicar qué datos presenta.",
+    patterns: [
+      re(
+        `${B}(?:lo )?(?:dice|dijo|afirma|afirm[oó]|asegura|asegur[oó])\\s+(?:un[oa]?|el|la)\\s+(?:famos[oa]|actor|actriz|cantante|influencer|youtuber|futbolista|celebridad|presidente|pol[ií]tic[oa])${E}`
+      ),
+      re(
+        `${B}(?:debe|tiene que) ser (?:verdad|cierto) (?:porque|ya que) (?:lo )?(?:dice|dijo|afirma)${E}`
+      ),
+      re(`${B}si lo dice${E}.{1,60}?${B}(?:es|debe ser) (?:verdad|cierto)${E}`),
+      re(
+        `${B}(?:los|todos los) expertos (?:dicen|saben|coinciden|afirman)${E}`
+      ),
+      re(
+        `${B}lo (?:vi|le[ií]) en (?:internet|las redes|tiktok|youtube|la televisi[oó]n)${E}`
+      ),
+    ],
+  },
+  straw_man: {
+    name: "Hombre de paja",
+    explanation:
+      "Se deforma o exagera la postura contraria para que sea más fácil de atacar, en lugar de responder a lo que realmente se defiende.",
+    question:
+      "¿Así es como lo explicarían quienes piensan distinto? ¿Cuál es la versión más fuerte de su argumento?",
+    hint: "Resume la postura contraria de forma justa, como la diría alguien que la defiende, y luego responde a esa versión.",
+    example:
+      "Ejemplo: en lugar de 'Los que quieren uniformes quieren acabar con nuestra libertad', se podría escribir 'Quienes defienden el uniforme dicen que reduce las diferencias entre estudiantes; sin embargo...'.",
+    patterns: [
+      re(
+        `${B}(?:lo que|los que|quienes)\\s+(?:realmente |en realidad )?(?:quieren|pretenden|buscan)\\s+(?:es\\s+)?(?:destruir|acabar con|prohibir|eliminar|arruinar)${E}`
+      ),
+      re(
+        `${B}(?:en otras palabras|es decir|o sea),?\\s+(?:ellos\\s+)?(?:quieren|pretenden|dicen que)${E}`
+      ),
+      re(
+        `${B}(?:quienes se oponen|los que (?:est[aá]n|se oponen) en contra|mis oponentes)${E}.{0,60}?${B}(?:quieren|pretenden|creen que)\\s+(?:todo|nada|todos|nadie)${E}`
+      ),
+    ],
+  },
+  post_hoc: {
+    name: "Falsa causa (post hoc)",
+    explanation:
+      "Se supone que, como una cosa ocurrió después de otra, la primera fue su causa, sin mostrar una relación causal.",
+    question:
+      "¿Que una cosa pase después de otra demuestra que la causó? ¿Qué otras causas podrían explicarlo?",
+    hint: "Explica el mecanismo que une la causa con el efecto y descarta otras explicaciones posibles con datos.",
+    example:
+      "Ejemplo: en lugar de 'Desde que pintaron el salón sacamos mejores notas, así que el color ayuda', se podría escribir 'Las notas subieron después de pintar el salón, pero también cambió el profesor; habría que comparar con otro curso'.",
+    patterns: [
+      re(
+        `${B}(?:despu[eé]s de (?:que)?|desde que)${E}.{3,100}?${B}(?:por eso|por lo tanto|as[ií] que|entonces|eso caus[oó]|eso provoc[oó])${E}`
+      ),
+      re(
+        `${B}(?:empez[oó]|comenz[oó]|empezaron|comenzaron) a${E}.{1,80}?${B}(?:justo )?(?:despu[eé]s de|desde que)${E}`
+      ),
+      re(`${B}(?:fue|es) (?:por|gracias a) eso que${E}`),
+    ],
+  },
+};
+
+class FallacyDetector {
+  constructor(options = {}) {
+    this.fallacies = options.fallacies || FALLACIES;
+  }
+
+  // Possible fallacies in `text`, in reading order:
+  // [{ type, name, span: { start, end, text }, cue: { start, end, text },
+  //    explanation, question, hint, example }]
+  // At most one detection per fallacy type and sentence
+  detect(text) {
+    if (typeof text !== "string" || !text.trim()) return [];
+    const sentences = this.sentences(text);
+    const detections = [];
+    const seen = new Set();
+
+    for (const [type, fallacy] of Object.entries(this.fallacies)) {
+      for (const regex of fallacy.patterns) {
+        regex.lastIndex = 0;
+        for (const match of text.matchAll(regex)) {
+          const sentence = sentences.find(
+            (s) => match.index >= s.start && match.index < s.end
+          ) || { start: match.index, end: match.index + match[0].length };
+          const key = `${type}:${sentence.start}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          detections.push({
+            type,
+            name: fallacy.name,
+            span: {
+              start: sentence.start,
+              end: sentence.end,
+              text: text.slice(sentence.start, sentence.end),
+            },
+            cue: {
+              start: match.index,
+              end: match.index + match[0].length,
+              text: match[0],
+            },
+            explanation: fallacy.explanation,
+            question: fallacy.question,
+            hint: fallacy.hint,
+            example: fallacy.example,
+          });
+        }
+      }
+    }
+    return detections.sort((a, b) => a.cue.start - b.cue.start);
+  }
+
+  // Sentence offsets ({ start, end }) with surrounding spaces trimmed
+  sentences(text) {
+    return sentences(text);
+  }
+}
+
+FallacyDetector.FALLACIES = FALLACIES;
+FallacyDetector.TYPES = Object.keys(FALLACIES);
+
+module.exports = FallacyDetector;
@@ -0,0 +1,151 @@
+// Span-anchored feedback
+// Finds the passages of the student's text that a feedback item is about
+// (the sentence without a connector, the claim without evidence, the quoted
+// source...) and adds them as `spans` ({ start, end, text }, offsets into
+// the analyzed text). `annotations()` flattens anchored feedback into one
+// list the frontend can overlay on the text, like review comments.
+// Feedback that is about the text as a whole keeps no spans.
+
+const ArgumentMapper = require("./argument-map");
+const { cues } = require("./spanish-text");
+
+// Spans reported per feedback item
+const MAX_SPANS = 5;
+
+const CONNECTORS = cues([
+  "por lo tanto",
+  "en consecuencia",
+  "por eso",
+  "por esto",
+  "así que",
+  "entonces",
+  "además",
+  "también",
+  "asimismo",
+  "sin embargo",
+  "no obstante",
+  "aunque",
+  "por otro lado",
+  "porque",
+  "ya que",
+  "pues",
+  "debido a",
+  "dado que",
+  "por ejemplo",
+  "es decir",
+  "esto demuestra",
+  "en primer lugar",
+  "primero",
+  "segundo",
+  "finalmente",
+  "en conclusión",
+  "en resumen",
+]);
+
+const SOURCE_CUES = cues([
+  "según",
+  "fuente",
+  "referencia",
+  "cita",
+  "dice que",
+  "menciona",
+  "afirma que",
+]);
+
+class FeedbackAnchorer {
+  constructor(options = {}) {
+    // Heuristic Toulmin map, to find claims and their evidence
+    this.mapper = options.mapper || new ArgumentMapper({ engine: "heuristic" });
+  }
+
+  // Copy of `feedback` with `spans` on the items that can be located
+  anchor(feedback, text) {
+    if (typeof text !== "string" || !text.trim()) return feedback;
+    const locate = this.locators(text);
+    return feedback.map((item) => {
+      if (item.spans) return item;
+      const key =
+        item.type === "strength" ? `strength:${item.area}` : item.type;
+      const spans = (locate[key]?.() || []).slice(0, MAX_SPANS);
+      return spans.length > 0 ? { ...item, spans } : item;
+    });
+  }
+
+  // One annotation per anchored span, in reading order
+  annotations(feedback) {
+    const annotations = [];
+    for (const item of feedback) {
+      for (const span of item.spans || []) {
+        annotations.push({
+          start: span.start,
+          end: span.end,
+          text: span.text,
+          type: item.type,
+          ...(item.fallacyType && { fallacyType: item.fallacyType }),
+          area: item.area || null,
+          priority: item.priority || null,
+          message: item.message,
+          suggestion: item.suggestion || null,
+        });
+      }
+    }
+    return annotations
+      .sort((a, b) => a.start - b.start || a.end - b.end)
+      .map((annotation, i) => ({ id: `a${i + 1}`, ...annotation }));
+  }
+
+  // Lazy span finders per feedback type (A2A agent and MCP types)
+  locators(text) {
+    let map = null;
+    const getMap = () => (map = map || this.mapper.extractHeuristic(text));
+    const sentences = this.mapper.sentences(text);
+    const toSpan = ({ start, end }) => ({
+      start,
+      end,
+      text: text.slice(start, end),
+    });
+
+    const nodesOf = (type) =>
+      getMap()
+        .nodes.filter((n) => n.type === type && !n.inferred)
+        .map((n) => toSpan(n.span));
+    const unsupportedClaims = () => {
+      const { nodes, edges } = getMap();
+      const { unsupportedClaims } = this.mapper.findIssues({ nodes, edges });
+      return nodes
+        .filter((n) => unsupportedClaims.includes(n.id))
+        .map((n) => toSpan(n.span));
+    };
+    const withoutConnector = () =>
+      sentences
+        .slice(1)
+        .filter((s) => !CONNECTORS.test(text.slice(s.start, s.end)))
+        .map(toSpan);
+    const quotingSources = () =>
+      sentences
+        .filter((s) => SOURCE_CUES.test(text.slice(s.start, s.end)))
+        .map(toSpan);
+    const firstSentence = () => sentences.slice(0, 1).map(toSpan);
+    const mainClaim = () => {
+      const { nodes, mainClaim: id } = getMap();
+      const node = nodes.find((n) => n.id === id && !n.inferred);
+      return node ? [toSpan(node.span)] : [];
+    };
+
+    return {
+      // A2A agent
+      thesis_weak: firstSentence,
+      evidence_lacking: unsupportedClaims,
+      source_dependency: quotingSources,
+      reasoning_weak: withoutConnector,
+      "strength:Tesis": mainClaim,
+      "strength:Evidencia": () => nodesOf("grounds"),
+      // MCP critical thinking feedback
+      coherence: withoutConnector,
+      logic: withoutConnector,
+      evidence: unsupportedClaims,
+    };
+  }
+}
+
+module.exports = FeedbackAnchorer;
@@ -0,0 +1,213 @@
+// Homework guard for the student chat
+// Detects "do my homework" requests before generation and full-solution
+// answers after generation, enforces the class policy and logs violations
+//   strict: requests are refused without calling the model
+//   guided: the model is told to guide only; full solutions are replaced
+//   open:   nothing is blocked, detections are only logged
+
+const POLICIES = ["strict", "guided", "open"];
+
+// Patterns for outsourcing requests ("hazme", "resuélveme", "dame la respuesta"...)
+const REQUEST_PATTERNS = [
+  { id: "hazme", regex: /\bhaz(me|lo|la|los|las)\b/i },
+  { id: "resuelveme", regex: /\bresu[eé]lve(me|lo|la|los|las)?\b/i },
+  {
+    id: "dame_respuesta",
+    regex:
+      /\b(dame|dime|p[aá]same|env[ií]ame)\s+(la|las|el|los)\s+(respuestas?|soluci[oó]n(es)?|resultados?)\b/i,
+  },
+  {
+    id: "haz_mi_tarea",
+    regex:
+      /\b(haz|has|hagas|realiza|completa|termina)\s+(mi|mis|la|el)\s+(tarea|taller|trabajo|ensayo|ejercicios?|actividad)\b/i,
+  },
+  {
+    id: "escribeme",
+    regex:
+      /\b(escr[ií]be(me)?|red[aá]cta(me)?)\s+(un|una|el|la|mi)\s+(ensayo|resumen|texto|p[aá]rrafo|conclusi[oó]n|introducci[oó]n)\b/i,
+  },
+  {
+    id: "respuesta_directa",
+    regex: /\b(cu[aá]l|cu[aá]les)\s+(es|son)\s+(la|las)\s+respuestas?\b/i,
+  },
+];
+
+// Signals that a reply hands over a finished solution instead of guiding
+const SOLUTION_PATTERNS = [
+  /\b(la respuesta (correcta|final)? ?es|respuesta final|resultado final|soluci[oó]n completa)\b/i,
+  /\baqu[ií] (tienes|est[aá]) (tu|el|la) (ensayo|resumen|tarea|trabajo|soluci[oó]n)\b/i,
+  /^\s*(soluci[oó]n|respuesta)\s*:/im,
+];
+
+const POLICY_INSTRUCTIONS = {
+  strict:
+    "POLÍTICA DE LA CLASE (estricta): Nunca entregues soluciones, respuestas finales ni textos completos para tareas. Responde únicamente con preguntas guía, pistas y ejemplos análogos que el estudiante deba adaptar.",
+  guided:
+    "POLÍTICA DE LA CLASE (guiada): Explica conceptos y da ejemplos, pero no resuelvas la tarea del estudiante ni redactes su trabajo. Divide el problema en pasos y pide al estudiante que complete cada uno.",
+  open: "",
+};
+
+const REFUSAL_MESSAGE =
+  "No puedo hacer tu tarea, pero puedo guiarte para que la hagas tú mismo. ¿Qué parte específica te gustaría explorar?";
+
+const REPLACEMENT_MESSAGE =
+  "Prefiero no darte la solución completa: aprenderás más construyéndola tú. Empecemos por el primer paso: ¿qué sabes ya del problema y qué te piden exactamente?";
+
+class HomeworkGuard {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.defaultPolicy = POLICIES.includes(options.defaultPolicy)
+      ? options.defaultPolicy
+      : "guided";
+    this.cacheTtlMs = options.cacheTtlMs ?? 60000;
+    this.policyCache = new Map();
+  }
+
+  // Detect an outsourcing request in the student's message
+  checkRequest(text, policy) {
+    const matches = REQUEST_PATTERNS.filter((p) =>
+      p.regex.test(text || "")
+    ).map((p) => p.id);
+    const flagged = matches.length > 0;
+    let action = "none";
+    if (flagged) {
+      action =
+        policy === "strict"
+          ? "blocked"
+          : policy === "guided"
+          ? "guided"
+          : "allowed";
+    }
+    return { flagged, matches, action, refusal: REFUSAL_MESSAGE };
+  }
+
+  // Detect a full-solution answer in the model reply
+  // A long reply with no question back reads as a handed-in answer. For a
+  // flagged request a solution marker or such a reply is enough; otherwise
+  // markers alone ("respuesta final" in a Socratic reply) prove nothing, so
+  // both are required
+  checkResponse(text, policy, { requestFlagged = false } = {}) {
+    const content = text || "";
+    const matches = SOLUTION_PATTERNS.filter((regex) => regex.test(content));
+    const words = content.split(/\s+/).filter(Boolean).length;
+    const asksBack = content.includes("?");
+    const longAnswer = words > 180 && !asksBack;
+    const flagged = requestFlagged
+      ? matches.length > 0 || longAnswer
+      : matches.length > 0 && longAnswer;
+
+    let action = "none";
+    if (flagged) action = policy === "open" ? "allowed" : "replaced";
+    return {
+      flagged,
+      action,
+      reasons: [
+        ...(flagged ? matches.map(() => "solution_marker") : []),
+        ...(flagged && longAnswer ? ["long_answer_without_guidance"] : []),
+      ],
+      replacement: REPLACEMENT_MESSAGE,
+    };
+  }
+
+  // System prompt addendum enforcing the policy, appended even when the
+  // client sends its own system message
+  instructionFor(policy) {
+    return POLICY_INSTRUCTIONS[policy] || "";
+  }
+
+  async getPolicy(classId) {
+    if (!classId || !this.supabase) return this.defaultPolicy;
+
+    const cached = this.policyCache.get(classId);
+    if (cached && Date.now() - cached.at < this.cacheTtlMs) {
+      return cached.policy;
+    }
+
+    const { data, error } = await this.supabase
+      .from("politicas_chat_clase")
+      .select("politica_tareas")
+      .eq("id_clase", classId)
+      .maybeSingle();
+    if (error) {
+      console.error("[homework-guard] policy lookup error:", error);
+      return this.defaultPolicy;
+    }
+
+    const policy = POLICIES.includes(data?.politica_tareas)
+      ? data.politica_tareas
+      : this.defaultPolicy;
+    this.policyCache.set(classId, { policy, at: Date.now() });
+    return policy;
+  }
+
+  async setPolicy(classId, policy) {
+    if (!POLICIES.includes(policy)) {
+      throw new Error(
+        `Invalid policy "${policy}". Use: ${POLICIES.join(", ")}`
+      );
+    }
+    const { error } = await this.supabase.from("politicas_chat_clase").upsert(
+      {
+        id_clase: classId,
+        politica_tareas: policy,
+        actualizado_en: new Date().toISOString(),
+      },
+      { onConflict: "id_clase" }
+    );
+    if (error) throw new Error(`set policy: ${error.message || error}`);
+    this.policyCache.set(classId, { policy, at: Date.now() });
+    return policy;
+  }
+
+  // Record a detection so teachers can review it; never fails the chat
+  async logViolation({
+    studentId,
+    classId,
+    conversationId,
+    stage,
+    policy,
+    action,
+    reasons,
+    message,
+  }) {
+    console.warn("[homework-guard] violation", {
+      studentId,
+      classId,
+      stage,
+      policy,
+      action,
+      reasons,
+    });
+    if (!this.supabase) return;
+    const { error } = await this.supabase.from("infracciones_tareas").insert({
+      id_estudiante: studentId || null,
+      id_clase: classId || null,
+      id_conversacion: conversationId || null,
+      etapa: stage,
+      politica: policy,
+      accion: action,
+      motivos: reasons || [],
+      mensaje: String(message || "").slice(0, 2000),
+    });
+    if (error) {
+      console.error("[homework-guard] log error:", error);
+    }
+  }
+
+  async listViolations(classId, { studentId, limit = 100 } = {}) {
+    let query = this.supabase
+      .from("infracciones_tareas")
+      .select("*")
+      .eq("id_clase", classId)
+      .order("creado_en", { ascending: false })
+      .limit(limit);
+    if (studentId) query = query.eq("id_estudiante", studentId);
+    const { data, error } = await query;
+    if (error) throw new Error(`list violations: ${error.message || error}`);
+    return data || [];
+  }
+}
+
+HomeworkGuard.POLICIES = POLICIES;
+
+module.exports = HomeworkGuard;
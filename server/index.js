@@ -1,19 +1,42 @@
-// Minimal Express server to proxy chat requests to an OpenAI-compatible API
-// Uses: OPENAI_API_KEY, OPENAI_BASE_URL (optional), OPENAI_MODEL
+// Express server for MentorIA: chat proxy, agents and Supabase-backed endpoints
+// LLM access goes through ./providers (see PROVIDER in .env)
 
 const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
 const { fetch } = require("undici");
 const path = require("path");
-const {
-  BedrockRuntimeClient,
-  InvokeModelCommand,
-  ConverseCommand,
-} = require("@aws-sdk/client-bedrock-runtime");
 const { createClient } = require("@supabase/supabase-js");
 const MCP = require("./mcp");
 const A2AAgent = require("./a2a-agent");
+const ConversationRepository = require("./conversation-repo");
+const HomeworkGuard = require("./homework-guard");
+const UsageTracker = require("./usage-tracker");
+const ChatToolbox = require("./chat-tools");
+const PromptRegistry = require("./prompt-registry");
+const ContextWindowManager = require("./context-window");
+const LearnerProfileService = require("./learner-profile");
+const PiiRedactor = require("./pii-redactor");
+const RubricWeights = require("./rubric-weights");
+const { createAnalysisRepository } = require("./analysis-repo");
+const ArgumentMapper = require("./argument-map");
+const {
+  createChallengeRepository,
+  publicChallenge,
+  STATUSES: CHALLENGE_STATUSES,
+} = require("./challenge-repo");
+const ChallengeEvaluator = require("./challenge-evaluator");
+const DraftComparer = require("./draft-compare");
+const { createRubricRepository, normalizeRubric } = require("./rubric-repo");
+const RubricEvaluator = require("./rubric-evaluator");
+const DevilsAdvocate = require("./devils-advocate");
+const ReadabilityAnalyzer = require("./readability");
+const {
+  createProviderChain,
+  ProviderError,
+  RedactingProvider,
+  buildUsage,
+} = require("./providers");
 
 // Ensure we always load the .env from the project root, even if run from a subfolder
 const rootEnvPath = path.resolve(__dirname, "../.env");
@@ -34,9 +57,22 @@ const PORT = process.env.PORT || 4000;
 app.use(cors());
 app.use(express.json());
 
-// Initialize MCP and A2A Agent
-const mcp = new MCP();
-const a2aAgent = new A2AAgent(mcp);
+// Shared LLM provider for the chat route and the agents
+// (PROVIDER_CHAIN enables fallback across providers, see ./providers)
+const llm = createProviderChain();
+console.log(
+  `[LLM] Using provider ${llm.name} (${
+    llm.status
+      ? llm
+          .status()
+          .map((l) => l.provider)
+          .join(" -> ")
+      : llm.model
+  })`
+);
+
+// Initialize MCP
+const mcp = new MCP({ llm });
 
 // Register agents with MCP
 mcp.registerAgent("student-agent", {
@@ -88,6 +124,116 @@ if (SUPABASE_URL && SUPABASE_SERVICE_ROLE) {
   );
 }
 
+// Conversation threads (server-owned chat history)
+const conversationRepo = supabaseServer
+  ? new ConversationRepository(supabaseServer)
+  : null;
+
+// Homework-request guard with per-class policy (strict | guided | open)
+const homeworkGuard = new HomeworkGuard(supabaseServer, {
+  defaultPolicy: process.env.HOMEWORK_POLICY_DEFAULT,
+});
+
+// LLM token usage accounting and quotas
+const usageTracker = new UsageTracker(supabaseServer);
+
+// Prompt budgeting: rolling summaries of long threads, pinned content
+const contextWindow = new ContextWindowManager({ llm, conversationRepo });
+
+// Personal data is masked before any text reaches an LLM provider
+const piiRedactor = new PiiRedactor(supabaseServer);
+
+// Student learning profiles used to personalize the tutor
+const learnerProfiles = new LearnerProfileService(supabaseServer, mcp);
+
+// Versioned system prompts per role (student tutor, teacher assistant, evaluator)
+const promptRegistry = new PromptRegistry(supabaseServer);
+
+// Teacher-defined weights of the analysis areas per class or activity
+const rubricWeights = new RubricWeights(supabaseServer);
+
+// Toulmin argument maps (same engine selection as the analysis)
+const argumentMapper = new ArgumentMapper({ llm, promptRegistry });
+
+// Argument analysis history (Supabase, or in memory without credentials)
+const analysisRepo = createAnalysisRepository(supabaseServer);
+
+// Micro-challenges on plan steps and the grading of their answers
+const challengeRepo = createChallengeRepository(supabaseServer);
+const challengeEvaluator = new ChallengeEvaluator({ llm, promptRegistry });
+
+// Sentence alignment, analysis deltas and praise between two drafts
+const draftComparer = new DraftComparer();
+
+// Teacher rubrics per activity and the evaluations of submissions with them
+const rubricRepo = createRubricRepository(supabaseServer);
+const rubricEvaluator = new RubricEvaluator({ llm, promptRegistry });
+
+// Counterarguments to the student's thesis, rebutted as micro-challenges
+const devilsAdvocate = new DevilsAdvocate({ llm, promptRegistry });
+
+// Spanish readability metrics and the check of generated texts against the
+// student's grade
+const readability = new ReadabilityAnalyzer();
+
+// Argument analysis agent (LLM with the evaluator prompt, heuristic fallback)
+const a2aAgent = new A2AAgent(mcp, {
+  llm,
+  promptRegistry,
+  rubricWeights,
+  analysisRepo,
+  challengeRepo,
+  readability,
+});
+
+// Server-side tools the chat model may call (function calling)
+const chatToolbox = new ChatToolbox({
+  supabase: supabaseServer,
+  a2aAgent,
+  mcp,
+});
+const MAX_TOOL_ROUNDS = Number(process.env.CHAT_MAX_TOOL_ROUNDS) || 4;
+
+// Admin-only endpoints require ADMIN_API_TOKEN as a Bearer token
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    return res
+      .status(503)
+      .json({ error: "Admin API disabled: ADMIN_API_TOKEN is not set" });
+  }
+  const header = req.headers.authorization || "";
+  if (header !== `Bearer ${token}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  return next();
+}
+
+// Role of the caller from its Bearer token: ADMIN_API_TOKEN -> "admin",
+// TEACHER_API_TOKEN -> "teacher"; anyone else is treated as a student
+function callerRole(req) {
+  const header = req.headers.authorization || "";
+  const { ADMIN_API_TOKEN: admin, TEACHER_API_TOKEN: teacher } = process.env;
+  if (admin && header === `Bearer ${admin}`) return "admin";
+  if (teacher && header === `Bearer ${teacher}`) return "teacher";
+  return "student";
+}
+
+// Class settings that students must not change require the teacher or
+// admin token
+function requireTeacher(req, res, next) {
+  if (!process.env.ADMIN_API_TOKEN && !process.env.TEACHER_API_TOKEN) {
+    return res.status(503).json({
+      error:
+        "Teacher API disabled: TEACHER_API_TOKEN or ADMIN_API_TOKEN is not set",
+    });
+  }
+  if (callerRole(req) === "student") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  return next();
+}
+
 // Create activity and guided plans per student for a class
 app.post("/api/activity-agent", async (req, res) => {
   try {
@@ -293,258 +439,1292 @@ app.post("/api/activity-agent", async (req, res) => {
       stats[key] = (stats[key] || 0) + 1;
     }
 
-    // 5) Respond
+    // 5) Respond
+    return res.json({
+      activity: { id_actividad, titulo },
+      stats: { estudiantes: studentIds.length, planes_creados: planesCreados },
+      por_estilo: {
+        visual: { estudiantes: stats.visual },
+        auditory: { estudiantes: stats.auditory },
+        kinesthetic: { estudiantes: stats.kinesthetic },
+        desconocido: { estudiantes: stats.desconocido },
+      },
+    });
+  } catch (err) {
+    console.error("[activity-agent] unexpected error", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Server-Sent Events helpers for streaming chat responses
+// A client opts in with `Accept: text/event-stream`, `?stream=1` or `{ stream: true }`
+function wantsEventStream(req) {
+  const flag = req.query?.stream;
+  if (flag === "1" || flag === "true" || req.body?.stream === true) {
+    return true;
+  }
+  return (req.headers.accept || "").includes("text/event-stream");
+}
+
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+}
+
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Emit a `done` event with usage/finish reason and close the stream
+function endEventStream(res, { type, finishReason, usage, ...rest }) {
+  sendEvent(res, "done", {
+    finishReason: finishReason || "stop",
+    usage: usage || null,
+    ...rest,
+  });
+  res.end();
+}
+
+// Report an upstream failure on an already-open stream
+function failEventStream(res, error, details) {
+  sendEvent(res, "error", { error, details });
+  res.end();
+}
+
+// Compose the system message: the client's own (or the default prompt) plus
+// server-enforced instructions that a client `system` message cannot drop
+function withSystemPrompt(messages, defaultSystem, ...instructions) {
+  const base =
+    messages.find((m) => m.role === "system")?.content || defaultSystem;
+  const system = [base, ...instructions].filter(Boolean).join("\n\n");
+  return [
+    { role: "system", content: system },
+    ...messages.filter((m) => m.role !== "system"),
+  ];
+}
+
+// Provider-shaped responder that always returns a fixed text
+function cannedResponder(content, name) {
+  const result = {
+    content,
+    finishReason: "guard",
+    usage: null,
+    provider: name,
+    model: null,
+  };
+  return {
+    name,
+    model: null,
+    chat: async () => result,
+    stream: async function* () {
+      yield { type: "delta", content };
+      yield { type: "done", finishReason: "guard", usage: null };
+    },
+  };
+}
+
+// Class of a conversation, through its activity
+async function resolveClassId(conversation) {
+  if (!conversation?.id_actividad || !supabaseServer) return null;
+  const { data, error } = await supabaseServer
+    .from("actividades")
+    .select("id_clase")
+    .eq("id_actividad", conversation.id_actividad)
+    .maybeSingle();
+  if (error) {
+    console.error("[CHAT] Failed to resolve class of conversation:", error);
+    return null;
+  }
+  return data?.id_clase || null;
+}
+
+// Class context for the prompt: topic (activity or course), grade and the
+// activity objective, which stays pinned in long conversations
+async function resolveClassContext(classId, activityId) {
+  if (!supabaseServer || (!classId && !activityId)) return {};
+  const variables = {};
+  if (activityId) {
+    const { data, error } = await supabaseServer
+      .from("actividades")
+      .select("titulo, objetivo")
+      .eq("id_actividad", activityId)
+      .maybeSingle();
+    if (error) console.error("[CHAT] Failed to load activity:", error);
+    if (data) {
+      variables.topic = `${data.titulo}: ${data.objetivo}`;
+      variables.objective = data.objetivo;
+    }
+  }
+  if (classId) {
+    const { data, error } = await supabaseServer
+      .from("clases")
+      .select("cursos(nombre, area, grado)")
+      .eq("id_clase", classId)
+      .maybeSingle();
+    if (error) console.error("[CHAT] Failed to load class course:", error);
+    const course = data?.cursos;
+    if (course) {
+      variables.grade = course.grado;
+      if (!variables.topic)
+        variables.topic = `${course.area} (${course.nombre})`;
+    }
+  }
+  return variables;
+}
+
+// Who the tokens of a request are charged to: student, class, their
+// institution (resolved when not given) and the client IP for anonymous use
+async function usageScopeFor(
+  req,
+  { studentId, classId, institutionId, conversationId } = {}
+) {
+  return {
+    studentId: studentId || null,
+    classId: classId || null,
+    institutionId:
+      institutionId ||
+      (await usageTracker.resolveInstitution(studentId, classId)),
+    conversationId: conversationId || null,
+    clientKey: req.ip,
+  };
+}
+
+// Quota gate in front of every route that spends tokens: answers 429 with
+// Retry-After and returns false when a quota of the scope is used up
+async function withinQuota(res, scope) {
+  const quota = await usageTracker.checkQuota(scope);
+  if (quota.allowed) return true;
+  quotaExceeded(res, quota);
+  return false;
+}
+
+// 429 answer for a used-up quota (`checkQuota` result)
+function quotaExceeded(res, quota) {
+  const retryAfter = Math.max(
+    1,
+    Math.ceil((Date.parse(quota.resetAt) - Date.now()) / 1000)
+  );
+  res.set("Retry-After", String(retryAfter));
+  const { allowed, ...details } = quota;
+  return res.status(429).json({ error: "Token quota exceeded", ...details });
+}
+
+// Record the tokens of a model call made by a route, from the `engine`
+// info of its result (analysis, map, evaluation...); calls that reported no
+// usage (heuristic engine) are skipped, failures only logged
+function recordEngineUsage(scope, route, engine, startedAt) {
+  if (!engine?.usage) return;
+  usageTracker
+    .record({
+      ...scope,
+      route,
+      provider: engine.provider,
+      model: engine.model,
+      promptVersionId: engine.promptVersionId,
+      usage: engine.usage,
+      latencyMs: Date.now() - startedAt,
+    })
+    .catch((e) => console.error(`[${route}] Usage record:`, e));
+}
+
+// Latest user turn from a client-sent messages array
+function lastUserContent(messages) {
+  if (!Array.isArray(messages)) return null;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i]?.role === "user") return messages[i].content;
+  }
+  return null;
+}
+
+// Sum token usage across several model calls (null when none reported)
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return usage;
+  return buildUsage(
+    total.promptTokens + usage.promptTokens,
+    total.completionTokens + usage.completionTokens
+  );
+}
+
+// Tool-calling loop: call the model, run any requested tools and feed the
+// results back until it answers in text or MAX_TOOL_ROUNDS is reached.
+// The last round still offers the tools (some APIs reject tool turns
+// otherwise) but its tool calls are ignored
+async function runToolLoop(responder, messages, options, context, onTool) {
+  let convo = messages;
+  let usage = null;
+  const tools = [];
+  for (let round = 0; ; round++) {
+    const result = await responder.chat(convo, options);
+    usage = addUsage(usage, result.usage);
+    if (!result.toolCalls?.length || round >= MAX_TOOL_ROUNDS) {
+      return { ...result, usage, tools };
+    }
+    convo = [
+      ...convo,
+      {
+        role: "assistant",
+        content: result.content,
+        toolCalls: result.toolCalls,
+      },
+    ];
+    // Tools may call a model of their own (analyze_argument): no round runs
+    // once a quota is used up, and their tokens are recorded per tool
+    const quota = await usageTracker.checkQuota(context.usageScope);
+    if (!quota.allowed) return { ...result, usage, tools, quota };
+    for (const call of result.toolCalls) {
+      const startedAt = Date.now();
+      const output = await chatToolbox.execute(
+        call.name,
+        call.arguments,
+        context
+      );
+      recordEngineUsage(
+        context.usageScope,
+        `chat_tool_${call.name}`,
+        output?.engine,
+        startedAt
+      );
+      const entry = { name: call.name, ok: !output?.error };
+      tools.push(entry);
+      if (onTool) onTool(entry);
+      convo.push({
+        role: "tool",
+        toolCallId: call.id,
+        name: call.name,
+        content: JSON.stringify(output),
+      });
+    }
+  }
+}
+
+// Chat pipeline shared by /api/chat and /api/conversations/:id/messages
+// With `conversationId` the server loads and stores the thread history;
+// otherwise the client-sent `messages` array is used as-is (stateless mode)
+async function handleChat(req, res) {
+  try {
+    const body = req.body || {};
+    const stream = wantsEventStream(req);
+
+    // Abort upstream generation when the client goes away mid-stream
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    res.on("close", () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+
+    // 1) Resolve the conversation history
+    let conversation = null;
+    let messages = body.messages;
+    if (body.conversationId) {
+      if (!conversationRepo) {
+        return res
+          .status(500)
+          .json({ error: "Supabase server credentials not configured" });
+      }
+      conversation = await conversationRepo.getConversation(
+        body.conversationId
+      );
+      if (!conversation) {
+        return res.status(404).json({ error: "Conversation not found" });
+      }
+      const content = body.message || lastUserContent(body.messages);
+      if (!content) {
+        return res.status(400).json({ error: "message is required" });
+      }
+      // Turns already folded into the running summary are not reloaded
+      const history = await conversationRepo.getMessages(
+        conversation.id_conversacion,
+        { since: conversation.resumen_hasta }
+      );
+      messages = [
+        ...history.map((m) => ({
+          role: m.role,
+          content: m.content,
+          createdAt: m.createdAt,
+        })),
+        { role: "user", content },
+      ];
+    } else if (!Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: "messages array is required" });
+    }
+
+    // 2) Token quotas for the student, class and institution
+    // A stored conversation's owner wins over a client-sent studentId
+    const studentId = conversation?.id_estudiante || body.studentId || null;
+    const classId = body.classId || (await resolveClassId(conversation));
+    const usageScope = await usageScopeFor(req, {
+      studentId,
+      classId,
+      institutionId: body.institutionId,
+      conversationId: conversation?.id_conversacion,
+    });
+    if (!(await withinQuota(res, usageScope))) return;
+
+    if (conversation) {
+      await conversationRepo.appendMessage(conversation, {
+        role: "user",
+        content: lastUserContent(messages),
+        learningStyle: body.learningStyle,
+      });
+    }
+
+    // Per-request redaction session; `upstream` is the provider chain with
+    // personal data masked on the way out and restored on the way back
+    const redaction = await piiRedactor.createSession({ classId, studentId });
+    const upstream = redaction ? new RedactingProvider(llm, redaction) : llm;
+
+    // 3) Homework guard: class policy and pre-generation request check
+    const policy = await homeworkGuard.getPolicy(classId);
+    const userText = lastUserContent(messages) || "";
+    const requestCheck = homeworkGuard.checkRequest(userText, policy);
+    const violation = {
+      studentId,
+      classId,
+      conversationId: conversation?.id_conversacion,
+      policy,
+    };
+    if (requestCheck.flagged) {
+      await homeworkGuard.logViolation({
+        ...violation,
+        stage: "request",
+        action: requestCheck.action,
+        reasons: requestCheck.matches,
+        message: userText,
+      });
+    }
+
+    // System prompt from the active template version for the caller's role;
+    // a client-sent system message replaces it (no template version then).
+    // The role comes from the Bearer token: without the teacher or admin
+    // token the caller is a student, and `body.role` can only downgrade
+    const role =
+      callerRole(req) !== "student" && body.role !== "student"
+        ? "teacher"
+        : "student";
+    const activityId = body.activityId || conversation?.id_actividad || null;
+    const clientSystem = messages.some((m) => m.role === "system");
+    const classContext = await resolveClassContext(classId, activityId);
+
+    // Personalize the student tutor with what is known about the learner
+    const profile =
+      role === "student"
+        ? await learnerProfiles.getProfile(studentId, { activityId })
+        : null;
+    const rendered = await promptRegistry.render(
+      role === "teacher" ? "teacher_assistant" : "student_tutor",
+      {
+        ...classContext,
+        learningStyle: body.learningStyle || profile?.learningStyle,
+        language: body.language,
+        ...(body.topic ? { topic: body.topic } : {}),
+      }
+    );
+    const prompt = clientSystem ? null : rendered.template;
+
+    const personalization = profile
+      ? {
+          learningStyle: profile.learningStyle,
+          inclusionNeeds: profile.inclusionNeeds.length,
+          activityId: profile.activity?.id || null,
+        }
+      : null;
+
+    // A fallback chain may mix vendors, so every provider gets the same prompt
+    messages = withSystemPrompt(
+      messages,
+      rendered.content,
+      homeworkGuard.instructionFor(policy),
+      learnerProfiles.instructionFor(profile)
+    );
+    const options = { signal };
+
+    // Strict classes get the refusal without calling the model
+    const responder =
+      requestCheck.action === "blocked"
+        ? cannedResponder(requestCheck.refusal, "homework-guard")
+        : upstream;
+
+    // Keep the prompt within the model's context window
+    let contextInfo = null;
+    if (responder === upstream) {
+      const thesis = body.thesis || conversation?.tesis || null;
+      if (conversation && body.thesis && body.thesis !== conversation.tesis) {
+        await conversationRepo.updateConversation(
+          conversation.id_conversacion,
+          { tesis: body.thesis }
+        );
+      }
+      const fitStartedAt = Date.now();
+      const fitted = await contextWindow.fit(messages, {
+        llm: upstream,
+        conversation,
+        pinned: {
+          objective: classContext.objective || profile?.activity?.objective,
+          thesis,
+        },
+        signal,
+      });
+      messages = fitted.messages;
+      contextInfo = {
+        summarized: fitted.summarized,
+        dropped: fitted.dropped,
+        hasSummary: Boolean(fitted.summary),
+      };
+      if (fitted.summaryCall) {
+        const { messages: sent, result } = fitted.summaryCall;
+        usageTracker
+          .record({
+            ...usageScope,
+            route: "chat_summary",
+            provider: result.provider,
+            model: result.model,
+            usage: usageTracker.normalizeUsage(
+              result.usage,
+              sent,
+              result.content
+            ),
+            latencyMs: Date.now() - fitStartedAt,
+          })
+          .catch((e) => console.error("[CHAT] Failed to record usage:", e));
+      }
+    }
+
+    // 4) Post-generation guard, then store the tutor turn
+    const completeReply = async (content) => {
+      const responseCheck = homeworkGuard.checkResponse(content, policy, {
+        requestFlagged: requestCheck.flagged,
+      });
+      if (responseCheck.flagged) {
+        await homeworkGuard.logViolation({
+          ...violation,
+          stage: "response",
+          action: responseCheck.action,
+          reasons: responseCheck.reasons,
+          message: content,
+        });
+      }
+      const replaced = responseCheck.action === "replaced";
+      const finalContent = replaced ? responseCheck.replacement : content;
+      const extra = {
+        guard: {
+          policy,
+          request: requestCheck.action,
+          response: responseCheck.action,
+        },
+        prompt,
+        context: contextInfo,
+        personalization,
+        redacted: redaction?.total ? redaction.summary() : null,
+      };
+      if (redaction) {
+        piiRedactor
+          .log(redaction, { route: "chat", ...violation })
+          .catch((e) => console.error("[CHAT] Failed to log redaction:", e));
+      }
+
+      if (!conversation || !finalContent) {
+        return { content: finalContent, replaced, extra };
+      }
+      try {
+        const saved = await conversationRepo.appendMessage(conversation, {
+          role: "assistant",
+          content: finalContent,
+          learningStyle: body.learningStyle,
+          promptVersionId: prompt?.id,
+        });
+        return {
+          content: finalContent,
+          replaced,
+          extra: {
+            ...extra,
+            conversationId: conversation.id_conversacion,
+            messageId: saved.id,
+          },
+        };
+      } catch (e) {
+        console.error("[CHAT] Failed to store assistant turn:", e);
+        return {
+          content: finalContent,
+          replaced,
+          extra: { ...extra, conversationId: conversation.id_conversacion },
+        };
+      }
+    };
+
+    // 5) Generate the reply, recording token usage and latency
+    const startedAt = Date.now();
+    const recordUsage = (usage, content, provider, model) => {
+      if (responder !== upstream) return null;
+      const normalized = usageTracker.normalizeUsage(usage, messages, content);
+      usageTracker
+        .record({
+          ...usageScope,
+          route: "chat",
+          provider,
+          model,
+          promptVersionId: prompt?.id,
+          usage: normalized,
+          latencyMs: Date.now() - startedAt,
+        })
+        .catch((e) => console.error("[CHAT] Failed to record usage:", e));
+      return normalized;
+    };
+
+    // Tools are offered only to providers that support them; the model
+    // sees the allow-listed set for the caller's role
+    const toolDefs =
+      responder === upstream && upstream.supportsTools && body.tools !== false
+        ? chatToolbox.forRole(role)
+        : [];
+    if (toolDefs.length > 0) {
+      // Student tools act on the owner of a stored conversation only, never
+      // on a client-sent studentId
+      const toolContext = {
+        role,
+        studentId:
+          role === "student" ? conversation?.id_estudiante || null : studentId,
+        classId,
+        activityId,
+        sessionId: conversation?.id_conversacion || body.sessionId,
+        redaction,
+        usageScope,
+      };
+      // Tool rounds are not streamed; progress goes out as `tool` events
+      const onTool = stream
+        ? (entry) => {
+            if (!res.headersSent) openEventStream(res);
+            sendEvent(res, "tool", entry);
+          }
+        : null;
+      let result;
+      try {
+        result = await runToolLoop(
+          responder,
+          messages,
+          { ...options, tools: toolDefs },
+          toolContext,
+          onTool
+        );
+      } catch (e) {
+        if (signal.aborted) return;
+        if (!res.headersSent) throw e;
+        return failEventStream(res, e.message, e.details);
+      }
+      if (signal.aborted) return;
+      const usage =
+        recordUsage(
+          result.usage,
+          result.content,
+          result.provider,
+          result.model
+        ) || result.usage;
+      if (result.quota) {
+        if (!res.headersSent) return quotaExceeded(res, result.quota);
+        const { allowed, ...details } = result.quota;
+        return failEventStream(res, "Token quota exceeded", details);
+      }
+      const reply = await completeReply(result.content);
+      const payload = {
+        finishReason: result.finishReason,
+        usage,
+        provider: result.provider,
+        model: result.model,
+        tools: result.tools,
+        ...reply.extra,
+      };
+      if (!stream) return res.json({ content: reply.content, ...payload });
+      if (!res.headersSent) openEventStream(res);
+      if (reply.content) sendEvent(res, "delta", { content: reply.content });
+      return endEventStream(res, payload);
+    }
+
+    if (!stream) {
+      const result = await responder.chat(messages, options);
+      const usage =
+        recordUsage(
+          result.usage,
+          result.content,
+          result.provider,
+          result.model
+        ) || result.usage;
+      const reply = await completeReply(result.content);
+      return res.json({
+        content: reply.content,
+        finishReason: result.finishReason,
+        usage,
+        provider: result.provider,
+        model: result.model,
+        ...reply.extra,
+      });
+    }
+
+    // Open the event stream lazily so failures before the first token
+    // still get a regular HTTP error status. Replies the guard may have to
+    // replace (flagged requests, strict classes) are held back and sent
+    // only once it has checked them, so no solution reaches the student
+    const holdBack =
+      policy !== "open" && (requestCheck.flagged || policy === "strict");
+    let opened = false;
+    let content = "";
+    try {
+      for await (const event of responder.stream(messages, options)) {
+        if (signal.aborted) return;
+        if (!opened) {
+          openEventStream(res);
+          opened = true;
+        }
+        if (event.type === "delta") {
+          content += event.content;
+          if (!holdBack) sendEvent(res, "delta", { content: event.content });
+        } else if (event.type === "done") {
+          const usage =
+            recordUsage(
+              event.usage,
+              content,
+              event.provider || responder.name,
+              event.model || responder.model
+            ) || event.usage;
+          const reply = await completeReply(content);
+          if (holdBack) {
+            if (reply.content) {
+              sendEvent(res, "delta", { content: reply.content });
+            }
+          } else if (reply.replaced) {
+            // Tokens already went out, so tell the client to swap the text
+            sendEvent(res, "replace", { content: reply.content });
+          }
+          return endEventStream(res, {
+            ...event,
+            usage,
+            provider: event.provider || responder.name,
+            model: event.model || responder.model,
+            ...reply.extra,
+          });
+        }
+      }
+      if (!opened) openEventStream(res);
+      const reply = await completeReply(content);
+      if (holdBack && reply.content) {
+        sendEvent(res, "delta", { content: reply.content });
+      }
+      return endEventStream(res, reply.extra);
+    } catch (e) {
+      if (signal.aborted) return;
+      if (!opened) throw e;
+      return failEventStream(res, e.message, e.details);
+    }
+  } catch (err) {
+    if (err instanceof ProviderError) {
+      return res.status(err.status).json({
+        error: err.message,
+        details: err.details,
+        attempts: err.attempts,
+      });
+    }
+    console.error("Chat error:", err);
+    if (res.headersSent) {
+      return failEventStream(res, "Internal server error");
+    }
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
+
+app.post("/api/chat", handleChat);
+
+// Create a conversation thread for a student
+app.post("/api/conversations", async (req, res) => {
+  try {
+    const { studentId, activityId, title } = req.body || {};
+    if (!studentId) {
+      return res.status(400).json({ error: "studentId is required" });
+    }
+    if (!conversationRepo) {
+      return res
+        .status(500)
+        .json({ error: "Supabase server credentials not configured" });
+    }
+
+    const conversation = await conversationRepo.createConversation({
+      studentId,
+      activityId,
+      title,
+    });
+    return res.status(201).json({ success: true, conversation });
+  } catch (error) {
+    console.error("[conversations] create error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List a student's threads, most recent first
+app.get("/api/conversations", async (req, res) => {
+  try {
+    const { studentId, status } = req.query;
+    if (!studentId) {
+      return res.status(400).json({ error: "studentId is required" });
+    }
+    if (!conversationRepo) {
+      return res
+        .status(500)
+        .json({ error: "Supabase server credentials not configured" });
+    }
+
+    const conversations = await conversationRepo.listConversations(studentId, {
+      status,
+    });
+    return res.json({ success: true, conversations });
+  } catch (error) {
+    console.error("[conversations] list error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Turns per page of GET /api/conversations/:conversationId
+const HISTORY_PAGE_SIZE = 200;
+const HISTORY_MAX_PAGE_SIZE = 1000;
+
+// Fetch a thread with its history (teacher review / client resume), newest
+// page first: ?limit= turns (default 200) and, while `hasMore`, the next
+// older page with ?before=<nextBefore>
+app.get("/api/conversations/:conversationId", async (req, res) => {
+  try {
+    const limit = req.query.limit
+      ? parseInt(req.query.limit, 10)
+      : HISTORY_PAGE_SIZE;
+    if (!(limit > 0 && limit <= HISTORY_MAX_PAGE_SIZE)) {
+      return res.status(400).json({
+        error: `limit must be between 1 and ${HISTORY_MAX_PAGE_SIZE}`,
+      });
+    }
+    const { before } = req.query;
+    if (before && isNaN(new Date(before))) {
+      return res.status(400).json({ error: "before must be a valid date" });
+    }
+    if (!conversationRepo) {
+      return res
+        .status(500)
+        .json({ error: "Supabase server credentials not configured" });
+    }
+
+    const conversation = await conversationRepo.getConversation(
+      req.params.conversationId
+    );
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    // One extra turn tells whether older ones remain
+    const page = await conversationRepo.getMessages(
+      conversation.id_conversacion,
+      { limit: limit + 1, before }
+    );
+    const hasMore = page.length > limit;
+    const messages = hasMore ? page.slice(1) : page;
+    return res.json({
+      success: true,
+      conversation,
+      messages,
+      hasMore,
+      nextBefore: hasMore ? messages[0].createdAt : null,
+    });
+  } catch (error) {
+    console.error("[conversations] get error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Append a student message to a thread and get the tutor reply (JSON or SSE)
+app.post("/api/conversations/:conversationId/messages", (req, res) => {
+  req.body = { ...(req.body || {}), conversationId: req.params.conversationId };
+  return handleChat(req, res);
+});
+
+// Read a class's homework policy
+app.get("/api/classes/:classId/homework-policy", async (req, res) => {
+  try {
+    const policy = await homeworkGuard.getPolicy(req.params.classId);
+    return res.json({ success: true, classId: req.params.classId, policy });
+  } catch (error) {
+    console.error("[homework-policy] get error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set a class's homework policy (strict | guided | open)
+app.put(
+  "/api/classes/:classId/homework-policy",
+  requireTeacher,
+  async (req, res) => {
+    try {
+      const { policy } = req.body || {};
+      if (!HomeworkGuard.POLICIES.includes(policy)) {
+        return res.status(400).json({
+          error: "Invalid policy",
+          allowed: HomeworkGuard.POLICIES,
+        });
+      }
+      if (!supabaseServer) {
+        return res
+          .status(500)
+          .json({ error: "Supabase server credentials not configured" });
+      }
+      await homeworkGuard.setPolicy(req.params.classId, policy);
+      return res.json({ success: true, classId: req.params.classId, policy });
+    } catch (error) {
+      console.error("[homework-policy] set error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Rubric weights of the argument analysis for a class or an activity
+// (an activity's weights override its class's; default is equal weights)
+const RUBRIC_SCOPES = { classes: "class", activities: "activity" };
+
+app.get(
+  "/api/:scope(classes|activities)/:scopeId/rubric-weights",
+  async (req, res) => {
+    try {
+      const scope = RUBRIC_SCOPES[req.params.scope];
+      const stored = await rubricWeights.get(scope, req.params.scopeId);
+      return res.json({
+        success: true,
+        scope,
+        scopeId: req.params.scopeId,
+        weights: stored || RubricWeights.DEFAULT_WEIGHTS,
+        source: stored ? scope : "default",
+      });
+    } catch (error) {
+      console.error("[rubric-weights] get error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Set the weights: { weights: { structure, content, reasoning, evidence,
+// criticalThinking, originality } }, any non-negative numbers
+app.put(
+  "/api/:scope(classes|activities)/:scopeId/rubric-weights",
+  requireTeacher,
+  async (req, res) => {
+    try {
+      const scope = RUBRIC_SCOPES[req.params.scope];
+      try {
+        RubricWeights.normalize(req.body?.weights);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: validationError.message,
+          areas: RubricWeights.AREAS,
+        });
+      }
+      if (!supabaseServer) {
+        return res
+          .status(500)
+          .json({ error: "Supabase server credentials not configured" });
+      }
+      const weights = await rubricWeights.set(
+        scope,
+        req.params.scopeId,
+        req.body.weights
+      );
+      return res.json({
+        success: true,
+        scope,
+        scopeId: req.params.scopeId,
+        weights,
+      });
+    } catch (error) {
+      console.error("[rubric-weights] set error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Teacher rubrics of an activity: criteria with weights, the analysis area
+// each one is linked to and performance levels with descriptors
+// Body: { name, description, criteria: [{ id, name, description, weight,
+// dimension, levels: [{ score, label, descriptor }] }] }
+app.get("/api/activities/:activityId/rubrics", async (req, res) => {
+  try {
+    const rubrics = await rubricRepo.list({
+      activityId: req.params.activityId,
+    });
+    return res.json({
+      success: true,
+      activityId: req.params.activityId,
+      rubrics,
+    });
+  } catch (error) {
+    console.error("[rubrics] list error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post(
+  "/api/activities/:activityId/rubrics",
+  requireTeacher,
+  async (req, res) => {
+    try {
+      let rubric;
+      try {
+        rubric = normalizeRubric(req.body);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: validationError.message,
+          dimensions: RubricWeights.AREAS,
+        });
+      }
+      const created = await rubricRepo.create(req.params.activityId, rubric);
+      return res.status(201).json({ success: true, rubric: created });
+    } catch (error) {
+      console.error("[rubrics] create error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+app.get("/api/rubrics/:rubricId", async (req, res) => {
+  try {
+    const rubric = await rubricRepo.get(req.params.rubricId);
+    if (!rubric) {
+      return res.status(404).json({ error: "Rúbrica no encontrada" });
+    }
+    return res.json({ success: true, rubric });
+  } catch (error) {
+    console.error("[rubrics] get error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put("/api/rubrics/:rubricId", requireTeacher, async (req, res) => {
+  try {
+    let rubric;
+    try {
+      rubric = normalizeRubric(req.body);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: validationError.message,
+        dimensions: RubricWeights.AREAS,
+      });
+    }
+    const updated = await rubricRepo.update(req.params.rubricId, rubric);
+    if (!updated) {
+      return res.status(404).json({ error: "Rúbrica no encontrada" });
+    }
+    return res.json({ success: true, rubric: updated });
+  } catch (error) {
+    console.error("[rubrics] update error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete("/api/rubrics/:rubricId", requireTeacher, async (req, res) => {
+  try {
+    const removed = await rubricRepo.remove(req.params.rubricId);
+    if (!removed) {
+      return res.status(404).json({ error: "Rúbrica no encontrada" });
+    }
+    return res.json({ success: true, rubricId: req.params.rubricId });
+  } catch (error) {
+    console.error("[rubrics] delete error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Score a submission (`entregas`) with a rubric of its activity and store
+// the result in `evaluaciones` / `retroalimentaciones`
+// Body: { submissionId } or, to try a rubric without storing anything,
+// { text, context }
+app.post(
+  "/api/rubrics/:rubricId/evaluations",
+  requireTeacher,
+  async (req, res) => {
+    try {
+      const { submissionId, text: sampleText } = req.body || {};
+      if (!submissionId && !sampleText) {
+        return res
+          .status(400)
+          .json({ error: "submissionId or text is required" });
+      }
+      const rubric = await rubricRepo.get(req.params.rubricId);
+      if (!rubric) {
+        return res.status(404).json({ error: "Rúbrica no encontrada" });
+      }
+
+      let submission = null;
+      if (submissionId) {
+        submission = await rubricRepo.getSubmission(submissionId);
+        if (!submission) {
+          return res.status(404).json({ error: "Entrega no encontrada" });
+        }
+        if (submission.activityId !== rubric.activityId) {
+          return res.status(422).json({
+            error: "La rúbrica no pertenece a la actividad de la entrega",
+          });
+        }
+      }
+      const original = submission ? submission.text : sampleText;
+      const context = {
+        ...(req.body.context || {}),
+        ...(submission && {
+          studentId: submission.studentId,
+          classId: submission.classId,
+          activityId: submission.activityId,
+        }),
+      };
+      const usageScope = await usageScopeFor(req, context);
+      if (!(await withinQuota(res, usageScope))) return;
+
+      // Analysis and grading see the masked text; results are restored
+      const redaction = await piiRedactor.createSession({
+        classId: context.classId,
+        studentId: context.studentId,
+      });
+      const text = redaction ? redaction.redact(original) : original;
+      let startedAt = Date.now();
+      const analysis = await a2aAgent.performArgumentAnalysis(text, context);
+      recordEngineUsage(
+        usageScope,
+        "rubric_evaluation",
+        analysis.engine,
+        startedAt
+      );
+      startedAt = Date.now();
+      let evaluation = await rubricEvaluator.evaluate(
+        rubric,
+        text,
+        analysis,
+        context
+      );
+      recordEngineUsage(
+        usageScope,
+        "rubric_evaluation",
+        evaluation.engine,
+        startedAt
+      );
+      if (redaction) {
+        evaluation = redaction.restoreDeep(evaluation);
+        piiRedactor
+          .log(redaction, {
+            route: "rubric_evaluation",
+            studentId: context.studentId,
+            classId: context.classId,
+          })
+          .catch((e) => console.error("[rubrics] Redaction log:", e));
+      }
+
+      const stored = submission
+        ? await rubricRepo.saveEvaluation({
+            submission,
+            rubric,
+            evaluation,
+            analysis,
+          })
+        : null;
+      return res.status(stored ? 201 : 200).json({
+        success: true,
+        submissionId: submission?.id || null,
+        ...stored,
+        evaluation,
+      });
+    } catch (error) {
+      console.error("[rubrics] evaluation error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Logged homework-request violations for a class (teacher review)
+app.get("/api/classes/:classId/homework-violations", async (req, res) => {
+  try {
+    if (!supabaseServer) {
+      return res
+        .status(500)
+        .json({ error: "Supabase server credentials not configured" });
+    }
+    const violations = await homeworkGuard.listViolations(req.params.classId, {
+      studentId: req.query.studentId,
+    });
+    return res.json({ success: true, violations });
+  } catch (error) {
+    console.error("[homework-violations] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Token usage report for administrators
+// Query: from, to (ISO dates, default current month), groupBy
+// (student | class | institution | model | provider), studentId, classId, institutionId
+app.get("/api/admin/usage", requireAdmin, async (req, res) => {
+  try {
+    if (!supabaseServer) {
+      return res
+        .status(500)
+        .json({ error: "Supabase server credentials not configured" });
+    }
+    const now = new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = req.query.to ? new Date(req.query.to) : now;
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: "from/to must be valid dates" });
+    }
+
+    const report = await usageTracker.report({
+      from,
+      to,
+      groupBy: req.query.groupBy || "student",
+      filters: {
+        student: req.query.studentId,
+        class: req.query.classId,
+        institution: req.query.institutionId,
+      },
+    });
+    return res.json({ success: true, report });
+  } catch (error) {
+    console.error("[admin-usage] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set daily/monthly token quotas for a student, class or institution
+app.put("/api/admin/quotas/:scope/:scopeId", requireAdmin, async (req, res) => {
+  try {
+    const { scope, scopeId } = req.params;
+    const { dailyTokens, monthlyTokens } = req.body || {};
+    if (!UsageTracker.SCOPES.includes(scope)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid scope", allowed: UsageTracker.SCOPES });
+    }
+    if (!supabaseServer) {
+      return res
+        .status(500)
+        .json({ error: "Supabase server credentials not configured" });
+    }
+    await usageTracker.setQuota(scope, scopeId, { dailyTokens, monthlyTokens });
+    return res.json({
+      success: true,
+      quota: { scope, scopeId, dailyTokens, monthlyTokens },
+    });
+  } catch (error) {
+    console.error("[admin-quotas] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Active version of every prompt template
+app.get("/api/admin/prompts", requireAdmin, async (req, res) => {
+  try {
+    const templates = await Promise.all(
+      PromptRegistry.NAMES.map((name) => promptRegistry.getActive(name))
+    );
     return res.json({
-      activity: { id_actividad, titulo },
-      stats: { estudiantes: studentIds.length, planes_creados: planesCreados },
-      por_estilo: {
-        visual: { estudiantes: stats.visual },
-        auditory: { estudiantes: stats.auditory },
-        kinesthetic: { estudiantes: stats.kinesthetic },
-        desconocido: { estudiantes: stats.desconocido },
-      },
+      success: true,
+      variables: PromptRegistry.VARIABLES,
+      templates,
     });
-  } catch (err) {
-    console.error("[activity-agent] unexpected error", err);
-    return res.status(500).json({ error: "Internal server error" });
+  } catch (error) {
+    console.error("[admin-prompts] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/chat", async (req, res) => {
+// Version history of one template
+app.get("/api/admin/prompts/:name", requireAdmin, async (req, res) => {
   try {
-    const { messages } = req.body || {};
-    if (!Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ error: "messages array is required" });
+    const { name } = req.params;
+    if (!PromptRegistry.NAMES.includes(name)) {
+      return res.status(400).json({
+        error: "Invalid template name",
+        allowed: PromptRegistry.NAMES,
+      });
     }
-
-    // Modo demo - respuestas simuladas
-    if ((process.env.PROVIDER || "openai") === "demo") {
-      const lastMessage = messages[messages.length - 1]?.content || "";
-
-      // Respuestas simuladas según el contenido
-      let response = "Hola! Soy MentorIA en modo demo. ";
-
-      if (
-        lastMessage.toLowerCase().includes("argumento") ||
-        lastMessage.toLowerCase().includes("creo que")
-      ) {
-        response +=
-          "He detectado que quieres analizar un argumento. En modo demo, te sugiero: 1) Identificar tu tesis principal, 2) Listar 2-3 evidencias que la respalden, 3) Considerar contraargumentos. ¿Te gustaría que profundice en alguno de estos puntos?";
-      } else if (
-        lastMessage.toLowerCase().includes("actividad") ||
-        lastMessage.toLowerCase().includes("ejercicio")
-      ) {
-        response +=
-          "Para crear una actividad inclusiva, considera: 1) Objetivos claros, 2) Adaptaciones por estilo de aprendizaje (visual, auditivo, kinestésico), 3) Evaluación formativa. ¿Qué tema te interesa desarrollar?";
-      } else {
-        response +=
-          "Puedo ayudarte con análisis de argumentos, creación de actividades inclusivas, y seguimiento de progreso cognitivo. ¿En qué te gustaría trabajar?";
-      }
-
-      return res.json({ content: response });
+    if (!supabaseServer) {
+      return res
+        .status(500)
+        .json({ error: "Supabase server credentials not configured" });
     }
+    const versions = await promptRegistry.listVersions(name);
+    return res.json({ success: true, name, versions });
+  } catch (error) {
+    console.error("[admin-prompts] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if ((process.env.PROVIDER || "openai") === "bedrock") {
-      const region = process.env.AWS_REGION || "us-east-1";
-      const modelId =
-        process.env.BEDROCK_MODEL_ID ||
-        "anthropic.claude-3-5-sonnet-20241022-v1:0";
-
-      // Sistema socrático para MentorIA
-      const systemPrompt = `Eres MentorIA, un asistente educativo especializado en desarrollar pensamiento crítico y análisis de argumentos.
-
-REGLAS FUNDAMENTALES:
-1. SIEMPRE responde la pregunta del estudiante de manera educativa y útil.
-2. Si el estudiante pide "hazme", "resuélveme", "dame la respuesta", responde: "No puedo hacer tu tarea, pero puedo guiarte para que la hagas tú mismo. ¿Qué parte específica te gustaría explorar?"
-3. Usa preguntas socráticas para profundizar el aprendizaje DESPUÉS de responder.
-4. Detecta cuando el estudiante presenta un argumento y analiza su estructura.
-5. Fomenta el pensamiento crítico y la reflexión profunda.
-
-EJEMPLOS DE RESPUESTAS CORRECTAS:
-- Pregunta: "¿Qué es una función?"
-  Respuesta: "Una función es una relación entre dos conjuntos donde cada elemento del primer conjunto se relaciona con exactamente un elemento del segundo conjunto. En matemáticas, es como una 'máquina' que toma una entrada y produce una salida. ¿Te gustaría que exploremos algún ejemplo específico o tienes alguna aplicación en mente?"
-
-- Pregunta: "Hazme el resumen"
-  Respuesta: "No puedo hacer tu resumen, pero puedo guiarte para que lo hagas tú mismo. ¿Qué parte del tema te parece más importante? ¿Has identificado las ideas principales?"
-
-OBJETIVO: Educar y desarrollar pensamiento independiente y crítico en el estudiante.`;
-
-      const systemMsg =
-        messages.find((m) => m.role === "system")?.content || systemPrompt;
-      const nonSystem = messages.filter((m) => m.role !== "system");
-
-      const client = new BedrockRuntimeClient({ region });
-
-      // Use Converse API for AI21 Jamba models
-      if (modelId.startsWith("ai21.")) {
-        const convMessages = [];
-        if (systemMsg) {
-          convMessages.push({ role: "system", content: [{ text: systemMsg }] });
-        }
-        for (const m of nonSystem) {
-          const role = m.role === "assistant" ? "assistant" : "user";
-          convMessages.push({ role, content: [{ text: m.content }] });
-        }
-        try {
-          const command = new ConverseCommand({
-            modelId,
-            messages: convMessages,
-            inferenceConfig: { maxTokens: 512, temperature: 0.7 },
-          });
-          const response = await client.send(command);
-          const content = response?.output?.message?.content?.[0]?.text || "";
-          return res.json({ content });
-        } catch (e) {
-          console.error("[CHAT][Upstream error]", {
-            provider: "bedrock",
-            api: "converse",
-            modelId,
-            region,
-            details: String(e),
-          });
-          return res
-            .status(502)
-            .json({ error: "Upstream error", details: String(e) });
-        }
-      }
-
-      // Use Titan Text schema for Amazon Titan models
-      if (modelId.startsWith("amazon.titan-")) {
-        // Build a single prompt by concatenating conversation
-        // You can customize this prompt template as needed
-        const parts = [];
-        if (systemMsg) parts.push(`System: ${systemMsg}`);
-        for (const m of nonSystem) {
-          const role = m.role === "assistant" ? "Assistant" : "User";
-          parts.push(`${role}: ${m.content}`);
-        }
-        parts.push("Assistant:");
-        const inputText = parts.join("\n");
-
-        const titanBody = {
-          inputText,
-          textGenerationConfig: {
-            temperature: 0.7,
-            maxTokenCount: 512,
-            topP: 0.9,
-            stopSequences: [],
-          },
-        };
-
-        try {
-          const command = new InvokeModelCommand({
-            modelId,
-            contentType: "application/json",
-            accept: "application/json",
-            body: JSON.stringify(titanBody),
-          });
-          const response = await client.send(command);
-          const json = JSON.parse(new TextDecoder().decode(response.body));
-          const content = json?.results?.[0]?.outputText || "";
-          return res.json({ content });
-        } catch (e) {
-          console.error("[CHAT][Upstream error]", {
-            provider: "bedrock",
-            api: "invoke",
-            modelId,
-            region,
-            details: String(e),
-          });
-          return res
-            .status(502)
-            .json({ error: "Upstream error", details: String(e) });
-        }
-      }
-
-      // Default to Anthropic Claude schema for other Bedrock models
-      const convo = nonSystem.map((m) => ({
-        role: m.role === "assistant" ? "assistant" : "user",
-        content: [{ type: "text", text: m.content }],
-      }));
-      const body = {
-        anthropic_version: "bedrock-2023-05-31",
-        max_tokens: 512,
-        temperature: 0.7,
-        system: systemMsg,
-        messages: convo,
-      };
+// Create a new version of a template ({ content, description, activate })
+app.post("/api/admin/prompts/:name", requireAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { content, description, activate } = req.body || {};
+    if (!PromptRegistry.NAMES.includes(name)) {
+      return res.status(400).json({
+        error: "Invalid template name",
+        allowed: PromptRegistry.NAMES,
+      });
+    }
+    if (!content || typeof content !== "string") {
+      return res.status(400).json({ error: "content is required" });
+    }
+    if (!supabaseServer) {
+      return res
+        .status(500)
+        .json({ error: "Supabase server credentials not configured" });
+    }
+    const version = await promptRegistry.createVersion(name, {
+      content,
+      description,
+      activate: Boolean(activate),
+    });
+    return res.status(201).json({ success: true, version });
+  } catch (error) {
+    console.error("[admin-prompts] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-      try {
-        const command = new InvokeModelCommand({
-          modelId,
-          contentType: "application/json",
-          accept: "application/json",
-          body: JSON.stringify(body),
-        });
-        const response = await client.send(command);
-        const json = JSON.parse(new TextDecoder().decode(response.body));
-        const content = json?.content?.[0]?.text || "";
-        return res.json({ content });
-      } catch (e) {
-        console.error("[CHAT][Upstream error]", {
-          provider: "bedrock",
-          modelId,
-          region,
-          details: String(e),
+// Activate a version; the chat uses it from the next request on
+app.post(
+  "/api/admin/prompts/:name/versions/:version/activate",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+      const version = Number(req.params.version);
+      if (!PromptRegistry.NAMES.includes(name)) {
+        return res.status(400).json({
+          error: "Invalid template name",
+          allowed: PromptRegistry.NAMES,
         });
-        return res
-          .status(502)
-          .json({ error: "Upstream error", details: String(e) });
       }
-    } else {
-      const apiKey = process.env.OPENAI_API_KEY;
-      const baseUrl =
-        process.env.OPENAI_BASE_URL || "https://api.openai.com/v1";
-      const model = process.env.OPENAI_MODEL || "gpt-4o-mini";
-
-      if (!apiKey) {
-        console.error(
-          "[CHAT] Missing OPENAI_API_KEY. Check your .env at project root."
-        );
-        return res.status(500).json({ error: "OPENAI_API_KEY is not set" });
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({ error: "Invalid version" });
       }
-
-      const headers = {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      };
-      if (process.env.OPENAI_ORG_ID)
-        headers["OpenAI-Organization"] = process.env.OPENAI_ORG_ID;
-      if (process.env.OPENAI_PROJECT)
-        headers["OpenAI-Project"] = process.env.OPENAI_PROJECT;
-
-      const response = await fetch(`${baseUrl}/chat/completions`, {
-        method: "POST",
-        headers,
-        body: JSON.stringify({
-          model,
-          messages,
-          temperature: 0.7,
-        }),
-      });
-
-      if (!response.ok) {
-        const text = await response.text();
-        console.error("[CHAT][Upstream error]", {
-          status: response.status,
-          baseUrl,
-          model,
-          details: text,
-        });
+      if (!supabaseServer) {
         return res
-          .status(response.status)
-          .json({ error: "Upstream error", details: text });
+          .status(500)
+          .json({ error: "Supabase server credentials not configured" });
       }
-
-      const data = await response.json();
-      const content = data?.choices?.[0]?.message?.content || "";
-      return res.json({ content });
+      const activated = await promptRegistry.activate(name, version);
+      if (!activated) {
+        return res.status(404).json({ error: "Prompt version not found" });
+      }
+      return res.json({ success: true, version: activated });
+    } catch (error) {
+      console.error("[admin-prompts] Error:", error);
+      return res.status(500).json({ success: false, error: error.message });
     }
-  } catch (err) {
-    console.error("Chat error:", err);
-    return res.status(500).json({ error: "Internal server error" });
   }
-});
+);
 
 // Enhanced analytics endpoint with A2A agent integration
 app.post("/api/insights", async (req, res) => {
@@ -577,23 +1757,40 @@ app.post("/api/insights", async (req, res) => {
 // New endpoint for argument analysis using A2A agent
 app.post("/api/analyze-argument", async (req, res) => {
   try {
-    const { studentText, sessionId, context } = req.body || {};
+    const { studentText, sessionId, context: bodyContext } = req.body || {};
 
     if (!studentText) {
       return res.status(400).json({ error: "studentText is required" });
     }
 
+    // The course grade lets the generated feedback be checked against it
+    const classContext = await resolveClassContext(
+      bodyContext?.classId,
+      bodyContext?.activityId
+    );
+    const context = { ...classContext, ...(bodyContext || {}) };
+    const usageScope = await usageScopeFor(req, context);
+    if (!(await withinQuota(res, usageScope))) return;
+
+    // Personal data is masked for the analysis, its storage and any LLM call
+    const redaction = await piiRedactor.createSession({
+      classId: context.classId,
+      studentId: context.studentId,
+    });
+    const text = redaction ? redaction.redact(studentText) : studentText;
+
     // Set context in MCP
     if (sessionId) {
       mcp.setContext(sessionId, {
         ...context,
-        studentText: studentText,
+        studentText: text,
         timestamp: Date.now(),
       });
     }
 
     // Use A2A agent to analyze the argument
-    const analysis = await a2aAgent.analyzeArgument(studentText, {
+    const startedAt = Date.now();
+    const analysis = await a2aAgent.analyzeArgument(text, {
       sessionId: sessionId || "default",
       ...context,
     });
@@ -602,10 +1799,11 @@ app.post("/api/analyze-argument", async (req, res) => {
     if (supabaseServer && sessionId) {
       try {
         const { error } = await supabaseServer.from("interacciones_ia").insert({
-          id_estudiante: context?.studentId || null,
+          id_estudiante: context.studentId || null,
           rol: "AgenteIA",
           mensaje: JSON.stringify(analysis),
-          estilo_aprendizaje: context?.learningStyle || null,
+          estilo_aprendizaje: context.learningStyle || null,
+          id_version_prompt: analysis.analysis.engine.promptVersionId || null,
         });
 
         if (error) {
@@ -616,9 +1814,28 @@ app.post("/api/analyze-argument", async (req, res) => {
       }
     }
 
+    recordEngineUsage(
+      usageScope,
+      "analyze_argument",
+      analysis.analysis.engine,
+      startedAt
+    );
+
+    if (redaction) {
+      piiRedactor
+        .log(redaction, {
+          route: "analyze_argument",
+          studentId: context.studentId,
+          classId: context.classId,
+        })
+        .catch((e) => console.error("[analyze-argument] Redaction log:", e));
+    }
+
     return res.status(200).json({
       success: true,
-      analysis: analysis,
+      analysis: redaction
+        ? redaction.restoreSpans(analysis, studentText)
+        : analysis,
     });
   } catch (error) {
     console.error("[analyze-argument] Error:", error);
@@ -629,6 +1846,386 @@ app.post("/api/analyze-argument", async (req, res) => {
   }
 });
 
+// Toulmin map of a student text: claims, grounds, warrants, backing,
+// qualifiers and rebuttals as a graph, with unsupported claims and dangling
+// evidence flagged. `format` adds a rendering: "mermaid" or "dot"
+app.post("/api/argument-map", async (req, res) => {
+  try {
+    const { studentText, context, format = "json" } = req.body || {};
+
+    if (!studentText) {
+      return res.status(400).json({ error: "studentText is required" });
+    }
+    if (!ArgumentMapper.FORMATS.includes(format)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid format", allowed: ArgumentMapper.FORMATS });
+    }
+
+    const usageScope = await usageScopeFor(req, context || {});
+    if (!(await withinQuota(res, usageScope))) return;
+
+    const redaction = await piiRedactor.createSession({
+      classId: context?.classId,
+      studentId: context?.studentId,
+    });
+    const text = redaction ? redaction.redact(studentText) : studentText;
+
+    const startedAt = Date.now();
+    let map = await argumentMapper.extract(text, context || {});
+    recordEngineUsage(usageScope, "argument_map", map.engine, startedAt);
+    if (redaction) {
+      piiRedactor
+        .log(redaction, {
+          route: "argument_map",
+          studentId: context?.studentId,
+          classId: context?.classId,
+        })
+        .catch((e) => console.error("[argument-map] Redaction log:", e));
+      // Offsets refer to the redacted text; relocate nodes in the original
+      map = redaction.restoreDeep(map);
+      for (const node of map.nodes) {
+        node.span = argumentMapper.locate(studentText, node.text);
+      }
+    }
+
+    const rendered =
+      format === "mermaid"
+        ? argumentMapper.toMermaid(map)
+        : format === "dot"
+        ? argumentMapper.toDot(map)
+        : null;
+    return res.status(200).json({
+      success: true,
+      map,
+      ...(rendered && { format, rendered }),
+    });
+  } catch (error) {
+    console.error("[argument-map] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Compare two drafts of an argument. Each side is a text (analyzed now) or
+// a stored analysis of the same student: { previousText | previousAnalysisId,
+// currentText | currentAnalysisId, context }. Stored analyses keep only the
+// masked text, so when one side is stored both are compared masked
+app.post("/api/compare-drafts", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const context = body.context || {};
+    const sides = {
+      previous: {
+        text: body.previousText,
+        analysisId: body.previousAnalysisId,
+      },
+      current: { text: body.currentText, analysisId: body.currentAnalysisId },
+    };
+    for (const [name, side] of Object.entries(sides)) {
+      if (!side.text && !side.analysisId) {
+        return res
+          .status(400)
+          .json({ error: `${name}Text or ${name}AnalysisId is required` });
+      }
+    }
+
+    // Stored analyses keep their (already masked) text
+    const drafts = {};
+    for (const [name, side] of Object.entries(sides)) {
+      if (side.text) continue;
+      const record = await analysisRepo.get(side.analysisId);
+      if (
+        !record ||
+        (record.studentId || null) !== (context.studentId || null)
+      ) {
+        return res
+          .status(404)
+          .json({ error: `Análisis no encontrado: ${side.analysisId}` });
+      }
+      if (!record.text) {
+        return res.status(422).json({
+          error: `El análisis ${side.analysisId} no guarda el texto analizado`,
+        });
+      }
+      drafts[name] = { text: record.text, analysis: record.analysis };
+    }
+
+    const usageScope = await usageScopeFor(req, context);
+    if (!(await withinQuota(res, usageScope))) return;
+
+    // New texts are analyzed masked; results point into the original text
+    // unless the other side is a stored (masked) draft
+    const redaction = await piiRedactor.createSession({
+      classId: context.classId,
+      studentId: context.studentId,
+    });
+    const compareMasked = Object.keys(drafts).length > 0;
+    for (const [name, side] of Object.entries(sides)) {
+      if (!side.text) continue;
+      const text = redaction ? redaction.redact(side.text) : side.text;
+      const startedAt = Date.now();
+      let analysis = await a2aAgent.performArgumentAnalysis(text, context);
+      recordEngineUsage(
+        usageScope,
+        "compare_drafts",
+        analysis.engine,
+        startedAt
+      );
+      if (compareMasked) {
+        drafts[name] = { text, analysis };
+        continue;
+      }
+      if (redaction) analysis = redaction.restoreSpans(analysis, side.text);
+      drafts[name] = { text: side.text, analysis };
+    }
+    if (redaction) {
+      piiRedactor
+        .log(redaction, {
+          route: "compare_drafts",
+          studentId: context.studentId,
+          classId: context.classId,
+        })
+        .catch((e) => console.error("[compare-drafts] Redaction log:", e));
+    }
+
+    return res.status(200).json({
+      success: true,
+      comparison: draftComparer.compare(drafts.previous, drafts.current),
+    });
+  } catch (error) {
+    console.error("[compare-drafts] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Devil's advocate: the strongest objections to the student's thesis, at
+// the level of their grade. Each objection is stored as a micro-challenge
+// (skill "rebuttal") that the student answers through
+// /api/micro-challenges/:challengeId/answers, where the rebuttal is graded
+// on whether it really addresses the objection
+app.post("/api/devils-advocate", async (req, res) => {
+  try {
+    const { studentText, context: bodyContext } = req.body || {};
+    if (!studentText) {
+      return res.status(400).json({ error: "studentText is required" });
+    }
+    const classContext = await resolveClassContext(
+      bodyContext?.classId,
+      bodyContext?.activityId
+    );
+    const context = { ...classContext, ...(bodyContext || {}) };
+
+    // Without a position of its own there is nothing to defend; checked
+    // before the model is called so such texts spend no tokens
+    const noThesis = (engine) =>
+      res.status(422).json({
+        error:
+          "No encontramos una tesis que defender. Escribe primero tu posición (por ejemplo: 'Creo que...').",
+        ...(engine && { engine }),
+      });
+    if (
+      !devilsAdvocate.hasThesis(studentText) &&
+      !a2aAgent.detectThesis(studentText)
+    ) {
+      return noThesis();
+    }
+
+    const usageScope = await usageScopeFor(req, context);
+    if (!(await withinQuota(res, usageScope))) return;
+
+    // The model and the stored challenges see the masked text
+    const redaction = await piiRedactor.createSession({
+      classId: context.classId,
+      studentId: context.studentId,
+    });
+    const text = redaction ? redaction.redact(studentText) : studentText;
+    const startedAt = Date.now();
+    const result = await devilsAdvocate.generate(text, context);
+    recordEngineUsage(usageScope, "devils_advocate", result.engine, startedAt);
+    if (redaction) {
+      piiRedactor
+        .log(redaction, {
+          route: "devils_advocate",
+          studentId: context.studentId,
+          classId: context.classId,
+        })
+        .catch((e) => console.error("[devils-advocate] Redaction log:", e));
+    }
+
+    // The model may still find no thesis to argue against
+    if (!result.thesis) return noThesis(result.engine);
+
+    const counterarguments = await Promise.all(
+      result.counterarguments.map(async (counterargument) => {
+        const challenge = devilsAdvocate.toChallenge(
+          result.thesis,
+          counterargument
+        );
+        return {
+          ...counterargument,
+          challenge: await a2aAgent.storeChallenge(context, {
+            ...challenge,
+            hints: a2aAgent.hintLadder(challenge.hints),
+          }),
+        };
+      })
+    );
+    const response = { ...result, counterarguments };
+    return res.status(200).json({
+      success: true,
+      ...(redaction ? redaction.restoreSpans(response, studentText) : response),
+    });
+  } catch (error) {
+    console.error("[devils-advocate] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Micro-challenges with their status (pending | passed | retry) and the
+// hints used, for a student or, for the teacher, a whole activity
+// Query: studentId and/or activityId (at least one), stepId, status, limit
+app.get("/api/micro-challenges", async (req, res) => {
+  try {
+    const { studentId, activityId, stepId, status } = req.query;
+    if (!studentId && !activityId) {
+      return res
+        .status(400)
+        .json({ error: "studentId or activityId is required" });
+    }
+    if (status && !CHALLENGE_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid status", allowed: CHALLENGE_STATUSES });
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const challenges = await challengeRepo.list({
+      studentId,
+      activityId,
+      stepId,
+      status,
+      limit,
+    });
+    return res
+      .status(200)
+      .json({ success: true, challenges: challenges.map(publicChallenge) });
+  } catch (error) {
+    console.error("[micro-challenges] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Answer a micro-challenge: the answer is graded against the challenge's
+// acceptance criterion, stored with its grade and the status updated
+app.post("/api/micro-challenges/:challengeId/answers", async (req, res) => {
+  try {
+    const { studentId, answer, context } = req.body || {};
+    if (!studentId || typeof answer !== "string" || !answer.trim()) {
+      return res
+        .status(400)
+        .json({ error: "studentId and answer are required" });
+    }
+
+    // Only the student the challenge was given to can answer it
+    const challenge = await challengeRepo.get(req.params.challengeId);
+    if (!challenge || challenge.studentId !== studentId) {
+      return res
+        .status(404)
+        .json({ error: "Reto no encontrado para este estudiante" });
+    }
+
+    const usageScope = await usageScopeFor(req, {
+      studentId,
+      classId: context?.classId,
+    });
+    if (!(await withinQuota(res, usageScope))) return;
+
+    // Only the model sees the masked answer; the stored answer is the original
+    const redaction = await piiRedactor.createSession({
+      classId: context?.classId,
+      studentId,
+    });
+    const startedAt = Date.now();
+    const evaluation = await challengeEvaluator.evaluate(
+      challenge,
+      answer,
+      context || {},
+      redaction ? { llm: new RedactingProvider(llm, redaction) } : {}
+    );
+    recordEngineUsage(
+      usageScope,
+      "micro_challenge",
+      evaluation.engine,
+      startedAt
+    );
+    if (redaction) {
+      piiRedactor
+        .log(redaction, {
+          route: "micro_challenge",
+          studentId,
+          classId: context?.classId,
+        })
+        .catch((e) => console.error("[micro-challenges] Redaction log:", e));
+    }
+
+    const result = await challengeRepo.recordAnswer({
+      challenge,
+      studentId,
+      answer,
+      evaluation,
+    });
+    return res.status(200).json({
+      success: true,
+      challenge: publicChallenge(result.challenge),
+      answer: result.answer,
+      evaluation,
+    });
+  } catch (error) {
+    console.error("[micro-challenges] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Next hint of a micro-challenge's ladder (nudge -> guiding question ->
+// worked partial example). Each new level is recorded and lowers the score
+// of the student's next answers; once all are used the last one is repeated
+app.post("/api/micro-challenges/:challengeId/hints", async (req, res) => {
+  try {
+    const { studentId } = req.body || {};
+    if (!studentId) {
+      return res.status(400).json({ error: "studentId is required" });
+    }
+    let challenge = await challengeRepo.get(req.params.challengeId);
+    if (!challenge || challenge.studentId !== studentId) {
+      return res
+        .status(404)
+        .json({ error: "Reto no encontrado para este estudiante" });
+    }
+    const hints = challenge.hints || [];
+    if (hints.length === 0) {
+      return res.status(404).json({ error: "Este reto no tiene pistas" });
+    }
+
+    const level = Math.min(challenge.hintsUsed + 1, hints.length);
+    if (level > challenge.hintsUsed) {
+      challenge = await challengeRepo.recordHint({
+        challenge,
+        studentId,
+        level,
+      });
+    }
+    return res.status(200).json({
+      success: true,
+      hint: hints[level - 1],
+      hintsUsed: challenge.hintsUsed,
+      remaining: hints.length - challenge.hintsUsed,
+      scorePenalty: challengeEvaluator.hintPenalty(challenge.hintsUsed),
+    });
+  } catch (error) {
+    console.error("[micro-challenges] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // New endpoint for generating inclusive activities
 app.post("/api/generate-inclusive-activity", async (req, res) => {
   try {
@@ -639,6 +2236,7 @@ app.post("/api/generate-inclusive-activity", async (req, res) => {
       inclusionNeeds,
       complexity,
       sessionId,
+      classId,
     } = req.body || {};
 
     if (!topic || !objectives) {
@@ -647,6 +2245,14 @@ app.post("/api/generate-inclusive-activity", async (req, res) => {
       });
     }
 
+    // The teacher agent writes the activity with the model when it can
+    const usageScope = await usageScopeFor(req, { classId });
+    if (!(await withinQuota(res, usageScope))) return;
+
+    // Grade of the class course (or given), to check the activity reads at it
+    const grade =
+      req.body.grade || (await resolveClassContext(classId)).grade || null;
+
     // Set context in MCP
     if (sessionId) {
       mcp.setContext(sessionId, {
@@ -660,6 +2266,7 @@ app.post("/api/generate-inclusive-activity", async (req, res) => {
     }
 
     // Use MCP to communicate with teacher agent
+    const startedAt = Date.now();
     const response = await mcp.sendMessage(
       "system",
       "teacher-agent",
@@ -682,11 +2289,24 @@ app.post("/api/generate-inclusive-activity", async (req, res) => {
         error: response.error,
       });
     }
+    recordEngineUsage(
+      usageScope,
+      "generate_inclusive_activity",
+      response.response.activity.engine,
+      startedAt
+    );
 
     return res.status(200).json({
       success: true,
       activity: response.response.activity,
       adaptations: response.response.adaptations,
+      gradeFit: readability.checkGrade(
+        readability.textOf({
+          activity: response.response.activity,
+          adaptations: response.response.adaptations,
+        }),
+        grade
+      ),
     });
   } catch (error) {
     console.error("[generate-inclusive-activity] Error:", error);
@@ -828,8 +2448,12 @@ app.get("/api/progress-metrics/:sessionId", async (req, res) => {
       return res.status(400).json({ error: "sessionId is required" });
     }
 
-    // Get progress from A2A agent
-    const progress = a2aAgent.calculateProgress(sessionId);
+    // Get progress from A2A agent (optionally narrowed to a date range)
+    const { from, to } = req.query;
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ error: "from/to must be valid dates" });
+    }
+    const progress = await a2aAgent.calculateProgress({ sessionId, from, to });
 
     // Get additional metrics from Supabase if available
     let additionalMetrics = {};
@@ -868,6 +2492,47 @@ app.get("/api/progress-metrics/:sessionId", async (req, res) => {
   }
 });
 
+// Stored argument analyses with their progress trend
+// Query: studentId, activityId, classId, sessionId (at least one),
+// from, to (ISO dates), limit (default 50)
+app.get("/api/analysis-history", async (req, res) => {
+  try {
+    const { studentId, activityId, classId, sessionId, from, to } = req.query;
+    if (!studentId && !activityId && !classId && !sessionId) {
+      return res.status(400).json({
+        error: "studentId, activityId, classId or sessionId is required",
+      });
+    }
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ error: "from/to must be valid dates" });
+    }
+    const filters = { studentId, activityId, classId, sessionId, from, to };
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+    const [history, progress] = await Promise.all([
+      analysisRepo.list({ ...filters, limit }),
+      a2aAgent.calculateProgress(filters),
+    ]);
+    return res.json({
+      success: true,
+      count: history.length,
+      history: history.map((record) => ({
+        id: record.id,
+        timestamp: new Date(record.timestamp).toISOString(),
+        sessionId: record.sessionId,
+        studentId: record.studentId,
+        activityId: record.activityId,
+        overall: record.analysis?.overall,
+        engine: record.analysis?.engine?.used,
+      })),
+      progress,
+    });
+  } catch (error) {
+    console.error("[analysis-history] Error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // New endpoint for class metrics
 app.get("/api/class-metrics/:classId", async (req, res) => {
   try {
@@ -1012,7 +2677,12 @@ app.get("/api/class-metrics/:classId", async (req, res) => {
 });
 
 app.get("/api/health", (_req, res) => {
-  res.json({ ok: true, model: process.env.OPENAI_MODEL || "gpt-4o-mini" });
+  res.json({
+    ok: true,
+    provider: llm.name,
+    model: llm.model,
+    providers: llm.status ? llm.status() : undefined,
+  });
 });
 
 // Endpoint para simular interacción de estudiante y guardar en Supabase
@@ -0,0 +1,172 @@
+// Learner profile for chat personalization
+// Gathers what MentorIA knows about a student (dominant learning style,
+// strengths and weaknesses from `perfil_aprendizaje_estudiante`, inclusion
+// needs and the current activity/plan step) and turns it into system prompt
+// instructions so explanations match how the student learns
+
+// How the tutor should shape explanations for each learning style
+const STYLE_GUIDANCE = {
+  visual:
+    "Aprende mejor de forma visual: describe diagramas con palabras (esquemas jerárquicos, mapas conceptuales, tablas comparativas en texto), usa listas y estructura clara, y propón que dibuje o esquematice sus ideas.",
+  auditory:
+    "Aprende mejor escuchando y conversando: usa un tono dialogado, analogías narradas y preguntas que pueda responder en voz alta; cierra con un resumen breve que pueda repetir o explicar a un compañero.",
+  reading:
+    "Aprende mejor leyendo y escribiendo: ofrece definiciones precisas, textos bien estructurados, ejemplos escritos y pídele que redacte o resuma con sus palabras.",
+  kinesthetic:
+    "Aprende mejor haciendo: plantea práctica paso a paso con ejercicios concretos, ejemplos de la vida real y pequeñas tareas que deba realizar antes de seguir avanzando.",
+};
+
+class LearnerProfileService {
+  constructor(supabase, mcp, options = {}) {
+    this.supabase = supabase;
+    this.mcp = mcp;
+    this.cacheTtlMs = options.cacheTtlMs ?? 60000;
+    this.cache = new Map();
+  }
+
+  // Profile of a student, or null when nothing is known; never throws
+  async getProfile(studentId, { activityId } = {}) {
+    if (!studentId || !this.supabase) return null;
+
+    const key = `${studentId}:${activityId || ""}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.at < this.cacheTtlMs) {
+      return cached.profile;
+    }
+
+    try {
+      const [styles, inclusionNeeds, activity] = await Promise.all([
+        this.mcp.getStudentLearningStyles(studentId),
+        this.getInclusionNeeds(studentId),
+        this.getCurrentActivity(studentId, activityId),
+      ]);
+      const profile =
+        styles || inclusionNeeds.length > 0 || activity
+          ? {
+              studentId,
+              learningStyle: styles?.estilo_detectado || null,
+              styleDescription: styles?.descripcion || null,
+              strengths: styles?.fortalezas || null,
+              weaknesses: styles?.debilidades || null,
+              inclusionNeeds,
+              activity,
+            }
+          : null;
+      this.cache.set(key, { profile, at: Date.now() });
+      return profile;
+    } catch (error) {
+      console.error("[profile] lookup error:", error);
+      return null;
+    }
+  }
+
+  async getInclusionNeeds(studentId) {
+    const { data, error } = await this.supabase
+      .from("estudiante_necesidad")
+      .select("severidad, observaciones, necesidades_inclusion(nombre)")
+      .eq("id_estudiante", studentId);
+    if (error) {
+      console.error("[profile] inclusion needs error:", error);
+      return [];
+    }
+    return (data || []).map((row) => ({
+      name: row.necesidades_inclusion?.nombre,
+      severity: row.severidad,
+      notes: row.observaciones,
+    }));
+  }
+
+  // The given activity, or the one of the student's latest active plan,
+  // with the next pending plan step
+  async getCurrentActivity(studentId, activityId) {
+    let planQuery = this.supabase
+      .from("plan_guiado")
+      .select("id_plan, id_actividad, actividades(titulo, objetivo)")
+      .eq("id_estudiante", studentId)
+      .order("creado_en", { ascending: false })
+      .limit(1);
+    planQuery = activityId
+      ? planQuery.eq("id_actividad", activityId)
+      : planQuery.eq("estado", "activo");
+    const { data: plans, error } = await planQuery;
+    if (error) {
+      console.error("[profile] plan lookup error:", error);
+      return null;
+    }
+
+    const plan = plans?.[0];
+    if (!plan) return activityId ? { id: activityId } : null;
+
+    const { data: steps, error: stepErr } = await this.supabase
+      .from("pasos_plan")
+      .select("orden, tipo, contenido")
+      .eq("id_plan", plan.id_plan)
+      .eq("completado", false)
+      .order("orden", { ascending: true })
+      .limit(1);
+    if (stepErr) console.error("[profile] step lookup error:", stepErr);
+
+    const step = steps?.[0];
+    return {
+      id: plan.id_actividad,
+      title: plan.actividades?.titulo || null,
+      objective: plan.actividades?.objetivo || null,
+      currentStep: step
+        ? {
+            order: step.orden,
+            type: step.tipo,
+            title: step.contenido?.titulo || step.contenido?.texto || null,
+          }
+        : null,
+    };
+  }
+
+  // System prompt addendum describing the learner
+  instructionFor(profile) {
+    if (!profile) return "";
+    const lines = [];
+    if (profile.learningStyle) {
+      lines.push(
+        STYLE_GUIDANCE[profile.learningStyle] ||
+          `Estilo de aprendizaje dominante: ${profile.learningStyle}.`
+      );
+    }
+    if (profile.strengths) {
+      lines.push(`Fortalezas: ${profile.strengths}. Apóyate en ellas.`);
+    }
+    if (profile.weaknesses) {
+      lines.push(
+        `Aspectos por mejorar: ${profile.weaknesses}. Refuérzalos con paciencia, sin mencionarlos como defectos.`
+      );
+    }
+    if (profile.inclusionNeeds.length > 0) {
+      const needs = profile.inclusionNeeds
+        .map((n) =>
+          [n.name, n.severity && `(${n.severity})`, n.notes && `- ${n.notes}`]
+            .filter(Boolean)
+            .join(" ")
+        )
+        .join("; ");
+      lines.push(
+        `Necesidades de inclusión: ${needs}. Adapta el lenguaje, la longitud y el ritmo de tus respuestas a estas necesidades.`
+      );
+    }
+    const activity = profile.activity;
+    if (activity?.title) {
+      const step = activity.currentStep?.title
+        ? ` Paso actual del plan: ${activity.currentStep.title}.`
+        : "";
+      lines.push(
+        `Actividad actual: ${activity.title}${
+          activity.objective ? ` (objetivo: ${activity.objective})` : ""
+        }.${step}`
+      );
+    }
+    if (lines.length === 0) return "";
+    return `PERFIL DEL ESTUDIANTE:\n${lines.map((l) => `- ${l}`).join("\n")}`;
+  }
+}
+
+LearnerProfileService.STYLE_GUIDANCE = STYLE_GUIDANCE;
+
+module.exports = LearnerProfileService;
@@ -1,11 +1,48 @@
 // Model Context Protocol (MCP) Implementation
 // Handles communication between different AI agents and manages context
 
+const FeedbackAnchorer = require("./feedback-anchors");
+const { countTerms, hasTerm } = require("./spanish-text");
+const { validate, parseJsonObject } = require("./argument-schema");
+
+// Shape the teacher agent asks the model for when generating an activity
+const ACTIVITY_SCHEMA = {
+  type: "object",
+  required: ["title", "objectives", "adaptations", "resources", "assessment"],
+  properties: {
+    title: { type: "string" },
+    objectives: { type: "array", items: { type: "string" } },
+    adaptations: { type: "object" },
+    resources: { type: "array", items: { type: "string" } },
+    assessment: { type: "object" },
+  },
+};
+
+const ACTIVITY_INSTRUCTIONS = `Eres un diseñador de actividades inclusivas para colegios colombianos.
+Responde SOLO con un objeto JSON con esta forma:
+{"title": "...", "objectives": ["..."], "adaptations": {"visual": "...", "auditory": "...", "reading": "...", "kinesthetic": "..."}, "resources": ["..."], "assessment": {"type": "...", "criteria": ["..."]}}
+- Escribe en español, con actividades concretas que el docente pueda aplicar.
+- Las adaptaciones atienden los estilos de aprendizaje y necesidades de inclusión indicados.`;
+
 class MCP {
-  constructor() {
+  constructor(options = {}) {
     this.contexts = new Map();
     this.agents = new Map();
     this.messageQueue = [];
+    // Shared LLM provider (see ./providers); agents fall back to heuristics without it
+    this.llm = options.llm || null;
+    this.feedbackAnchorer = new FeedbackAnchorer();
+  }
+
+  // Ask the shared LLM for a completion; returns null when unavailable or failing
+  async generateWithLLM(messages, options = {}) {
+    if (!this.llm) return null;
+    try {
+      return await this.llm.chat(messages, options);
+    } catch (error) {
+      console.error("[MCP] LLM call failed:", error.message);
+      return null;
+    }
   }
 
   // Register an agent with the MCP
@@ -154,7 +191,7 @@ class MCP {
 
   // Handle teacher agent communication
   async handleTeacherAgent(payload) {
-    const { message, context } = payload;
+    const { message, context = {} } = payload;
 
     // Get student learning styles from database
     const studentLearningStyles = await this.getStudentLearningStyles(
@@ -186,11 +223,16 @@ class MCP {
 
     // Analyze argument structure and provide feedback
     const argumentAnalysis = await this.analyzeArgumentStructure(message);
+    const feedback = this.feedbackAnchorer.anchor(
+      this.generateCriticalThinkingFeedback(argumentAnalysis),
+      message
+    );
 
     return {
       type: "a2a_response",
       analysis: argumentAnalysis,
-      feedback: this.generateCriticalThinkingFeedback(argumentAnalysis),
+      feedback: feedback,
+      annotations: this.feedbackAnchorer.annotations(feedback),
       recommendations: this.generateRecommendations(argumentAnalysis),
       context: context,
     };
@@ -258,14 +300,44 @@ class MCP {
   }
 
   // Generate inclusive activity for teachers
+  // The model writes it when one is configured; otherwise (or when its
+  // answer does not fit ACTIVITY_SCHEMA) the template below is used.
+  // `activity.engine` tells which one, with the tokens of the model call
   async generateInclusiveActivity(requirements, context) {
-    // This would integrate with LLM for activity generation
+    const result = await this.generateWithLLM(
+      [
+        { role: "system", content: ACTIVITY_INSTRUCTIONS },
+        {
+          role: "user",
+          content: `REQUISITOS DE LA ACTIVIDAD:\n${JSON.stringify(
+            requirements?.requirements || requirements
+          )}`,
+        },
+      ],
+      { temperature: 0.5, maxTokens: 1200 }
+    );
+    const data =
+      result && result.provider !== "demo"
+        ? parseJsonObject(result.content)
+        : null;
+    const errors = data ? validate(ACTIVITY_SCHEMA, data) : null;
+    const engine = {
+      used: errors?.length === 0 ? "llm" : "heuristic",
+      ...(result && {
+        provider: result.provider || null,
+        model: result.model || null,
+        usage: result.usage || null,
+      }),
+    };
+    if (engine.used === "llm") return { ...data, engine };
+
     return {
       title: requirements.title || "Actividad Inclusiva",
       objectives: this.extractObjectives(requirements),
       adaptations: this.generateLearningAdaptations(requirements),
       resources: this.generateResources(requirements),
       assessment: this.generateAssessment(requirements),
+      engine,
     };
   }
 
@@ -388,11 +460,7 @@ class MCP {
   // Helper methods for analysis
   detectThesis(text) {
     // Simple heuristic - in real implementation, use LLM
-    return (
-      text.includes("creo que") ||
-      text.includes("mi opinión") ||
-      text.includes("considero")
-    );
+    return hasTerm(text, ["creo que", "mi opinión", "considero"]);
   }
 
   countEvidence(text) {
@@ -405,9 +473,7 @@ class MCP {
       "estadísticas",
       "ejemplo",
     ];
-    return evidenceIndicators.reduce((count, indicator) => {
-      return count + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    return countTerms(text, evidenceIndicators);
   }
 
   assessReasoning(text) {
@@ -418,9 +484,7 @@ class MCP {
       "esto demuestra",
       "se puede concluir",
     ];
-    const reasoningCount = reasoningIndicators.reduce((count, indicator) => {
-      return count + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    const reasoningCount = countTerms(text, reasoningIndicators);
     return Math.min(reasoningCount / 3, 1); // Normalize to 0-1
   }
 
@@ -433,9 +497,7 @@ class MCP {
       "cita",
       "dice que",
     ];
-    const sourceCount = sourceIndicators.reduce((count, indicator) => {
-      return count + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    const sourceCount = countTerms(text, sourceIndicators);
     return Math.min(sourceCount / 5, 1); // Normalize to 0-1
   }
 
@@ -449,9 +511,7 @@ class MCP {
       "cuestionar",
       "reflexionar",
     ];
-    const criticalCount = criticalIndicators.reduce((count, indicator) => {
-      return count + (text.toLowerCase().split(indicator).length - 1);
-    }, 0);
+    const criticalCount = countTerms(text, criticalIndicators, { stem: true });
     return Math.min(criticalCount / 4, 1); // Normalize to 0-1
   }
 
@@ -630,10 +690,10 @@ class MCP {
     }
   }
 
+  // Whole words by stem: "escuchar" counts "escucho", "ver" no longer
+  // counts "verdad"
   countIndicators(text, indicators) {
-    return indicators.reduce((count, indicator) => {
-      return count + (text.split(indicator).length - 1);
-    }, 0);
+    return countTerms(text, indicators, { stem: true });
   }
 
   async storeLearningStyle(studentId, learningStyle) {
@@ -693,12 +753,13 @@ class MCP {
         `
         )
         .eq("id_estudiante", studentId)
-        .single();
+        .maybeSingle();
 
       if (error) {
         console.error("[MCP] Error getting learning style:", error);
         return null;
       }
+      if (!data) return null;
 
       return {
         estilo_detectado: data.estilos_aprendizaje.nombre,
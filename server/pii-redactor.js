@@ -0,0 +1,353 @@
+// PII redaction for text sent to LLM providers
+// Detects Colombian ID numbers, phone numbers, emails, street addresses,
+// neighbourhoods and names from the class roster, and swaps them for
+// reversible placeholders ([NOMBRE_1], [DOCUMENTO_2]...). A session keeps the
+// mapping for one request so model output can be restored; only the counts
+// of what was masked are logged (`redacciones_pii`), never the values.
+// Uses: PII_REDACTION ("false" disables it)
+
+const { B, E } = require("./spanish-text");
+
+const TYPES = {
+  email: "CORREO",
+  address: "DIRECCION",
+  document: "DOCUMENTO",
+  phone: "TELEFONO",
+  neighbourhood: "BARRIO",
+  name: "NOMBRE",
+};
+
+const PLACEHOLDER =
+  /\[(CORREO|DIRECCION|DOCUMENTO|TELEFONO|BARRIO|NOMBRE)_(\d+)\]/g;
+
+// Order matters: earlier patterns claim text before later, looser ones
+const PATTERNS = [
+  { type: "email", regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  {
+    // Calle 45 # 12-30, Cra. 7 No 80-15 sur, Av. Carrera 30 #45A-10
+    type: "address",
+    regex: new RegExp(
+      `${B}(?:avenida(?:\\s+calle|\\s+carrera)?|calle|carrera|diagonal|transversal|cll?|cra|kra?|cr|av|ak|ac|dg|tv|tr)\\.?\\s*\\d{1,3}\\s?[a-z]?(?:\\s?bis)?(?:\\s?(?:sur|este))?\\s*(?:#|n[oº°]\\.?|n[uú]mero)\\s*\\d{1,3}\\s?[a-z]?\\s*-\\s*\\d{1,3}(?:\\s?(?:sur|este))?`,
+      "giu"
+    ),
+  },
+  {
+    // Number after an ID keyword: "cédula 1.023.456.789", "TI: 1002345678"
+    type: "document",
+    group: 3,
+    regex: new RegExp(
+      `${B}(c[eé]dula(?: de (?:ciudadan[ií]a|extranjer[ií]a))?|c\\.\\s?c\\.?|cc|t\\.\\s?i\\.?|ti|tarjeta de identidad|registro civil|nuip|pasaporte|documento(?: de identidad)?|n[uú]mero de identificaci[oó]n)((?:\\s*(?:es|n[uú]mero|n[oº°]\\.?|#|:))*\\s*)(\\d[\\d.\\s]{4,14}\\d)`,
+      "giu"
+    ),
+  },
+  {
+    // Mobile (3xx) and landline (60x) numbers, optionally with +57
+    type: "phone",
+    regex:
+      /(?<![\d.])(?:\+?57[\s.-]?)?(?:3\d{2}|60\d)[\s.-]?\d{3}[\s.-]?\d{4}(?![\d])/g,
+  },
+  {
+    // Dotted ID numbers (1.023.456.789) that are not amounts of money
+    type: "document",
+    regex:
+      /(?<![\d$.,])\d{1,3}(?:\.\d{3}){2,3}(?![\d.,])(?!\s*(?:de\s+)?(?:pesos|cop|millones|d[oó]lares|usd|habitantes|personas|km|kil[oó]metros))/gi,
+  },
+  { type: "document", regex: /(?<![\d.,$])\d{8,10}(?![\d.,])/g },
+  {
+    // "barrio La Candelaria", "br. San José de Bavaria"
+    type: "neighbourhood",
+    group: 2,
+    regex: new RegExp(
+      `${B}(barrio|br\\.)\\s+((?:[A-ZÁÉÍÓÚÑ][\\p{L}]+)(?:\\s+(?:(?:de|del|la|las|los|el)\\s+)?[A-ZÁÉÍÓÚÑ][\\p{L}]+){0,3})`,
+      "gu"
+    ),
+  },
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Occurrence of `needle` in `text` closest to `near`, or -1
+function closestIndex(text, needle, near) {
+  if (!needle) return -1;
+  let best = -1;
+  for (
+    let at = text.indexOf(needle);
+    at !== -1;
+    at = text.indexOf(needle, at + 1)
+  ) {
+    if (best === -1 || Math.abs(at - near) < Math.abs(best - near)) best = at;
+  }
+  return best;
+}
+
+const MODEL_NOTICE =
+  "Los datos personales del estudiante aparecen reemplazados por marcadores como [NOMBRE_1] o [CORREO_1]. Úsalos tal cual si necesitas referirte a ellos y nunca intentes adivinar su valor.";
+
+// Mapping of masked values for one request
+class RedactionSession {
+  constructor(rosterPatterns = []) {
+    this.rosterPatterns = rosterPatterns;
+    this.byValue = new Map();
+    this.byPlaceholder = new Map();
+    this.counters = {};
+  }
+
+  placeholderFor(type, value) {
+    const key = `${type}:${value.toLowerCase().replace(/\s+/g, " ").trim()}`;
+    if (this.byValue.has(key)) return this.byValue.get(key);
+    const label = TYPES[type];
+    this.counters[type] = (this.counters[type] || 0) + 1;
+    const placeholder = `[${label}_${this.counters[type]}]`;
+    this.byValue.set(key, placeholder);
+    this.byPlaceholder.set(placeholder, value);
+    return placeholder;
+  }
+
+  redact(text) {
+    if (typeof text !== "string" || !text) return text;
+    let result = text;
+    for (const { type, regex, group } of [
+      ...PATTERNS,
+      ...this.rosterPatterns,
+    ]) {
+      result = result.replace(regex, (match, ...groups) => {
+        if (!group) return this.placeholderFor(type, match);
+        const value = groups[group - 1];
+        if (!value) return match;
+        const at = match.lastIndexOf(value);
+        return (
+          match.slice(0, at) +
+          this.placeholderFor(type, value.trim()) +
+          match.slice(at + value.length)
+        );
+      });
+    }
+    return result;
+  }
+
+  restore(text) {
+    if (typeof text !== "string" || this.byPlaceholder.size === 0) return text;
+    return text.replace(
+      PLACEHOLDER,
+      (match) => this.byPlaceholder.get(match) ?? match
+    );
+  }
+
+  // Redact every string inside an object (tool-call arguments sent back to
+  // the model)
+  redactDeep(value) {
+    if (typeof value === "string") return this.redact(value);
+    if (Array.isArray(value)) return value.map((v) => this.redactDeep(v));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([k, v]) => [k, this.redactDeep(v)])
+      );
+    }
+    return value;
+  }
+
+  // Restore every string inside an object (tool arguments, analysis results)
+  restoreDeep(value) {
+    if (typeof value === "string") return this.restore(value);
+    if (Array.isArray(value)) return value.map((v) => this.restoreDeep(v));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([k, v]) => [k, this.restoreDeep(v)])
+      );
+    }
+    return value;
+  }
+
+  // Restore a value holding { start, end, text } spans into the redacted
+  // text so that they point into `original` (the closest occurrence of the
+  // restored text wins; spans that cannot be found keep their offsets)
+  restoreSpans(value, original) {
+    const restored = this.restoreDeep(value);
+    const visit = (node) => {
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (!node || typeof node !== "object") return;
+      if (
+        typeof node.text === "string" &&
+        Number.isInteger(node.start) &&
+        Number.isInteger(node.end)
+      ) {
+        const at = closestIndex(original, node.text, node.start);
+        if (at !== -1) {
+          node.start = at;
+          node.end = at + node.text.length;
+        }
+      }
+      Object.values(node).forEach(visit);
+    };
+    visit(restored);
+    return restored;
+  }
+
+  // Restore streamed deltas, holding back a placeholder split across chunks
+  createStreamRestorer() {
+    let pending = "";
+    return {
+      push: (chunk) => {
+        pending += chunk;
+        const open = pending.lastIndexOf("[");
+        if (
+          open !== -1 &&
+          !pending.includes("]", open) &&
+          pending.length - open < 16
+        ) {
+          const ready = pending.slice(0, open);
+          pending = pending.slice(open);
+          return this.restore(ready);
+        }
+        const ready = pending;
+        pending = "";
+        return this.restore(ready);
+      },
+      flush: () => {
+        const rest = pending;
+        pending = "";
+        return this.restore(rest);
+      },
+    };
+  }
+
+  get notice() {
+    return MODEL_NOTICE;
+  }
+
+  // Masked value counts by type, e.g. { name: 2, phone: 1 }
+  summary() {
+    return { ...this.counters };
+  }
+
+  get total() {
+    return Object.values(this.counters).reduce((sum, n) => sum + n, 0);
+  }
+}
+
+class PiiRedactor {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.enabled = options.enabled ?? process.env.PII_REDACTION !== "false";
+    this.cacheTtlMs = options.cacheTtlMs ?? 300000;
+    this.rosterCache = new Map();
+  }
+
+  // New session with the roster of the class (or the student) loaded
+  async createSession({ classId, studentId } = {}) {
+    if (!this.enabled) return null;
+    const roster = await this.getRoster(classId, studentId);
+    return new RedactionSession(this.rosterPatterns(roster));
+  }
+
+  // Students of a class via `clase_estudiante`, or just the given student
+  async getRoster(classId, studentId) {
+    if (!this.supabase || (!classId && !studentId)) return [];
+    const key = classId ? `c:${classId}` : `s:${studentId}`;
+    const cached = this.rosterCache.get(key);
+    if (cached && Date.now() - cached.at < this.cacheTtlMs) {
+      return cached.roster;
+    }
+
+    const columns =
+      "nombres, apellidos, numero_documento, celular, correo, barrio";
+    let query;
+    if (classId) {
+      query = this.supabase
+        .from("clase_estudiante")
+        .select(`estudiantes(${columns})`)
+        .eq("id_clase", classId);
+    } else {
+      query = this.supabase
+        .from("estudiantes")
+        .select(columns)
+        .eq("id_estudiante", studentId);
+    }
+    const { data, error } = await query;
+    if (error) {
+      console.error("[pii] roster lookup error:", error);
+      return [];
+    }
+    const roster = (data || [])
+      .map((row) => (classId ? row.estudiantes : row))
+      .filter(Boolean);
+    this.rosterCache.set(key, { roster, at: Date.now() });
+    return roster;
+  }
+
+  // Literal patterns for roster values: full names (any case), single
+  // name parts (capitalized only, to spare words like "luz" or "paz"),
+  // and the students' own documents, phones, emails and neighbourhoods
+  rosterPatterns(roster) {
+    const patterns = [];
+    const literal = (type, values, flags) => {
+      const unique = Array.from(new Set(values.filter(Boolean)))
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegex);
+      if (unique.length === 0) return;
+      patterns.push({
+        type,
+        regex: new RegExp(`${B}(?:${unique.join("|")})${E}`, flags),
+      });
+    };
+
+    literal(
+      "document",
+      roster.map((s) => s.numero_documento).filter((v) => v?.length >= 5),
+      "gu"
+    );
+    literal(
+      "phone",
+      roster.map((s) => s.celular).filter((v) => v?.length >= 7),
+      "gu"
+    );
+    literal(
+      "email",
+      roster.map((s) => s.correo),
+      "giu"
+    );
+    literal(
+      "neighbourhood",
+      roster.map((s) => s.barrio),
+      "giu"
+    );
+    literal(
+      "name",
+      roster.map((s) => `${s.nombres} ${s.apellidos}`.trim()),
+      "giu"
+    );
+    literal(
+      "name",
+      roster
+        .flatMap((s) => `${s.nombres} ${s.apellidos}`.split(/\s+/))
+        .filter((part) => part.length >= 3)
+        .map((part) => part[0].toUpperCase() + part.slice(1).toLowerCase()),
+      "gu"
+    );
+    return patterns;
+  }
+
+  // Record what a session masked; failures never break the request
+  async log(session, { route, studentId, classId, conversationId } = {}) {
+    if (!session || session.total === 0) return;
+    const counts = session.summary();
+    console.info("[pii] masked", { route, studentId, classId, counts });
+    if (!this.supabase) return;
+    const { error } = await this.supabase.from("redacciones_pii").insert({
+      id_estudiante: studentId || null,
+      id_clase: classId || null,
+      id_conversacion: conversationId || null,
+      ruta: route,
+      tipos: counts,
+      total: session.total,
+    });
+    if (error) {
+      console.error("[pii] log error:", error);
+    }
+  }
+}
+
+PiiRedactor.TYPES = Object.keys(TYPES);
+PiiRedactor.RedactionSession = RedactionSession;
+
+module.exports = PiiRedactor;
@@ -0,0 +1,257 @@
+// Versioned prompt template registry
+// Named templates per role, stored as numbered versions in `plantillas_prompt`
+// with one active version per name. Templates use {{variable}} placeholders
+// (topic, learningStyle, grade, language); built-in templates are used when
+// the database has no active version or Supabase is not configured
+//   student_tutor:     Socratic tutor for the student chat
+//   teacher_assistant: assistant for teachers designing activities
+//   evaluator:         argument evaluator for structured analysis
+
+const VARIABLES = ["topic", "learningStyle", "grade", "language"];
+
+const DEFAULT_VARIABLES = {
+  topic: "el tema de la clase",
+  learningStyle: "no especificado",
+  grade: "no especificado",
+  language: "español",
+};
+
+const BUILTIN_TEMPLATES = {
+  student_tutor: `Eres MentorIA, un asistente educativo especializado en desarrollar pensamiento crítico y análisis de argumentos.
+
+REGLAS FUNDAMENTALES:
+1. SIEMPRE responde la pregunta del estudiante de manera educativa y útil.
+2. Si el estudiante pide "hazme", "resuélveme", "dame la respuesta", responde: "No puedo hacer tu tarea, pero puedo guiarte para que la hagas tú mismo. ¿Qué parte específica te gustaría explorar?"
+3. Usa preguntas socráticas para profundizar el aprendizaje DESPUÉS de responder.
+4. Detecta cuando el estudiante presenta un argumento y analiza su estructura.
+5. Fomenta el pensamiento crítico y la reflexión profunda.
+
+EJEMPLOS DE RESPUESTAS CORRECTAS:
+- Pregunta: "¿Qué es una función?"
+  Respuesta: "Una función es una relación entre dos conjuntos donde cada elemento del primer conjunto se relaciona con exactamente un elemento del segundo conjunto. En matemáticas, es como una 'máquina' que toma una entrada y produce una salida. ¿Te gustaría que exploremos algún ejemplo específico o tienes alguna aplicación en mente?"
+
+- Pregunta: "Hazme el resumen"
+  Respuesta: "No puedo hacer tu resumen, pero puedo guiarte para que lo hagas tú mismo. ¿Qué parte del tema te parece más importante? ¿Has identificado las ideas principales?"
+
+CONTEXTO DE LA CLASE:
+- Tema: {{topic}}
+- Grado: {{grade}}
+- Estilo de aprendizaje del estudiante: {{learningStyle}}
+- Responde siempre en {{language}}.
+
+OBJETIVO: Educar y desarrollar pensamiento independiente y crítico en el estudiante.`,
+
+  teacher_assistant: `Eres MentorIA, un asistente para docentes que diseñan actividades de pensamiento crítico y argumentación.
+
+TU FUNCIÓN:
+1. Ayuda a formular objetivos de aprendizaje claros y evaluables.
+2. Propón actividades, preguntas socráticas y rúbricas adecuadas al grado.
+3. Sugiere adaptaciones para distintos estilos de aprendizaje y necesidades de inclusión.
+4. Sé concreto: entrega ejemplos listos para usar en clase.
+
+CONTEXTO DE LA CLASE:
+- Tema: {{topic}}
+- Grado: {{grade}}
+- Estilo de aprendizaje predominante: {{learningStyle}}
+- Responde siempre en {{language}}.`,
+
+  evaluator: `Eres un evaluador experto en argumentación escolar. Analiza el texto del estudiante de forma objetiva y constructiva.
+
+CRITERIOS:
+- Estructura: introducción, desarrollo y conclusión.
+- Tesis: posición clara y relevante al tema.
+- Evidencia: datos, ejemplos o fuentes que respalden la tesis.
+- Razonamiento: conexiones lógicas entre ideas, sin contradicciones.
+- Pensamiento crítico: cuestionamiento, análisis de perspectivas y síntesis propia.
+
+CONTEXTO:
+- Tema: {{topic}}
+- Grado: {{grade}}
+- Redacta la retroalimentación en {{language}}, adecuada al grado del estudiante.`,
+};
+
+const NAMES = Object.keys(BUILTIN_TEMPLATES);
+
+// Replace {{variable}} placeholders; unknown or empty values use the defaults
+function renderTemplate(content, variables = {}) {
+  return content.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = variables[key];
+    if (value !== undefined && value !== null && String(value).trim()) {
+      return String(value).trim();
+    }
+    return DEFAULT_VARIABLES[key] ?? "";
+  });
+}
+
+function toVersion(row) {
+  return {
+    id: row.id_version,
+    name: row.nombre,
+    version: row.version,
+    content: row.contenido,
+    description: row.descripcion,
+    active: row.activa,
+    createdAt: row.creado_en,
+    activatedAt: row.activado_en,
+  };
+}
+
+class PromptRegistry {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.cacheTtlMs = options.cacheTtlMs ?? 60000;
+    this.activeCache = new Map();
+  }
+
+  assertName(name) {
+    if (!NAMES.includes(name)) {
+      throw new Error(
+        `Unknown prompt template "${name}". Use: ${NAMES.join(", ")}`
+      );
+    }
+  }
+
+  builtin(name) {
+    return {
+      id: null,
+      name,
+      version: 0,
+      content: BUILTIN_TEMPLATES[name],
+      builtin: true,
+    };
+  }
+
+  // Active version of a template; lookup failures fall back to the built-in
+  async getActive(name) {
+    this.assertName(name);
+    if (!this.supabase) return this.builtin(name);
+
+    const cached = this.activeCache.get(name);
+    if (cached && Date.now() - cached.at < this.cacheTtlMs) {
+      return cached.template;
+    }
+
+    const { data, error } = await this.supabase
+      .from("plantillas_prompt")
+      .select("*")
+      .eq("nombre", name)
+      .eq("activa", true)
+      .maybeSingle();
+    if (error) {
+      console.error("[prompts] active lookup error:", error);
+      return this.builtin(name);
+    }
+
+    const template = data ? toVersion(data) : this.builtin(name);
+    this.activeCache.set(name, { template, at: Date.now() });
+    return template;
+  }
+
+  // Render the active version: { content, template: { id, name, version } }
+  async render(name, variables = {}) {
+    const template = await this.getActive(name);
+    return {
+      content: renderTemplate(template.content, variables),
+      template: {
+        id: template.id,
+        name: template.name,
+        version: template.version,
+      },
+    };
+  }
+
+  // System prompt of the engines that grade or analyze a student text
+  // (A2A analysis, argument map, rubric, challenge and devil's advocate):
+  // { content, promptVersionId } with the `evaluator` template rendered for
+  // the class context; promptVersionId is null for the built-in template
+  async renderEvaluator(context = {}) {
+    const { content, template } = await this.render("evaluator", {
+      topic: context.topic,
+      grade: context.grade,
+      learningStyle: context.learningStyle,
+    });
+    return { content, promptVersionId: template.id || null };
+  }
+
+  async listVersions(name) {
+    this.assertName(name);
+    const { data, error } = await this.supabase
+      .from("plantillas_prompt")
+      .select("*")
+      .eq("nombre", name)
+      .order("version", { ascending: false });
+    if (error) throw new Error(`list prompts: ${error.message || error}`);
+    return (data || []).map(toVersion);
+  }
+
+  // New version numbered after the latest one; optionally activated right away
+  async createVersion(name, { content, description, activate = false }) {
+    this.assertName(name);
+    if (!content || typeof content !== "string" || !content.trim()) {
+      throw new Error("content is required");
+    }
+
+    const { data: latest, error: latestErr } = await this.supabase
+      .from("plantillas_prompt")
+      .select("version")
+      .eq("nombre", name)
+      .order("version", { ascending: false })
+      .limit(1);
+    if (latestErr) {
+      throw new Error(`create prompt: ${latestErr.message || latestErr}`);
+    }
+
+    const { data, error } = await this.supabase
+      .from("plantillas_prompt")
+      .insert({
+        nombre: name,
+        version: (latest?.[0]?.version || 0) + 1,
+        contenido: content,
+        descripcion: description || null,
+      })
+      .select()
+      .single();
+    if (error) throw new Error(`create prompt: ${error.message || error}`);
+
+    return activate ? this.activate(name, data.version) : toVersion(data);
+  }
+
+  // Make one version the active one for its template name
+  async activate(name, version) {
+    this.assertName(name);
+    const { data: target, error: findErr } = await this.supabase
+      .from("plantillas_prompt")
+      .select("id_version")
+      .eq("nombre", name)
+      .eq("version", version)
+      .maybeSingle();
+    if (findErr)
+      throw new Error(`activate prompt: ${findErr.message || findErr}`);
+    if (!target) return null;
+
+    const { error: offErr } = await this.supabase
+      .from("plantillas_prompt")
+      .update({ activa: false })
+      .eq("nombre", name)
+      .eq("activa", true);
+    if (offErr) throw new Error(`activate prompt: ${offErr.message || offErr}`);
+
+    const { data, error } = await this.supabase
+      .from("plantillas_prompt")
+      .update({ activa: true, activado_en: new Date().toISOString() })
+      .eq("id_version", target.id_version)
+      .select()
+      .single();
+    if (error) throw new Error(`activate prompt: ${error.message || error}`);
+
+    const template = toVersion(data);
+    this.activeCache.set(name, { template, at: Date.now() });
+    return template;
+  }
+}
+
+PromptRegistry.NAMES = NAMES;
+PromptRegistry.VARIABLES = VARIABLES;
+PromptRegistry.renderTemplate = renderTemplate;
+
+module.exports = PromptRegistry;
@@ -0,0 +1,154 @@
+// Common interface for LLM providers
+// Every adapter exposes the same surface so routes and agents can swap models:
+//   chat(messages, options)   -> { content, finishReason, usage, model, provider }
+//   stream(messages, options) -> async iterable of { type: "delta", content }
+//                                followed by one { type: "done", finishReason, usage }
+// `messages` use the OpenAI shape: [{ role: "system"|"user"|"assistant", content }]
+//
+// Function calling (adapters with `supportsTools`): pass `options.tools` as
+// [{ name, description, parameters: <JSON Schema> }]; the result then may carry
+// `toolCalls: [{ id, name, arguments }]`. Continue the conversation with
+//   { role: "assistant", content, toolCalls } and
+//   { role: "tool", toolCallId, name, content } for each call's output.
+// Adapters without tool support receive those turns flattened to plain text.
+//
+// Context budgeting: `contextWindow` (tokens) and `charsPerToken` describe the
+// model so callers can estimate prompt size before sending it.
+
+// Error raised by adapters when the upstream model call fails
+// `retryable` overrides the status-based retry decision (e.g. missing config)
+class ProviderError extends Error {
+  constructor(message, { status = 502, details, provider, retryable } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.details = details;
+    this.provider = provider;
+    this.retryable = retryable;
+  }
+}
+
+// Build a normalized usage record from prompt/completion token counts
+function buildUsage(promptTokens, completionTokens) {
+  const prompt = Number(promptTokens) || 0;
+  const completion = Number(completionTokens) || 0;
+  return {
+    promptTokens: prompt,
+    completionTokens: completion,
+    totalTokens: prompt + completion,
+  };
+}
+
+class LLMProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.model = config.model || null;
+    this.supportsTools = false;
+    this.contextWindow = config.contextWindow || 8192;
+    this.charsPerToken = config.charsPerToken || 4;
+    this.defaults = {
+      maxTokens: config.maxTokens || 512,
+      temperature: config.temperature ?? 0.7,
+    };
+  }
+
+  // Generate a full completion
+  async chat(messages, options = {}) {
+    throw new Error(`${this.name} provider does not implement chat()`);
+  }
+
+  // Stream a completion; adapters without native streaming emit it in one delta
+  async *stream(messages, options = {}) {
+    const result = await this.chat(messages, options);
+    if (result.content) {
+      yield { type: "delta", content: result.content };
+    }
+    yield {
+      type: "done",
+      finishReason: result.finishReason,
+      usage: result.usage,
+    };
+  }
+
+  // Merge per-call options over the provider defaults
+  resolveOptions(options = {}) {
+    return {
+      ...this.defaults,
+      ...options,
+      maxTokens: options.maxTokens || this.defaults.maxTokens,
+      temperature: options.temperature ?? this.defaults.temperature,
+    };
+  }
+
+  // Rough token count of a text for this model's tokenizer
+  estimateTokens(text) {
+    return Math.ceil(String(text || "").length / this.charsPerToken);
+  }
+
+  // Prompt size of a message list, with a small overhead per turn
+  estimateMessages(messages) {
+    return messages.reduce((sum, m) => {
+      const calls = m.toolCalls ? JSON.stringify(m.toolCalls) : "";
+      return (
+        sum + 4 + this.estimateTokens(m.content) + this.estimateTokens(calls)
+      );
+    }, 0);
+  }
+
+  // Tokens left for the prompt once the completion is reserved
+  promptBudget(options = {}) {
+    const { maxTokens } = this.resolveOptions(options);
+    return Math.max(0, this.contextWindow - maxTokens);
+  }
+
+  // Separate the system prompt from the conversation turns
+  // `defaultSystem` is used when the caller did not send a system message
+  splitSystem(messages, defaultSystem) {
+    const system =
+      messages.find((m) => m.role === "system")?.content ||
+      defaultSystem ||
+      null;
+    const conversation = messages.filter((m) => m.role !== "system");
+    return {
+      system,
+      conversation: this.supportsTools
+        ? conversation
+        : this.flattenToolMessages(conversation),
+    };
+  }
+
+  // Rewrite tool-call turns as plain text for adapters without function calling
+  flattenToolMessages(conversation) {
+    return conversation.map((m) => {
+      if (m.role === "tool") {
+        return {
+          role: "user",
+          content: `Resultado de la herramienta ${m.name || ""}: ${m.content}`,
+        };
+      }
+      if (m.role === "assistant" && m.toolCalls?.length) {
+        const names = m.toolCalls.map((c) => c.name).join(", ");
+        return {
+          role: "assistant",
+          content: m.content || `(Consultando herramientas: ${names})`,
+        };
+      }
+      return m;
+    });
+  }
+
+  // Shape a completion result consistently across adapters
+  buildResult(content, finishReason, usage, toolCalls) {
+    const result = {
+      content: content || "",
+      finishReason: finishReason || "stop",
+      usage: usage || null,
+      model: this.model,
+      provider: this.name,
+    };
+    if (toolCalls && toolCalls.length > 0) result.toolCalls = toolCalls;
+    return result;
+  }
+}
+
+module.exports = { LLMProvider, ProviderError, buildUsage };
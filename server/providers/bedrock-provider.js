@@ -0,0 +1,434 @@
+// AWS Bedrock providers, one adapter per model family
+// Uses: AWS_REGION, BEDROCK_MODEL_ID
+
+const {
+  BedrockRuntimeClient,
+  InvokeModelCommand,
+  InvokeModelWithResponseStreamCommand,
+  ConverseCommand,
+  ConverseStreamCommand,
+} = require("@aws-sdk/client-bedrock-runtime");
+const { LLMProvider, ProviderError, buildUsage } = require("./base-provider");
+
+const DEFAULT_BEDROCK_MODEL = "anthropic.claude-3-5-sonnet-20241022-v1:0";
+
+// Decode the JSON payloads of an InvokeModelWithResponseStream body
+async function* readInvokeStream(body) {
+  const decoder = new TextDecoder();
+  for await (const event of body) {
+    if (event.chunk?.bytes) {
+      yield JSON.parse(decoder.decode(event.chunk.bytes));
+    } else {
+      const errorKey = Object.keys(event).find((k) => k.endsWith("Exception"));
+      if (errorKey) {
+        throw new Error(`${errorKey}: ${event[errorKey]?.message || ""}`);
+      }
+    }
+  }
+}
+
+// Both Converse and Claude require alternating roles: merge consecutive
+// same-role turns (e.g. several tool results) into one message
+function mergeTurns(turns) {
+  const merged = [];
+  for (const turn of turns) {
+    const last = merged[merged.length - 1];
+    if (last && last.role === turn.role) {
+      last.content = [...last.content, ...turn.content];
+    } else {
+      merged.push({ role: turn.role, content: [...turn.content] });
+    }
+  }
+  return merged;
+}
+
+class BedrockProvider extends LLMProvider {
+  constructor(family, config = {}) {
+    super(`bedrock:${family}`, {
+      ...config,
+      model:
+        config.model || process.env.BEDROCK_MODEL_ID || DEFAULT_BEDROCK_MODEL,
+    });
+    this.family = family;
+    this.region = config.region || process.env.AWS_REGION || "us-east-1";
+    this.client =
+      config.client || new BedrockRuntimeClient({ region: this.region });
+  }
+
+  // Send a command, logging and wrapping SDK failures
+  async send(command, api, signal) {
+    try {
+      return await this.client.send(command, { abortSignal: signal });
+    } catch (e) {
+      throw this.upstreamError(e, api);
+    }
+  }
+
+  upstreamError(e, api) {
+    if (e instanceof ProviderError) return e;
+    console.error("[LLM][Upstream error]", {
+      provider: "bedrock",
+      api,
+      modelId: this.model,
+      region: this.region,
+      details: String(e),
+    });
+    // The HTTP status of the service error (400 ValidationException, 403
+    // AccessDeniedException, 429 ThrottlingException, 503...) lets the
+    // fallback chain tell client errors from transient ones; network
+    // failures have none
+    return new ProviderError("Upstream error", {
+      status: e?.$metadata?.httpStatusCode || 502,
+      details: String(e),
+      provider: this.name,
+    });
+  }
+
+  invokeCommand(body) {
+    return new InvokeModelCommand({
+      modelId: this.model,
+      contentType: "application/json",
+      accept: "application/json",
+      body: JSON.stringify(body),
+    });
+  }
+
+  invokeStreamCommand(body) {
+    return new InvokeModelWithResponseStreamCommand({
+      modelId: this.model,
+      contentType: "application/json",
+      accept: "application/json",
+      body: JSON.stringify(body),
+    });
+  }
+}
+
+// Converse API (AI21 Jamba and any model supporting Converse)
+class BedrockConverseProvider extends BedrockProvider {
+  constructor(config = {}) {
+    super("converse", { contextWindow: 256000, ...config });
+    this.supportsTools = true;
+  }
+
+  // Converse content blocks for one turn, including tool use/results
+  toContentBlocks(m) {
+    if (m.role === "tool") {
+      return [
+        {
+          toolResult: {
+            toolUseId: m.toolCallId,
+            content: [{ text: String(m.content) }],
+          },
+        },
+      ];
+    }
+    const blocks = m.content ? [{ text: m.content }] : [];
+    for (const call of m.toolCalls || []) {
+      blocks.push({
+        toolUse: {
+          toolUseId: call.id,
+          name: call.name,
+          input: call.arguments || {},
+        },
+      });
+    }
+    return blocks;
+  }
+
+  buildInput(messages, opts) {
+    const { system, conversation } = this.splitSystem(
+      messages,
+      opts.defaultSystem
+    );
+    const input = {
+      modelId: this.model,
+      messages: mergeTurns(
+        conversation.map((m) => ({
+          role: m.role === "assistant" ? "assistant" : "user",
+          content: this.toContentBlocks(m),
+        }))
+      ),
+      system: system ? [{ text: system }] : undefined,
+      inferenceConfig: {
+        maxTokens: opts.maxTokens,
+        temperature: opts.temperature,
+      },
+    };
+    if (opts.tools?.length) {
+      input.toolConfig = {
+        tools: opts.tools.map((tool) => ({
+          toolSpec: {
+            name: tool.name,
+            description: tool.description,
+            inputSchema: { json: tool.parameters },
+          },
+        })),
+      };
+    }
+    return input;
+  }
+
+  async chat(messages, options = {}) {
+    const opts = this.resolveOptions(options);
+    const response = await this.send(
+      new ConverseCommand(this.buildInput(messages, opts)),
+      "converse",
+      opts.signal
+    );
+    const blocks = response?.output?.message?.content || [];
+    return this.buildResult(
+      blocks
+        .filter((b) => b.text)
+        .map((b) => b.text)
+        .join(""),
+      response?.stopReason,
+      buildUsage(response?.usage?.inputTokens, response?.usage?.outputTokens),
+      blocks
+        .filter((b) => b.toolUse)
+        .map((b) => ({
+          id: b.toolUse.toolUseId,
+          name: b.toolUse.name,
+          arguments: b.toolUse.input || {},
+        }))
+    );
+  }
+
+  async *stream(messages, options = {}) {
+    const opts = this.resolveOptions(options);
+    const response = await this.send(
+      new ConverseStreamCommand(this.buildInput(messages, opts)),
+      "converse-stream",
+      opts.signal
+    );
+    let finishReason = "stop";
+    let usage = null;
+    try {
+      for await (const event of response.stream) {
+        if (opts.signal?.aborted) return;
+        const text = event.contentBlockDelta?.delta?.text;
+        if (text) yield { type: "delta", content: text };
+        if (event.messageStop) {
+          finishReason = event.messageStop.stopReason || finishReason;
+        }
+        if (event.metadata?.usage) {
+          usage = buildUsage(
+            event.metadata.usage.inputTokens,
+            event.metadata.usage.outputTokens
+          );
+        }
+      }
+    } catch (e) {
+      throw this.upstreamError(e, "converse-stream");
+    }
+    yield { type: "done", finishReason, usage };
+  }
+}
+
+// Amazon Titan Text schema (single concatenated prompt)
+class BedrockTitanProvider extends BedrockProvider {
+  constructor(config = {}) {
+    super("titan", { contextWindow: 8000, charsPerToken: 4.5, ...config });
+  }
+
+  buildBody(messages, opts) {
+    const { system, conversation } = this.splitSystem(
+      messages,
+      opts.defaultSystem
+    );
+    // Build a single prompt by concatenating conversation
+    const parts = [];
+    if (system) parts.push(`System: ${system}`);
+    for (const m of conversation) {
+      const role = m.role === "assistant" ? "Assistant" : "User";
+      parts.push(`${role}: ${m.content}`);
+    }
+    parts.push("Assistant:");
+
+    return {
+      inputText: parts.join("\n"),
+      textGenerationConfig: {
+        temperature: opts.temperature,
+        maxTokenCount: opts.maxTokens,
+        topP: 0.9,
+        stopSequences: [],
+      },
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const opts = this.resolveOptions(options);
+    const response = await this.send(
+      this.invokeCommand(this.buildBody(messages, opts)),
+      "invoke",
+      opts.signal
+    );
+    const json = JSON.parse(new TextDecoder().decode(response.body));
+    const result = json?.results?.[0];
+    return this.buildResult(
+      result?.outputText,
+      result?.completionReason,
+      buildUsage(json?.inputTextTokenCount, result?.tokenCount)
+    );
+  }
+
+  async *stream(messages, options = {}) {
+    const opts = this.resolveOptions(options);
+    const response = await this.send(
+      this.invokeStreamCommand(this.buildBody(messages, opts)),
+      "invoke-stream",
+      opts.signal
+    );
+    let finishReason = "stop";
+    let usage = null;
+    try {
+      for await (const chunk of readInvokeStream(response.body)) {
+        if (opts.signal?.aborted) return;
+        if (chunk.outputText) {
+          yield { type: "delta", content: chunk.outputText };
+        }
+        if (chunk.completionReason) finishReason = chunk.completionReason;
+        const metrics = chunk["amazon-bedrock-invocationMetrics"];
+        if (metrics) {
+          usage = buildUsage(metrics.inputTokenCount, metrics.outputTokenCount);
+        }
+      }
+    } catch (e) {
+      throw this.upstreamError(e, "invoke-stream");
+    }
+    yield { type: "done", finishReason, usage };
+  }
+}
+
+// Anthropic Claude Messages schema (default for other Bedrock models)
+class BedrockClaudeProvider extends BedrockProvider {
+  constructor(config = {}) {
+    super("claude", { contextWindow: 200000, charsPerToken: 3.5, ...config });
+    this.supportsTools = true;
+  }
+
+  // Anthropic content blocks for one turn, including tool use/results
+  toContentBlocks(m) {
+    if (m.role === "tool") {
+      return [
+        {
+          type: "tool_result",
+          tool_use_id: m.toolCallId,
+          content: String(m.content),
+        },
+      ];
+    }
+    const blocks = m.content ? [{ type: "text", text: m.content }] : [];
+    for (const call of m.toolCalls || []) {
+      blocks.push({
+        type: "tool_use",
+        id: call.id,
+        name: call.name,
+        input: call.arguments || {},
+      });
+    }
+    return blocks;
+  }
+
+  buildBody(messages, opts) {
+    const { system, conversation } = this.splitSystem(
+      messages,
+      opts.defaultSystem
+    );
+    const body = {
+      anthropic_version: "bedrock-2023-05-31",
+      max_tokens: opts.maxTokens,
+      temperature: opts.temperature,
+      messages: mergeTurns(
+        conversation.map((m) => ({
+          role: m.role === "assistant" ? "assistant" : "user",
+          content: this.toContentBlocks(m),
+        }))
+      ),
+    };
+    if (system) body.system = system;
+    if (opts.tools?.length) {
+      body.tools = opts.tools.map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters,
+      }));
+    }
+    return body;
+  }
+
+  async chat(messages, options = {}) {
+    const opts = this.resolveOptions(options);
+    const response = await this.send(
+      this.invokeCommand(this.buildBody(messages, opts)),
+      "invoke",
+      opts.signal
+    );
+    const json = JSON.parse(new TextDecoder().decode(response.body));
+    const blocks = json?.content || [];
+    return this.buildResult(
+      blocks
+        .filter((b) => b.type === "text")
+        .map((b) => b.text)
+        .join(""),
+      json?.stop_reason,
+      buildUsage(json?.usage?.input_tokens, json?.usage?.output_tokens),
+      blocks
+        .filter((b) => b.type === "tool_use")
+        .map((b) => ({ id: b.id, name: b.name, arguments: b.input || {} }))
+    );
+  }
+
+  async *stream(messages, options = {}) {
+    const opts = this.resolveOptions(options);
+    const response = await this.send(
+      this.invokeStreamCommand(this.buildBody(messages, opts)),
+      "invoke-stream",
+      opts.signal
+    );
+    let finishReason = "stop";
+    let promptTokens = 0;
+    let completionTokens = 0;
+    try {
+      for await (const chunk of readInvokeStream(response.body)) {
+        if (opts.signal?.aborted) return;
+        if (chunk.type === "message_start") {
+          promptTokens = chunk.message?.usage?.input_tokens || 0;
+        } else if (chunk.type === "content_block_delta") {
+          const text = chunk.delta?.text;
+          if (text) yield { type: "delta", content: text };
+        } else if (chunk.type === "message_delta") {
+          finishReason = chunk.delta?.stop_reason || finishReason;
+          completionTokens = chunk.usage?.output_tokens || 0;
+        }
+      }
+    } catch (e) {
+      throw this.upstreamError(e, "invoke-stream");
+    }
+    yield {
+      type: "done",
+      finishReason,
+      usage: buildUsage(promptTokens, completionTokens),
+    };
+  }
+}
+
+// Pick the adapter matching the Bedrock model family
+function createBedrockProvider(config = {}) {
+  const modelId =
+    config.model || process.env.BEDROCK_MODEL_ID || DEFAULT_BEDROCK_MODEL;
+  if (modelId.startsWith("ai21.")) {
+    return new BedrockConverseProvider({ ...config, model: modelId });
+  }
+  if (modelId.startsWith("amazon.titan-")) {
+    return new BedrockTitanProvider({ ...config, model: modelId });
+  }
+  return new BedrockClaudeProvider({ ...config, model: modelId });
+}
+
+module.exports = {
+  BedrockProvider,
+  BedrockConverseProvider,
+  BedrockTitanProvider,
+  BedrockClaudeProvider,
+  createBedrockProvider,
+};
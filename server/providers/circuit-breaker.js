@@ -0,0 +1,64 @@
+// Per-provider circuit breaker
+// closed -> open after `threshold` consecutive failures; after `cooldownMs`
+// one trial call is let through (half-open) and its outcome closes or reopens it
+
+class CircuitBreaker {
+  constructor({ threshold = 3, cooldownMs = 30000 } = {}) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether a call may go through right now
+  canRequest() {
+    if (this.state === "closed") return true;
+    if (this.state === "open") {
+      if (Date.now() - this.openedAt < this.cooldownMs) return false;
+      this.state = "half-open";
+      this.trialInFlight = false;
+    }
+    // half-open: allow a single trial call
+    if (this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  // Give back a half-open trial that ended without a verdict (aborted, or
+  // failed with an error that says nothing about the provider's health) so
+  // the next call can be the trial
+  release() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess() {
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === "half-open" || this.failures >= this.threshold) {
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  status() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt:
+        this.state === "open"
+          ? new Date(this.openedAt + this.cooldownMs).toISOString()
+          : null,
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
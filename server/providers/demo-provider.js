@@ -0,0 +1,116 @@
+// Demo provider - canned responses for running without API keys
+// With scripted scenarios (DEMO_SCENARIOS: a JSON/YAML file or directory, see
+// ./demo-scenarios) it plays deterministic multi-turn conversations with
+// simulated latency and errors; DEMO_SCENARIO forces one scenario by id.
+// Conversations no scenario handles get the built-in canned responses.
+
+const { LLMProvider, buildUsage } = require("./base-provider");
+const { Scenario, loadScenarios } = require("./demo-scenarios");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class DemoProvider extends LLMProvider {
+  constructor(config = {}) {
+    super("demo", {
+      contextWindow: Infinity,
+      ...config,
+      model: config.model || "demo",
+    });
+    this.delayMs = config.delayMs ?? 30;
+    const location = config.scenariosPath ?? process.env.DEMO_SCENARIOS;
+    this.scenarios = config.scenarios
+      ? config.scenarios.map((spec) =>
+          spec instanceof Scenario ? spec : new Scenario(spec)
+        )
+      : location
+      ? loadScenarios(location)
+      : [];
+    this.scenarioId = config.scenario ?? process.env.DEMO_SCENARIO ?? null;
+    if (this.scenarios.length > 0) {
+      console.log(
+        `[LLM][demo] Loaded scenarios: ${this.scenarios
+          .map((s) => s.id)
+          .join(", ")}`
+      );
+    }
+  }
+
+  // Scenario for a conversation: the forced one, or the first whose trigger
+  // matches the opening user message
+  selectScenario(userTurns) {
+    if (this.scenarioId) {
+      return this.scenarios.find((s) => s.id === this.scenarioId) || null;
+    }
+    return this.scenarios.find((s) => s.matchesTrigger(userTurns[0] || ""));
+  }
+
+  // Scripted reply when a scenario applies: { content, latencyMs }
+  // Simulated errors are thrown as ProviderError
+  scriptedResponse(messages) {
+    const userTurns = messages
+      .filter((m) => m.role === "user")
+      .map((m) => String(m.content || ""));
+    const scenario = this.selectScenario(userTurns);
+    if (!scenario) return null;
+    const reply = scenario.respond(userTurns);
+    return reply.content ? reply : null;
+  }
+
+  async reply(messages, signal) {
+    const scripted = this.scriptedResponse(messages);
+    if (scripted?.latencyMs) await sleep(scripted.latencyMs);
+    if (signal?.aborted) return null;
+    return scripted?.content ?? this.buildResponse(messages);
+  }
+
+  // Respuestas simuladas según el contenido del último mensaje
+  buildResponse(messages) {
+    const lastMessage = messages[messages.length - 1]?.content || "";
+
+    let response = "Hola! Soy MentorIA en modo demo. ";
+
+    if (
+      lastMessage.toLowerCase().includes("argumento") ||
+      lastMessage.toLowerCase().includes("creo que")
+    ) {
+      response +=
+        "He detectado que quieres analizar un argumento. En modo demo, te sugiero: 1) Identificar tu tesis principal, 2) Listar 2-3 evidencias que la respalden, 3) Considerar contraargumentos. ¿Te gustaría que profundice en alguno de estos puntos?";
+    } else if (
+      lastMessage.toLowerCase().includes("actividad") ||
+      lastMessage.toLowerCase().includes("ejercicio")
+    ) {
+      response +=
+        "Para crear una actividad inclusiva, considera: 1) Objetivos claros, 2) Adaptaciones por estilo de aprendizaje (visual, auditivo, kinestésico), 3) Evaluación formativa. ¿Qué tema te interesa desarrollar?";
+    } else {
+      response +=
+        "Puedo ayudarte con análisis de argumentos, creación de actividades inclusivas, y seguimiento de progreso cognitivo. ¿En qué te gustaría trabajar?";
+    }
+
+    return response;
+  }
+
+  async chat(messages, options = {}) {
+    const content = (await this.reply(messages, options.signal)) || "";
+    const pieces = content.match(/\S+\s*/g) || [];
+    return this.buildResult(content, "stop", buildUsage(0, pieces.length));
+  }
+
+  // Simulate token-by-token delivery, one word at a time
+  async *stream(messages, options = {}) {
+    const content = await this.reply(messages, options.signal);
+    if (content === null) return;
+    const pieces = content.match(/\S+\s*/g) || [];
+    for (const piece of pieces) {
+      if (options.signal?.aborted) return;
+      yield { type: "delta", content: piece };
+      await sleep(this.delayMs);
+    }
+    yield {
+      type: "done",
+      finishReason: "stop",
+      usage: buildUsage(0, pieces.length),
+    };
+  }
+}
+
+module.exports = DemoProvider;
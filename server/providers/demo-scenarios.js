@@ -0,0 +1,192 @@
+// Scripted scenarios for the demo provider
+// A scenario is a small state machine loaded from JSON or YAML:
+//
+//   id: ensayo-reciclaje
+//   trigger: "reciclaje"          # regex on the first user message (optional)
+//   latencyMs: 300                # delay before answering (optional)
+//   initialState: inicio
+//   states:
+//     inicio:
+//       - pattern: "creo que (.+)"  # regex (or list) on the latest user message
+//         response: "¿Por qué crees que $1?"
+//         next: evidencia
+//     evidencia:
+//       - pattern: "caído|error"
+//         error: { status: 503, message: "Servicio no disponible", times: 1 }
+//   fallback: "¿Puedes contarme más?"
+//
+// The current state is rebuilt from the user turns of the conversation on
+// every call, so the same transcript always yields the same answer. A failure
+// with `times` is counted per transcript: retries of one request share the
+// count, other conversations start from zero.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { ProviderError } = require("./base-provider");
+
+const EXTENSIONS = [".json", ".yaml", ".yml"];
+
+// Transcripts whose failure counts are kept per rule, oldest dropped first
+const MAX_TRACKED_TRANSCRIPTS = 500;
+
+// Key of the user turns so far, for the per-transcript failure counts
+const transcriptKey = (userTurns) =>
+  crypto.createHash("sha1").update(userTurns.join("\u0000")).digest("hex");
+
+function compilePatterns(pattern, where) {
+  const list = Array.isArray(pattern) ? pattern : [pattern ?? ".*"];
+  return list.map((p) => {
+    try {
+      return new RegExp(p, "iu");
+    } catch (error) {
+      throw new Error(`${where}: invalid pattern "${p}" (${error.message})`);
+    }
+  });
+}
+
+class Scenario {
+  constructor(spec, source = "inline") {
+    if (!spec || typeof spec !== "object") {
+      throw new Error(`${source}: scenario must be an object`);
+    }
+    if (!spec.states || typeof spec.states !== "object") {
+      throw new Error(`${source}: scenario "${spec.id}" has no states`);
+    }
+    this.id = spec.id || path.basename(source, path.extname(source));
+    this.description = spec.description || "";
+    this.trigger = spec.trigger
+      ? compilePatterns(spec.trigger, `${source} trigger`)
+      : null;
+    this.latencyMs = Number(spec.latencyMs) || 0;
+    this.fallback = spec.fallback || null;
+    this.initialState = spec.initialState || Object.keys(spec.states)[0];
+    this.states = {};
+    for (const [state, rules] of Object.entries(spec.states)) {
+      if (!Array.isArray(rules)) {
+        throw new Error(`${source}: state "${state}" must be a list of rules`);
+      }
+      this.states[state] = rules.map((rule, i) => {
+        const where = `${source} ${state}[${i}]`;
+        if (rule.next && !spec.states[rule.next]) {
+          throw new Error(`${where}: unknown next state "${rule.next}"`);
+        }
+        if (rule.response === undefined && !rule.error) {
+          throw new Error(`${where}: needs a response or an error`);
+        }
+        return {
+          patterns: compilePatterns(rule.pattern, where),
+          response: rule.response,
+          next: rule.next || null,
+          latencyMs: rule.latencyMs,
+          error: rule.error || null,
+          failures: new Map(),
+        };
+      });
+    }
+    if (!this.states[this.initialState]) {
+      throw new Error(
+        `${source}: unknown initial state "${this.initialState}"`
+      );
+    }
+  }
+
+  matchesTrigger(text) {
+    return !this.trigger || this.trigger.some((re) => re.test(text));
+  }
+
+  // A simulated failure with `times` only fires for its first N hits on
+  // the same transcript
+  exhausted(rule, key) {
+    return (
+      rule.error?.times && (rule.failures.get(key) || 0) >= rule.error.times
+    );
+  }
+
+  // Re-inserted so the most recently failing transcripts are kept
+  recordFailure(rule, key) {
+    const count = rule.failures.get(key) || 0;
+    rule.failures.delete(key);
+    rule.failures.set(key, count + 1);
+    if (rule.failures.size > MAX_TRACKED_TRANSCRIPTS) {
+      rule.failures.delete(rule.failures.keys().next().value);
+    }
+  }
+
+  // First live rule of `state` matching `text`, with the regex match
+  findRule(state, text, key) {
+    for (const rule of this.states[state] || []) {
+      if (this.exhausted(rule, key)) continue;
+      for (const re of rule.patterns) {
+        const match = text.match(re);
+        if (match) return { rule, match };
+      }
+    }
+    return null;
+  }
+
+  // Replay earlier user turns to find the state the conversation is in
+  stateFor(userTurns) {
+    let state = this.initialState;
+    for (const [i, text] of userTurns.entries()) {
+      const key = transcriptKey(userTurns.slice(0, i + 1));
+      const found = this.findRule(state, text, key);
+      if (found?.rule.next && !found.rule.error) state = found.rule.next;
+    }
+    return state;
+  }
+
+  // Reply to the latest user turn: { content, latencyMs, state } or throws
+  respond(userTurns) {
+    const state = this.stateFor(userTurns.slice(0, -1));
+    const text = userTurns[userTurns.length - 1] || "";
+    const key = transcriptKey(userTurns);
+    const found = this.findRule(state, text, key);
+    const latencyMs = found?.rule.latencyMs ?? this.latencyMs;
+
+    if (!found) {
+      return { content: this.fallback, latencyMs, state };
+    }
+
+    const { rule, match } = found;
+    if (rule.error) {
+      this.recordFailure(rule, key);
+      throw new ProviderError(rule.error.message || "Simulated demo error", {
+        status: rule.error.status || 503,
+        details: `scenario ${this.id}, state ${state}`,
+        provider: "demo",
+        retryable: rule.error.retryable,
+      });
+    }
+
+    const content = String(rule.response ?? "").replace(
+      /\$(\d)/g,
+      (_, n) => match[Number(n)] ?? ""
+    );
+    return { content, latencyMs, state: rule.next || state };
+  }
+}
+
+function parseFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const data = file.endsWith(".json") ? JSON.parse(raw) : YAML.parse(raw);
+  // A file may hold one scenario or { scenarios: [...] }
+  const specs = Array.isArray(data?.scenarios) ? data.scenarios : [data];
+  return specs.map((spec) => new Scenario(spec, file));
+}
+
+// Load scenarios from a file or every .json/.yaml/.yml file in a directory
+function loadScenarios(location) {
+  const stat = fs.statSync(location);
+  const files = stat.isDirectory()
+    ? fs
+        .readdirSync(location)
+        .filter((f) => EXTENSIONS.includes(path.extname(f).toLowerCase()))
+        .sort()
+        .map((f) => path.join(location, f))
+    : [location];
+  return files.flatMap(parseFile);
+}
+
+module.exports = { Scenario, loadScenarios };
@@ -0,0 +1,168 @@
+// Fallback provider - tries an ordered chain of providers
+// Each link retries transient failures with exponential backoff and is skipped
+// while its circuit breaker is open; the next link is used when one gives up
+
+const { LLMProvider, ProviderError } = require("./base-provider");
+const CircuitBreaker = require("./circuit-breaker");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Client errors (bad request, auth) are not worth retrying on the same
+// provider; neither are errors that are not upstream failures (adapters wrap
+// those in ProviderError), such as bugs in the calling code
+function isRetryable(error) {
+  if (!(error instanceof ProviderError)) return false;
+  if (error.retryable !== undefined) return error.retryable;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+class FallbackProvider extends LLMProvider {
+  constructor(providers, config = {}) {
+    if (!providers || providers.length === 0) {
+      throw new Error("FallbackProvider needs at least one provider");
+    }
+    super("fallback", { ...config, model: providers[0].model });
+    this.maxRetries = config.maxRetries ?? 2;
+    this.retryBaseMs = config.retryBaseMs ?? 500;
+    this.retryMaxMs = config.retryMaxMs ?? 8000;
+    this.supportsTools = providers.some((p) => p.supportsTools);
+    this.contextWindow = Math.min(...providers.map((p) => p.contextWindow));
+    this.links = providers.map((provider) => ({
+      provider,
+      breaker: new CircuitBreaker({
+        threshold: config.breakerThreshold,
+        cooldownMs: config.breakerCooldownMs,
+      }),
+    }));
+  }
+
+  // Delay before retry number `attempt` (0-based), with jitter
+  backoffDelay(attempt) {
+    const base = Math.min(this.retryBaseMs * 2 ** attempt, this.retryMaxMs);
+    return base / 2 + Math.random() * (base / 2);
+  }
+
+  // Run `call(provider)` across the chain, returning the first success
+  async runChain(call, signal) {
+    let lastError = null;
+    const attempts = [];
+
+    for (const { provider, breaker } of this.links) {
+      if (!breaker.canRequest()) {
+        attempts.push({ provider: provider.name, skipped: "circuit_open" });
+        continue;
+      }
+
+      try {
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+          if (signal?.aborted) throw lastError || new Error("Request aborted");
+          try {
+            const value = await call(provider);
+            breaker.recordSuccess();
+            attempts.push({ provider: provider.name, ok: true });
+            return { value, provider, attempts };
+          } catch (error) {
+            lastError = error;
+            attempts.push({
+              provider: provider.name,
+              error: error.message,
+              status: error.status,
+            });
+            if (signal?.aborted) throw error;
+            const retryable = isRetryable(error);
+            if (retryable) breaker.recordFailure();
+            if (!retryable || attempt === this.maxRetries) break;
+            if (breaker.state === "open") break;
+            await sleep(this.backoffDelay(attempt));
+          }
+        }
+      } finally {
+        // Whatever the outcome, a half-open trial slot is never left taken
+        breaker.release();
+      }
+
+      console.warn(
+        `[LLM][fallback] ${provider.name} failed, trying next provider`
+      );
+    }
+
+    const error =
+      lastError instanceof ProviderError
+        ? lastError
+        : new ProviderError("All LLM providers failed", {
+            status: 502,
+            details: lastError ? String(lastError) : "No provider available",
+          });
+    error.attempts = attempts;
+    throw error;
+  }
+
+  async chat(messages, options = {}) {
+    const { value, attempts } = await this.runChain(
+      (provider) => provider.chat(messages, options),
+      options.signal
+    );
+    return { ...value, attempts };
+  }
+
+  // Fallback is only possible until the first delta has been emitted; a
+  // failure after that still counts against the provider's breaker, and the
+  // upstream stream is closed however the consumer stops reading
+  async *stream(messages, options = {}) {
+    const { value, provider } = await this.runChain(async (candidate) => {
+      const iterator = candidate
+        .stream(messages, options)
+        [Symbol.asyncIterator]();
+      const first = await iterator.next();
+      return { iterator, first };
+    }, options.signal);
+
+    const { iterator, first } = value;
+    const tag = (event) =>
+      event.type === "done"
+        ? { ...event, provider: provider.name, model: provider.model }
+        : event;
+
+    const { breaker } = this.links.find((link) => link.provider === provider);
+    try {
+      if (first.done) return;
+      yield tag(first.value);
+      while (true) {
+        const next = await iterator.next();
+        if (next.done) return;
+        yield tag(next.value);
+      }
+    } catch (error) {
+      if (!options.signal?.aborted && isRetryable(error)) {
+        breaker.recordFailure();
+      }
+      throw error;
+    } finally {
+      await iterator.return?.();
+    }
+  }
+
+  // Any link may answer, so budget for the most conservative one
+  estimateTokens(text) {
+    return Math.max(
+      ...this.links.map(({ provider }) => provider.estimateTokens(text))
+    );
+  }
+
+  promptBudget(options = {}) {
+    return Math.min(
+      ...this.links.map(({ provider }) => provider.promptBudget(options))
+    );
+  }
+
+  // Breaker state for each link, for health reporting
+  status() {
+    return this.links.map(({ provider, breaker }) => ({
+      provider: provider.name,
+      model: provider.model,
+      ...breaker.status(),
+    }));
+  }
+}
+
+module.exports = FallbackProvider;
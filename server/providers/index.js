@@ -0,0 +1,104 @@
+// LLM provider registry
+// Routes and agents call createProvider() instead of talking to vendors directly
+// Uses: PROVIDER (openai | bedrock | local | demo)
+//       PROVIDER_CHAIN  ordered fallback list, e.g. "bedrock:amazon.titan-text-lite-v1,openai:gpt-4o-mini"
+//       LLM_MAX_RETRIES, LLM_RETRY_BASE_MS, LLM_BREAKER_THRESHOLD, LLM_BREAKER_COOLDOWN_MS
+//       LLM_DEMO_FALLBACK  "false" disables the demo responder as last resort
+//       LLM_MAX_TOKENS     completion limit (default 512)
+//       LLM_CONTEXT_TOKENS context window override for every provider in the chain
+
+const { LLMProvider, ProviderError, buildUsage } = require("./base-provider");
+const OpenAIProvider = require("./openai-provider");
+const LocalProvider = require("./local-provider");
+const DemoProvider = require("./demo-provider");
+const { createBedrockProvider } = require("./bedrock-provider");
+const FallbackProvider = require("./fallback-provider");
+const RedactingProvider = require("./redacting-provider");
+
+const factories = {
+  openai: (config) => new OpenAIProvider(config),
+  bedrock: (config) => createBedrockProvider(config),
+  local: (config) => new LocalProvider(config),
+  demo: (config) => new DemoProvider(config),
+};
+
+// Register an additional adapter, e.g. for tests or a new vendor
+function registerProvider(name, factory) {
+  factories[name] = factory;
+}
+
+// Instantiate a provider by name (defaults to the PROVIDER env var)
+function createProvider(name = process.env.PROVIDER || "openai", config = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Available: ${Object.keys(factories).join(
+        ", "
+      )}`
+    );
+  }
+  return factory(config);
+}
+
+// Parse "name[:model]" entries; only the first ":" separates, Bedrock ids contain more
+function parseChain(spec) {
+  return spec
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const idx = entry.indexOf(":");
+      return idx === -1
+        ? { name: entry }
+        : { name: entry.slice(0, idx), model: entry.slice(idx + 1) };
+    });
+}
+
+const envNumber = (key) =>
+  process.env[key] !== undefined && process.env[key] !== ""
+    ? Number(process.env[key])
+    : undefined;
+
+// Build the provider used by the server: PROVIDER_CHAIN (or PROVIDER) wrapped
+// with retries, circuit breakers and the demo responder as last resort
+function createProviderChain(spec = process.env.PROVIDER_CHAIN) {
+  const entries = spec
+    ? parseChain(spec)
+    : [{ name: process.env.PROVIDER || "openai" }];
+  const limits = {};
+  if (envNumber("LLM_MAX_TOKENS"))
+    limits.maxTokens = envNumber("LLM_MAX_TOKENS");
+  if (envNumber("LLM_CONTEXT_TOKENS")) {
+    limits.contextWindow = envNumber("LLM_CONTEXT_TOKENS");
+  }
+  const providers = entries.map(({ name, model }) =>
+    createProvider(name, model ? { ...limits, model } : limits)
+  );
+
+  if (
+    process.env.LLM_DEMO_FALLBACK !== "false" &&
+    !providers.some((p) => p.name === "demo")
+  ) {
+    providers.push(createProvider("demo"));
+  }
+
+  if (providers.length === 1) return providers[0];
+
+  return new FallbackProvider(providers, {
+    maxRetries: envNumber("LLM_MAX_RETRIES"),
+    retryBaseMs: envNumber("LLM_RETRY_BASE_MS"),
+    breakerThreshold: envNumber("LLM_BREAKER_THRESHOLD"),
+    breakerCooldownMs: envNumber("LLM_BREAKER_COOLDOWN_MS"),
+  });
+}
+
+module.exports = {
+  createProvider,
+  createProviderChain,
+  FallbackProvider,
+  RedactingProvider,
+  registerProvider,
+  LLMProvider,
+  ProviderError,
+  buildUsage,
+};
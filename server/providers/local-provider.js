@@ -0,0 +1,24 @@
+// Local provider - any OpenAI-compatible server (Ollama, LM Studio, vLLM, llama.cpp)
+// Uses: LOCAL_LLM_BASE_URL, LOCAL_LLM_MODEL, LOCAL_LLM_API_KEY (optional),
+//       LOCAL_LLM_TOOLS ("true" if the local model supports function calling)
+
+const OpenAIProvider = require("./openai-provider");
+
+class LocalProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    super({
+      name: "local",
+      baseUrl: process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1",
+      model: process.env.LOCAL_LLM_MODEL || "llama3.1",
+      apiKey: process.env.LOCAL_LLM_API_KEY || null,
+      requireApiKey: false,
+      supportsTools: process.env.LOCAL_LLM_TOOLS === "true",
+      contextWindow: Number(process.env.LOCAL_LLM_CONTEXT_TOKENS) || 8192,
+      // Llama-family tokenizers split Spanish text more finely than OpenAI's
+      charsPerToken: 3.5,
+      ...config,
+    });
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,221 @@
+// OpenAI chat completions provider (also used for OpenAI-compatible endpoints)
+
+const { fetch } = require("undici");
+const { LLMProvider, ProviderError, buildUsage } = require("./base-provider");
+
+// Parse an OpenAI-style `data: {...}` SSE body into JSON chunks
+async function* readOpenAIStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("data:")) continue;
+      const payload = trimmed.slice(5).trim();
+      if (payload === "[DONE]") return;
+      try {
+        yield JSON.parse(payload);
+      } catch (e) {
+        console.warn("[LLM][openai] Ignoring malformed chunk:", payload);
+      }
+    }
+  }
+}
+
+// Convert the common message shape (incl. tool turns) to the OpenAI wire format
+function toWireMessages(system, conversation) {
+  const wire = conversation.map((m) => {
+    if (m.role === "tool") {
+      return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+    }
+    if (m.role === "assistant" && m.toolCalls?.length) {
+      return {
+        role: "assistant",
+        content: m.content || null,
+        tool_calls: m.toolCalls.map((call) => ({
+          id: call.id,
+          type: "function",
+          function: {
+            name: call.name,
+            arguments: JSON.stringify(call.arguments || {}),
+          },
+        })),
+      };
+    }
+    return { role: m.role, content: m.content };
+  });
+  return system ? [{ role: "system", content: system }, ...wire] : wire;
+}
+
+function parseToolCalls(toolCalls) {
+  return (toolCalls || []).map((call) => {
+    let args = {};
+    try {
+      args = JSON.parse(call.function?.arguments || "{}");
+    } catch (e) {
+      console.warn("[LLM][openai] Invalid tool arguments:", call.function);
+    }
+    return { id: call.id, name: call.function?.name, arguments: args };
+  });
+}
+
+function toUsage(usage) {
+  if (!usage) return null;
+  return buildUsage(usage.prompt_tokens, usage.completion_tokens);
+}
+
+class OpenAIProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config.name || "openai", {
+      contextWindow: 128000,
+      ...config,
+      model: config.model || process.env.OPENAI_MODEL || "gpt-4o-mini",
+    });
+    this.apiKey = config.apiKey ?? process.env.OPENAI_API_KEY;
+    this.baseUrl =
+      config.baseUrl ||
+      process.env.OPENAI_BASE_URL ||
+      "https://api.openai.com/v1";
+    this.requireApiKey = config.requireApiKey ?? true;
+    this.supportsTools = config.supportsTools ?? true;
+    this.extraHeaders = config.headers || {};
+    if (this.name === "openai") {
+      if (process.env.OPENAI_ORG_ID)
+        this.extraHeaders["OpenAI-Organization"] = process.env.OPENAI_ORG_ID;
+      if (process.env.OPENAI_PROJECT)
+        this.extraHeaders["OpenAI-Project"] = process.env.OPENAI_PROJECT;
+    }
+  }
+
+  buildHeaders() {
+    if (this.requireApiKey && !this.apiKey) {
+      console.error(
+        "[LLM] Missing OPENAI_API_KEY. Check your .env at project root."
+      );
+      throw new ProviderError("OPENAI_API_KEY is not set", {
+        status: 500,
+        provider: this.name,
+        retryable: false,
+      });
+    }
+    const headers = {
+      "Content-Type": "application/json",
+      ...this.extraHeaders,
+    };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  // POST to /chat/completions and surface upstream failures as ProviderError
+  async request(messages, opts, stream) {
+    const body = {
+      model: this.model,
+      messages,
+      temperature: opts.temperature,
+      max_tokens: opts.maxTokens,
+    };
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+    if (this.supportsTools && opts.tools?.length) {
+      body.tools = opts.tools.map((tool) => ({
+        type: "function",
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters,
+        },
+      }));
+    }
+
+    const headers = this.buildHeaders();
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(body),
+        signal: opts.signal,
+      });
+    } catch (e) {
+      if (opts.signal?.aborted) throw e;
+      console.error("[LLM][Upstream error]", {
+        provider: this.name,
+        baseUrl: this.baseUrl,
+        model: this.model,
+        details: String(e.cause || e),
+      });
+      throw new ProviderError("Upstream error", {
+        status: 502,
+        details: String(e.cause || e),
+        provider: this.name,
+      });
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      console.error("[LLM][Upstream error]", {
+        provider: this.name,
+        status: response.status,
+        baseUrl: this.baseUrl,
+        model: this.model,
+        details: text,
+      });
+      throw new ProviderError("Upstream error", {
+        status: response.status,
+        details: text,
+        provider: this.name,
+      });
+    }
+
+    return response;
+  }
+
+  async chat(messages, options = {}) {
+    const opts = this.resolveOptions(options);
+    const { system, conversation } = this.splitSystem(
+      messages,
+      opts.defaultSystem
+    );
+    const payload = toWireMessages(system, conversation);
+
+    const response = await this.request(payload, opts, false);
+    const data = await response.json();
+    const choice = data?.choices?.[0];
+    return this.buildResult(
+      choice?.message?.content,
+      choice?.finish_reason,
+      toUsage(data?.usage),
+      parseToolCalls(choice?.message?.tool_calls)
+    );
+  }
+
+  async *stream(messages, options = {}) {
+    const opts = this.resolveOptions(options);
+    const { system, conversation } = this.splitSystem(
+      messages,
+      opts.defaultSystem
+    );
+    const payload = toWireMessages(system, conversation);
+
+    const response = await this.request(payload, opts, true);
+    let finishReason = "stop";
+    let usage = null;
+    for await (const chunk of readOpenAIStream(response.body)) {
+      if (opts.signal?.aborted) return;
+      const choice = chunk.choices?.[0];
+      if (choice?.delta?.content) {
+        yield { type: "delta", content: choice.delta.content };
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (chunk.usage) usage = toUsage(chunk.usage);
+    }
+    yield { type: "done", finishReason, usage };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,86 @@
+// Redacting provider - masks personal data before it reaches the model
+// Wraps another provider for one request: every message (system prompt,
+// history, tool results and the arguments of earlier tool calls, which the
+// caller holds restored) is redacted with the session's placeholders before
+// each upstream call, and the model's text and tool-call arguments are
+// restored before the caller sees them
+
+const { LLMProvider } = require("./base-provider");
+
+class RedactingProvider extends LLMProvider {
+  constructor(inner, session) {
+    super(inner.name, { model: inner.model });
+    this.inner = inner;
+    this.session = session;
+    this.supportsTools = inner.supportsTools;
+    this.contextWindow = inner.contextWindow;
+    this.charsPerToken = inner.charsPerToken;
+    this.defaults = inner.defaults;
+  }
+
+  // Redacted copy of the messages, telling the model about the placeholders
+  redactMessages(messages) {
+    const redacted = messages.map((m) => ({
+      ...m,
+      content: this.session.redact(m.content),
+      ...(m.toolCalls && {
+        toolCalls: m.toolCalls.map((call) => ({
+          ...call,
+          arguments: this.session.redactDeep(call.arguments),
+        })),
+      }),
+    }));
+    if (this.session.total === 0) return redacted;
+    const system = redacted.find((m) => m.role === "system");
+    if (system) {
+      system.content = `${system.content}\n\n${this.session.notice}`;
+      return redacted;
+    }
+    return [{ role: "system", content: this.session.notice }, ...redacted];
+  }
+
+  async chat(messages, options = {}) {
+    const result = await this.inner.chat(
+      this.redactMessages(messages),
+      options
+    );
+    return {
+      ...result,
+      content: this.session.restore(result.content),
+      ...(result.toolCalls && {
+        toolCalls: this.session.restoreDeep(result.toolCalls),
+      }),
+    };
+  }
+
+  async *stream(messages, options = {}) {
+    const restorer = this.session.createStreamRestorer();
+    for await (const event of this.inner.stream(
+      this.redactMessages(messages),
+      options
+    )) {
+      if (event.type === "delta") {
+        const content = restorer.push(event.content);
+        if (content) yield { ...event, content };
+      } else {
+        const rest = restorer.flush();
+        if (rest) yield { type: "delta", content: rest };
+        yield event;
+      }
+    }
+  }
+
+  estimateTokens(text) {
+    return this.inner.estimateTokens(text);
+  }
+
+  promptBudget(options = {}) {
+    return this.inner.promptBudget(options);
+  }
+
+  status() {
+    return this.inner.status?.();
+  }
+}
+
+module.exports = RedactingProvider;
@@ -0,0 +1,350 @@
+// Spanish readability and complexity metrics
+// measure(text): Fernández Huerta and Szigriszt-Pazos (read on the INFLESZ
+// scale) reading ease, Crawford's school years, lexical diversity (type-token
+// ratio and MTLD), connector variety and vocabulary level.
+// checkGrade(text, grade): whether a text we generate for a student
+// (feedback, micro-challenges, activities) is readable at their grade
+// (`cursos.grado`, Colombian grades 1-11): reading ease, sentence length,
+// Crawford years (primary grades only, where the formula is calibrated) and
+// vocabulary level against the band of the grade.
+// Formulas are unreliable on very short texts: below MIN_WORDS the metrics
+// are reported with `reliable: false` and only the vocabulary is checked.
+
+const { tokenize, findTerms, sentences } = require("./spanish-text");
+
+// Words below which the readability formulas are not meaningful
+const MIN_WORDS = 30;
+
+// MTLD: type-token ratio at which a segment (factor) is closed
+const MTLD_THRESHOLD = 0.72;
+
+// Discourse connectors by function
+const CONNECTORS = {
+  addition: ["además", "también", "asimismo", "igualmente", "incluso"],
+  contrast: [
+    "sin embargo",
+    "pero",
+    "aunque",
+    "no obstante",
+    "en cambio",
+    "por el contrario",
+    "si bien",
+    "a pesar de",
+  ],
+  cause: ["porque", "ya que", "puesto que", "debido a", "dado que", "pues"],
+  consequence: [
+    "por lo tanto",
+    "por eso",
+    "en consecuencia",
+    "así que",
+    "por consiguiente",
+    "de modo que",
+    "de manera que",
+  ],
+  example: ["por ejemplo", "es decir", "o sea", "en otras palabras"],
+  order: [
+    "primero",
+    "en primer lugar",
+    "segundo",
+    "luego",
+    "después",
+    "por último",
+    "finalmente",
+  ],
+  conclusion: [
+    "en conclusión",
+    "en resumen",
+    "en definitiva",
+    "para concluir",
+    "en síntesis",
+  ],
+};
+
+// Reading ease bands, highest first
+const FERNANDEZ_HUERTA_LEVELS = [
+  { min: 90, label: "muy fácil" },
+  { min: 80, label: "fácil" },
+  { min: 70, label: "bastante fácil" },
+  { min: 60, label: "normal" },
+  { min: 50, label: "bastante difícil" },
+  { min: 30, label: "difícil" },
+  { min: -Infinity, label: "muy difícil" },
+];
+const INFLESZ_LEVELS = [
+  { min: 80, label: "muy fácil" },
+  { min: 65, label: "bastante fácil" },
+  { min: 55, label: "normal" },
+  { min: 40, label: "algo difícil" },
+  { min: -Infinity, label: "muy difícil" },
+];
+
+// Vocabulary level by share of words of four or more syllables
+const VOCABULARY_LEVELS = [
+  { maxPolysyllabic: 0.12, label: "básico" },
+  { maxPolysyllabic: 0.22, label: "intermedio" },
+  { maxPolysyllabic: Infinity, label: "avanzado" },
+];
+const VOCABULARY_ORDER = VOCABULARY_LEVELS.map((level) => level.label);
+
+// What a text for each grade band should stay within
+const GRADE_BANDS = [
+  {
+    maxGrade: 3,
+    label: "1° a 3°",
+    minSzigriszt: 70,
+    maxWordsPerSentence: 12,
+    vocabulary: "básico",
+  },
+  {
+    maxGrade: 5,
+    label: "4° a 5°",
+    minSzigriszt: 65,
+    maxWordsPerSentence: 15,
+    vocabulary: "básico",
+  },
+  {
+    maxGrade: 7,
+    label: "6° a 7°",
+    minSzigriszt: 55,
+    maxWordsPerSentence: 20,
+    vocabulary: "intermedio",
+  },
+  {
+    maxGrade: 9,
+    label: "8° a 9°",
+    minSzigriszt: 50,
+    maxWordsPerSentence: 25,
+    vocabulary: "intermedio",
+  },
+  {
+    maxGrade: Infinity,
+    label: "10° a 11°",
+    minSzigriszt: 40,
+    maxWordsPerSentence: 30,
+    vocabulary: "avanzado",
+  },
+];
+
+// Highest grade for which Crawford's school years are checked
+const CRAWFORD_MAX_GRADE = 6;
+
+const STRONG_VOWELS = "aeoáéóíú";
+const VOWELS = `${STRONG_VOWELS}iuü`;
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+const levelOf = (levels, score) => levels.find((l) => score >= l.min).label;
+
+// Syllables of a Spanish word: vowel nuclei, where a weak vowel (i, u
+// without accent) next to another vowel forms a diphthong and two strong
+// ones (a, e, o, accented í/ú) are a hiatus. The u of que/qui/gue/gui is
+// silent and a final y is a vowel (hoy, muy)
+function countSyllables(word) {
+  const w = word
+    .toLowerCase()
+    .replace(/([qg])u(?=[eéií])/g, "$1")
+    .replace(/y$/, "i");
+  let count = 0;
+  let previous = null;
+  for (const ch of w) {
+    if (!VOWELS.includes(ch)) {
+      previous = null;
+      continue;
+    }
+    const hiatus =
+      previous &&
+      STRONG_VOWELS.includes(previous) &&
+      STRONG_VOWELS.includes(ch);
+    if (!previous || hiatus) count++;
+    previous = ch;
+  }
+  return Math.max(count, 1);
+}
+
+// Mean length of the segments over which the type-token ratio stays above
+// the threshold, in one reading direction
+function mtldPass(words) {
+  let factors = 0;
+  let types = new Set();
+  let tokens = 0;
+  for (const word of words) {
+    types.add(word);
+    tokens++;
+    if (types.size / tokens <= MTLD_THRESHOLD) {
+      factors++;
+      types = new Set();
+      tokens = 0;
+    }
+  }
+  if (tokens > 0) {
+    factors += (1 - types.size / tokens) / (1 - MTLD_THRESHOLD);
+  }
+  return factors > 0 ? words.length / factors : words.length;
+}
+
+class ReadabilityAnalyzer {
+  // text -> { words, sentences, syllables, wordsPerSentence,
+  // syllablesPerWord, fernandezHuerta, szigrisztPazos, crawford,
+  // lexicalDiversity, connectors, vocabulary, reliable }
+  measure(text) {
+    const source = String(text ?? "");
+    const words = tokenize(source).filter((w) => /\p{L}/u.test(w.folded));
+    const sentenceCount = Math.max(sentences(source).length, 1);
+    const syllables = words.map((w) => countSyllables(w.text));
+    const wordCount = words.length;
+    const syllableCount = syllables.reduce((a, b) => a + b, 0);
+
+    const wordsPerSentence = wordCount / sentenceCount;
+    const syllablesPerWord = wordCount ? syllableCount / wordCount : 0;
+    // Per 100 words, as the Fernández Huerta and Crawford formulas expect
+    const syllablesPer100 = syllablesPerWord * 100;
+    const sentencesPer100 = wordCount ? (sentenceCount / wordCount) * 100 : 0;
+
+    const fernandezHuerta = wordCount
+      ? 206.84 - 0.6 * syllablesPer100 - 1.02 * sentencesPer100
+      : 0;
+    const szigriszt = wordCount
+      ? 206.835 - 62.3 * syllablesPerWord - wordsPerSentence
+      : 0;
+    const crawford = wordCount
+      ? -0.205 * sentencesPer100 + 0.049 * syllablesPer100 - 3.407
+      : 0;
+
+    const folded = words.map((w) => w.folded);
+    const polysyllabic = syllables.filter((n) => n >= 4).length;
+    const polysyllabicRatio = wordCount ? polysyllabic / wordCount : 0;
+
+    return {
+      words: wordCount,
+      sentences: wordCount ? sentenceCount : 0,
+      syllables: syllableCount,
+      wordsPerSentence: round(wordsPerSentence, 1),
+      syllablesPerWord: round(syllablesPerWord),
+      fernandezHuerta: {
+        score: round(fernandezHuerta, 1),
+        level: levelOf(FERNANDEZ_HUERTA_LEVELS, fernandezHuerta),
+      },
+      szigrisztPazos: {
+        score: round(szigriszt, 1),
+        inflesz: levelOf(INFLESZ_LEVELS, szigriszt),
+      },
+      crawford: round(Math.max(crawford, 0), 1),
+      lexicalDiversity: {
+        ttr: wordCount ? round(new Set(folded).size / wordCount) : 0,
+        mtld: round(
+          (mtldPass(folded) + mtldPass([...folded].reverse())) / 2,
+          1
+        ),
+      },
+      connectors: this.connectors(source),
+      vocabulary: {
+        level: VOCABULARY_LEVELS.find(
+          (l) => polysyllabicRatio <= l.maxPolysyllabic
+        ).label,
+        polysyllabicRatio: round(polysyllabicRatio),
+        averageWordLength: wordCount
+          ? round(folded.join("").length / wordCount, 1)
+          : 0,
+      },
+      reliable: wordCount >= MIN_WORDS,
+    };
+  }
+
+  // Connectors used: { count, distinct, categories, variety } where
+  // variety is the share of connector functions the text uses
+  connectors(text) {
+    const found = [];
+    for (const [category, terms] of Object.entries(CONNECTORS)) {
+      for (const match of findTerms(text, terms)) {
+        found.push({ category, term: match.term });
+      }
+    }
+    const categories = [...new Set(found.map((f) => f.category))];
+    return {
+      count: found.length,
+      distinct: new Set(found.map((f) => f.term)).size,
+      categories,
+      variety: round(categories.length / Object.keys(CONNECTORS).length),
+    };
+  }
+
+  // Whether `text` reads at the level of `grade` ("10°", "7", 8...):
+  // { grade, band, fits, issues, expected, readability } or null when the
+  // grade is unknown
+  checkGrade(text, grade) {
+    const number = parseInt(String(grade ?? "").replace(/\D+/g, ""), 10);
+    if (!Number.isFinite(number)) return null;
+    const band = GRADE_BANDS.find((b) => number <= b.maxGrade);
+    const metrics = this.measure(text);
+    const issues = [];
+
+    if (metrics.reliable) {
+      if (metrics.szigrisztPazos.score < band.minSzigriszt) {
+        issues.push(
+          `Lectura ${metrics.szigrisztPazos.inflesz} para ${number}° (INFLESZ ${metrics.szigrisztPazos.score}; se espera al menos ${band.minSzigriszt})`
+        );
+      }
+      if (metrics.wordsPerSentence > band.maxWordsPerSentence) {
+        issues.push(
+          `Oraciones largas: ${metrics.wordsPerSentence} palabras en promedio (máximo ${band.maxWordsPerSentence} para ${number}°)`
+        );
+      }
+      if (number <= CRAWFORD_MAX_GRADE && metrics.crawford > number) {
+        issues.push(
+          `Según Crawford requiere ${metrics.crawford} años de escolaridad (el estudiante cursa ${number}°)`
+        );
+      }
+    }
+    if (
+      VOCABULARY_ORDER.indexOf(metrics.vocabulary.level) >
+      VOCABULARY_ORDER.indexOf(band.vocabulary)
+    ) {
+      issues.push(
+        `Vocabulario ${metrics.vocabulary.level} para ${number}° (se espera ${band.vocabulary})`
+      );
+    }
+
+    return {
+      grade: number,
+      band: band.label,
+      fits: issues.length === 0,
+      issues,
+      expected: {
+        minSzigriszt: band.minSzigriszt,
+        maxWordsPerSentence: band.maxWordsPerSentence,
+        vocabulary: band.vocabulary,
+      },
+      readability: {
+        szigrisztPazos: metrics.szigrisztPazos,
+        fernandezHuerta: metrics.fernandezHuerta,
+        crawford: metrics.crawford,
+        wordsPerSentence: metrics.wordsPerSentence,
+        vocabulary: metrics.vocabulary.level,
+        reliable: metrics.reliable,
+      },
+    };
+  }
+
+  // Text of the string values in a generated object (activity, feedback
+  // list...), one per line so each reads as its own sentence
+  textOf(value) {
+    if (typeof value === "string") return value;
+    if (Array.isArray(value))
+      return value.map((v) => this.textOf(v)).join("\n");
+    if (value && typeof value === "object") {
+      return Object.values(value)
+        .map((v) => this.textOf(v))
+        .filter(Boolean)
+        .join("\n");
+    }
+    return "";
+  }
+}
+
+ReadabilityAnalyzer.CONNECTORS = CONNECTORS;
+ReadabilityAnalyzer.GRADE_BANDS = GRADE_BANDS;
+ReadabilityAnalyzer.countSyllables = countSyllables;
+
+module.exports = ReadabilityAnalyzer;
@@ -0,0 +1,273 @@
+// Rubric evaluation of a student text
+// Scores a text against a teacher's rubric (see ./rubric-repo): each
+// criterion gets one of its performance levels with a justification and the
+// next step towards the level above; the total is the weighted mean of the
+// levels on the 0-5 scale of `evaluaciones`, with its performance level.
+// With ANALYSIS_ENGINE=llm the evaluator model picks the levels against a
+// schema; criteria it leaves out or grades with an unknown level, and every
+// criterion in heuristic mode, are placed by the score of their linked
+// analysis area (the overall score when the criterion has none).
+
+const { validate, parseJsonObject } = require("./argument-schema");
+const A2AAgent = require("./a2a-agent");
+const PromptRegistry = require("./prompt-registry");
+
+const EVALUATION_SCHEMA = {
+  type: "object",
+  required: ["criteria", "justification"],
+  properties: {
+    criteria: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["criterionId", "level", "justification"],
+        properties: {
+          criterionId: { type: "string" },
+          level: { type: "string" },
+          justification: { type: "string" },
+          evidence: { type: "string" },
+        },
+      },
+    },
+    justification: { type: "string" },
+  },
+};
+
+const LLM_INSTRUCTIONS = `TAREA: Evalúa el texto del estudiante con la rúbrica del docente.
+- Para cada criterio elige exactamente uno de sus niveles (copia su "label") según los descriptores.
+- justification: una o dos oraciones en español que expliquen el nivel elegido con base en el texto.
+- evidence: un fragmento literal y breve del texto que sustente el nivel (opcional).
+- justification general: dos o tres oraciones con las fortalezas y lo que debe mejorar.
+Responde únicamente con un objeto JSON que cumpla este JSON Schema:
+${JSON.stringify(EVALUATION_SCHEMA)}`;
+
+// Analysis areas as named in justifications
+const AREA_LABELS = {
+  structure: "estructura",
+  content: "contenido",
+  reasoning: "razonamiento",
+  evidence: "evidencia",
+  criticalThinking: "pensamiento crítico",
+  originality: "originalidad",
+};
+
+const pct = (score) => `${Math.round(score * 100)}%`;
+
+class RubricEvaluator {
+  constructor(options = {}) {
+    this.llm = options.llm || null;
+    this.promptRegistry = options.promptRegistry || new PromptRegistry(null);
+    this.engine = options.engine || process.env.ANALYSIS_ENGINE || "llm";
+    this.maxTokens = options.maxTokens || 800;
+  }
+
+  // Grade `text` with `rubric`; `analysis` is the A2A analysis of the same
+  // text. -> { rubricId, criteria, total, performanceLevel, justification,
+  // engine }; never throws
+  async evaluate(rubric, text, analysis, context = {}) {
+    let llmInfo = null;
+    if (this.engine === "llm" && this.llm) {
+      llmInfo = await this.evaluateWithLLM(rubric, text, context);
+    }
+    const graded = llmInfo?.grades || {};
+
+    const criteria = rubric.criteria.map((criterion) =>
+      graded[criterion.id]
+        ? this.result(criterion, graded[criterion.id], "llm")
+        : this.result(
+            criterion,
+            this.heuristicGrade(criterion, analysis),
+            "heuristic"
+          )
+    );
+    const total =
+      Math.round(
+        criteria.reduce((sum, c) => sum + c.score * c.weight, 0) * 50
+      ) / 10;
+    const used = new Set(criteria.map((c) => c.engine));
+
+    return {
+      rubricId: rubric.id || null,
+      criteria,
+      total,
+      performanceLevel: this.performanceLevel(total),
+      justification:
+        used.has("llm") && llmInfo.justification
+          ? llmInfo.justification
+          : this.summarize(criteria, total),
+      engine: {
+        requested: this.engine,
+        used: used.size > 1 ? "mixed" : [...used][0],
+        ...(llmInfo && {
+          provider: llmInfo.provider || null,
+          model: llmInfo.model || null,
+          usage: llmInfo.usage || null,
+          promptVersionId: llmInfo.promptVersionId || null,
+        }),
+        ...(llmInfo?.error && { fallbackReason: llmInfo.error }),
+      },
+    };
+  }
+
+  // Ask the model for the levels; { grades: { criterionId: grade },
+  // justification } or { error }, never throws
+  async evaluateWithLLM(rubric, text, context) {
+    let result;
+    let promptVersionId = null;
+    try {
+      const evaluator = await this.promptRegistry.renderEvaluator(context);
+      promptVersionId = evaluator.promptVersionId;
+      result = await this.llm.chat(
+        [
+          {
+            role: "system",
+            content: `${evaluator.content}\n\n${LLM_INSTRUCTIONS}`,
+          },
+          {
+            role: "user",
+            content: `RÚBRICA:\n${this.describe(
+              rubric
+            )}\n\nTEXTO DEL ESTUDIANTE:\n${text}`,
+          },
+        ],
+        { temperature: 0, maxTokens: this.maxTokens }
+      );
+    } catch (error) {
+      console.warn("[rubric-evaluator] LLM evaluation failed:", error.message);
+      return { error: `llm error: ${error.message}` };
+    }
+    const info = {
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      promptVersionId,
+    };
+
+    // The demo responder answers with canned text, not a grade
+    if (result.provider === "demo") {
+      return { ...info, error: "demo provider does not evaluate" };
+    }
+    const data = parseJsonObject(result.content);
+    const errors = data ? validate(EVALUATION_SCHEMA, data) : ["invalid JSON"];
+    if (errors.length > 0) {
+      console.warn("[rubric-evaluator] LLM grade rejected:", errors);
+      return { ...info, error: errors.slice(0, 5).join("; ") };
+    }
+
+    // Only known criteria graded with one of their own levels are kept
+    const grades = {};
+    for (const item of data.criteria) {
+      const criterion = rubric.criteria.find((c) => c.id === item.criterionId);
+      const level = criterion?.levels.find(
+        (l) => l.label.toLowerCase() === item.level.trim().toLowerCase()
+      );
+      if (!level) continue;
+      grades[criterion.id] = {
+        level,
+        justification: item.justification,
+        ...(item.evidence && { evidence: item.evidence }),
+      };
+    }
+    const missing = rubric.criteria.filter((c) => !grades[c.id]);
+    return {
+      ...info,
+      grades,
+      justification: data.justification,
+      ...(missing.length > 0 && {
+        error: `criteria without a valid level: ${missing
+          .map((c) => c.id)
+          .join(", ")}`,
+      }),
+    };
+  }
+
+  // Level from the linked analysis area: its 0-1 score split evenly
+  // across the levels
+  heuristicGrade(criterion, analysis) {
+    const overall = analysis?.overall || {};
+    const area = criterion.dimension;
+    const value = area ? overall[area] : overall.total;
+    const score = typeof value === "number" ? value : 0;
+    const { levels } = criterion;
+    const level =
+      levels[Math.min(levels.length - 1, Math.floor(score * levels.length))];
+    return {
+      level,
+      justification: `El análisis de ${
+        area ? AREA_LABELS[area] : "todo el argumento"
+      } da ${pct(score)}, lo que corresponde al nivel "${level.label}"${
+        level.descriptor ? `: ${level.descriptor}` : ""
+      }.`,
+    };
+  }
+
+  // Criterion result with its 0-1 score and the step to the next level
+  result(criterion, grade, engine) {
+    const { levels } = criterion;
+    const min = levels[0].score;
+    const max = levels[levels.length - 1].score;
+    const index = levels.indexOf(grade.level);
+    const next = levels[index + 1];
+    return {
+      criterionId: criterion.id,
+      name: criterion.name,
+      weight: criterion.weight,
+      dimension: criterion.dimension || null,
+      level: grade.level,
+      score: Math.round(((grade.level.score - min) / (max - min)) * 100) / 100,
+      justification: grade.justification,
+      ...(grade.evidence && { evidence: grade.evidence }),
+      nextStep: next
+        ? `Para llegar a "${next.label}" en ${criterion.name}: ${
+            next.descriptor || "revisa el descriptor de ese nivel"
+          }`
+        : `Mantén el nivel más alto en ${criterion.name}.`,
+      engine,
+    };
+  }
+
+  // General justification: total, strongest and weakest criteria (the
+  // heavier one on ties)
+  summarize(criteria, total) {
+    const ranked = [...criteria].sort(
+      (a, b) => b.score - a.score || a.weight - b.weight
+    );
+    const best = ranked[0];
+    const worst = ranked[ranked.length - 1];
+    const parts = [
+      `Puntaje de la rúbrica: ${total}/5 (${this.performanceLevel(total)}).`,
+      `Fortaleza: ${best.name} (${best.level.label}).`,
+    ];
+    if (worst !== best && worst.score < best.score) {
+      parts.push(`Por mejorar: ${worst.name} (${worst.level.label}).`);
+    }
+    return parts.join(" ");
+  }
+
+  // Rubric as text for the model prompt
+  describe(rubric) {
+    return rubric.criteria
+      .map((c) =>
+        [
+          `- [${c.id}] ${c.name} (peso ${Math.round(c.weight * 100)}%)${
+            c.description ? `: ${c.description}` : ""
+          }`,
+          ...c.levels.map(
+            (l) =>
+              `    * "${l.label}" (${l.score})${
+                l.descriptor ? `: ${l.descriptor}` : ""
+              }`
+          ),
+        ].join("\n")
+      )
+      .join("\n");
+  }
+
+  // Performance level label for a 0-5 score (same scale as the analysis)
+  performanceLevel(score) {
+    return A2AAgent.PERFORMANCE_LEVELS.find((level) => score >= level.min)
+      .label;
+  }
+}
+
+module.exports = RubricEvaluator;
@@ -0,0 +1,348 @@
+// Teacher-defined rubrics and the evaluations made with them
+// A rubric belongs to an activity (`rubricas` -> `actividades`) and lists
+// criteria, each with a weight, the analysis area it is linked to (see
+// ./rubric-weights AREAS; null when only the model can judge it) and its
+// performance levels (score, label, descriptor). Scoring an `entregas` text
+// writes one `evaluaciones` row (per-criterion results in
+// `resultados_criterios`, the justification in `justificacion`) and one
+// `retroalimentaciones` row per criterion.
+// Two implementations of the same interface:
+//   create(activityId, rubric) / update(id, rubric) -> rubric
+//   get(id) -> rubric | null;  list({ activityId }) -> oldest first
+//   remove(id) -> boolean
+//   getSubmission(id) -> { id, activityId, studentId, classId, text } | null
+//   saveEvaluation({ submission, rubric, evaluation, analysis })
+//     -> { evaluationId, feedbackIds }
+// SupabaseRubricRepository uses the tables above; InMemoryRubricRepository
+// keeps rubrics and evaluations in memory when Supabase is not configured
+// (it has no submissions, so only unsaved evaluations of a text are possible).
+
+const RubricWeights = require("./rubric-weights");
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Column limits of `evaluaciones` / `retroalimentaciones`
+const SUMMARY_MAX = 250;
+const SUGGESTION_MAX = 250;
+const ACTION_MAX = 150;
+
+const clip = (text, max) =>
+  text.length > max ? `${text.slice(0, max - 3)}...` : text;
+
+// Validate a rubric ({ name, description, criteria }) and normalize it:
+// criterion ids filled in (c1, c2...), weights scaled to sum 1, levels
+// sorted from lowest to highest score. Throws on invalid input
+function normalizeRubric(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("rubric must be an object");
+  }
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) throw new Error("name is required");
+  if (!Array.isArray(input.criteria) || input.criteria.length === 0) {
+    throw new Error("criteria must be a non-empty array");
+  }
+
+  const ids = new Set();
+  const criteria = input.criteria.map((criterion, i) => {
+    const where = `criteria[${i}]`;
+    if (!criterion || typeof criterion !== "object") {
+      throw new Error(`${where} must be an object`);
+    }
+    const id = String(criterion.id || `c${i + 1}`).trim();
+    if (ids.has(id)) throw new Error(`${where}: duplicate id "${id}"`);
+    ids.add(id);
+    if (typeof criterion.name !== "string" || !criterion.name.trim()) {
+      throw new Error(`${where}.name is required`);
+    }
+    const weight = Number(criterion.weight ?? 1);
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`${where}.weight must be a non-negative number`);
+    }
+    const dimension = criterion.dimension || null;
+    if (dimension && !RubricWeights.AREAS.includes(dimension)) {
+      throw new Error(
+        `${where}.dimension "${dimension}" is unknown. Use: ${RubricWeights.AREAS.join(
+          ", "
+        )}`
+      );
+    }
+    if (!Array.isArray(criterion.levels) || criterion.levels.length < 2) {
+      throw new Error(`${where}.levels needs at least 2 levels`);
+    }
+    const levels = criterion.levels.map((level, j) => {
+      const score = Number(level?.score);
+      if (!Number.isFinite(score)) {
+        throw new Error(`${where}.levels[${j}].score must be a number`);
+      }
+      if (typeof level.label !== "string" || !level.label.trim()) {
+        throw new Error(`${where}.levels[${j}].label is required`);
+      }
+      return {
+        score,
+        label: level.label.trim(),
+        descriptor:
+          typeof level.descriptor === "string" ? level.descriptor.trim() : "",
+      };
+    });
+    levels.sort((a, b) => a.score - b.score);
+    if (
+      levels.some((level, j) => j > 0 && level.score === levels[j - 1].score)
+    ) {
+      throw new Error(`${where}.levels must have different scores`);
+    }
+    return {
+      id,
+      name: criterion.name.trim(),
+      description:
+        typeof criterion.description === "string"
+          ? criterion.description.trim()
+          : "",
+      weight,
+      dimension,
+      levels,
+    };
+  });
+
+  const total = criteria.reduce((sum, c) => sum + c.weight, 0);
+  if (total <= 0) throw new Error("at least one weight must be positive");
+  for (const criterion of criteria) criterion.weight /= total;
+
+  return {
+    name,
+    description:
+      typeof input.description === "string" ? input.description.trim() : "",
+    criteria,
+  };
+}
+
+// `evaluaciones` row for a rubric evaluation; the area score columns come
+// from the argument analysis of the same text
+function evaluationRow({ submission, rubric, evaluation, analysis }) {
+  const areas = analysis?.overall?.evaluation || {};
+  return {
+    id_entrega: submission.id,
+    id_rubrica: rubric.id,
+    estructura_score: areas.estructura_score ?? 0,
+    evidencia_score: areas.evidencia_score ?? 0,
+    critica_score: areas.critica_score ?? 0,
+    creatividad_score: areas.creatividad_score ?? 0,
+    rubrica_total: evaluation.total,
+    nivel_desempeno: evaluation.performanceLevel,
+    retroalimentacion_resumen: clip(evaluation.justification, SUMMARY_MAX),
+    resultados_criterios: evaluation.criteria,
+    justificacion: evaluation.justification,
+  };
+}
+
+// `retroalimentaciones` rows: one per criterion
+function feedbackRows(evaluationId, evaluation) {
+  return evaluation.criteria.map((result) => ({
+    id_evaluacion: evaluationId,
+    tipo: "Automática",
+    criterio: result.criterionId,
+    sugerencia: clip(result.justification, SUGGESTION_MAX),
+    accion_recomendada: clip(result.nextStep, ACTION_MAX),
+  }));
+}
+
+class SupabaseRubricRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  async create(activityId, rubric) {
+    const { data, error } = await this.supabase
+      .from("rubricas")
+      .insert({
+        id_actividad: activityId,
+        nombre: rubric.name,
+        descripcion: rubric.description || null,
+        criterios: rubric.criteria,
+      })
+      .select()
+      .single();
+    if (error) throw new Error(`create rubric: ${error.message || error}`);
+    return this.toRubric(data);
+  }
+
+  async get(id) {
+    if (!UUID.test(String(id))) return null;
+    const { data, error } = await this.supabase
+      .from("rubricas")
+      .select("*")
+      .eq("id_rubrica", id)
+      .maybeSingle();
+    if (error) throw new Error(`get rubric: ${error.message || error}`);
+    return data ? this.toRubric(data) : null;
+  }
+
+  async list({ activityId } = {}) {
+    let query = this.supabase
+      .from("rubricas")
+      .select("*")
+      .order("creado_en", { ascending: true });
+    if (activityId) query = query.eq("id_actividad", activityId);
+    const { data, error } = await query;
+    if (error) throw new Error(`list rubrics: ${error.message || error}`);
+    return (data || []).map((row) => this.toRubric(row));
+  }
+
+  async update(id, rubric) {
+    if (!UUID.test(String(id))) return null;
+    const { data, error } = await this.supabase
+      .from("rubricas")
+      .update({
+        nombre: rubric.name,
+        descripcion: rubric.description || null,
+        criterios: rubric.criteria,
+        actualizado_en: new Date().toISOString(),
+      })
+      .eq("id_rubrica", id)
+      .select()
+      .maybeSingle();
+    if (error) throw new Error(`update rubric: ${error.message || error}`);
+    return data ? this.toRubric(data) : null;
+  }
+
+  async remove(id) {
+    if (!UUID.test(String(id))) return false;
+    const { data, error } = await this.supabase
+      .from("rubricas")
+      .delete()
+      .eq("id_rubrica", id)
+      .select("id_rubrica");
+    if (error) throw new Error(`delete rubric: ${error.message || error}`);
+    return (data || []).length > 0;
+  }
+
+  async getSubmission(id) {
+    if (!UUID.test(String(id))) return null;
+    const { data, error } = await this.supabase
+      .from("entregas")
+      .select(
+        "id_entrega, id_actividad, id_estudiante, texto_respuesta, actividades(id_clase)"
+      )
+      .eq("id_entrega", id)
+      .maybeSingle();
+    if (error) throw new Error(`get submission: ${error.message || error}`);
+    if (!data) return null;
+    return {
+      id: data.id_entrega,
+      activityId: data.id_actividad,
+      studentId: data.id_estudiante,
+      classId: data.actividades?.id_clase || null,
+      text: data.texto_respuesta,
+    };
+  }
+
+  async saveEvaluation({ submission, rubric, evaluation, analysis }) {
+    const { data, error } = await this.supabase
+      .from("evaluaciones")
+      .insert(evaluationRow({ submission, rubric, evaluation, analysis }))
+      .select("id_evaluacion")
+      .single();
+    if (error) throw new Error(`save evaluation: ${error.message || error}`);
+
+    const { data: feedback, error: fbError } = await this.supabase
+      .from("retroalimentaciones")
+      .insert(feedbackRows(data.id_evaluacion, evaluation))
+      .select("id_retro");
+    if (fbError) {
+      throw new Error(`save feedback: ${fbError.message || fbError}`);
+    }
+    return {
+      evaluationId: data.id_evaluacion,
+      feedbackIds: (feedback || []).map((row) => row.id_retro),
+    };
+  }
+
+  toRubric(row) {
+    return {
+      id: row.id_rubrica,
+      activityId: row.id_actividad,
+      name: row.nombre,
+      description: row.descripcion || "",
+      criteria: row.criterios || [],
+      createdAt: new Date(row.creado_en).getTime(),
+      updatedAt: new Date(row.actualizado_en || row.creado_en).getTime(),
+    };
+  }
+}
+
+class InMemoryRubricRepository {
+  constructor() {
+    this.rubrics = new Map();
+    this.submissions = new Map();
+    this.evaluations = [];
+    this.feedback = [];
+    this.nextId = 1;
+  }
+
+  async create(activityId, rubric) {
+    const now = Date.now();
+    const record = {
+      id: String(this.nextId++),
+      activityId,
+      ...rubric,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.rubrics.set(record.id, record);
+    return { ...record };
+  }
+
+  async get(id) {
+    const record = this.rubrics.get(String(id));
+    return record ? { ...record } : null;
+  }
+
+  async list({ activityId } = {}) {
+    return [...this.rubrics.values()]
+      .filter((r) => !activityId || r.activityId === activityId)
+      .map((r) => ({ ...r }));
+  }
+
+  async update(id, rubric) {
+    const record = this.rubrics.get(String(id));
+    if (!record) return null;
+    Object.assign(record, rubric, { updatedAt: Date.now() });
+    return { ...record };
+  }
+
+  async remove(id) {
+    return this.rubrics.delete(String(id));
+  }
+
+  async getSubmission(id) {
+    const record = this.submissions.get(String(id));
+    return record ? { ...record } : null;
+  }
+
+  async saveEvaluation({ submission, rubric, evaluation, analysis }) {
+    const evaluationId = String(this.evaluations.length + 1);
+    this.evaluations.push({
+      id_evaluacion: evaluationId,
+      ...evaluationRow({ submission, rubric, evaluation, analysis }),
+    });
+    const feedbackIds = feedbackRows(evaluationId, evaluation).map((row) => {
+      const id = String(this.feedback.length + 1);
+      this.feedback.push({ id_retro: id, ...row });
+      return id;
+    });
+    return { evaluationId, feedbackIds };
+  }
+}
+
+// Supabase-backed repository when a client is available, else in memory
+function createRubricRepository(supabase) {
+  return supabase
+    ? new SupabaseRubricRepository(supabase)
+    : new InMemoryRubricRepository();
+}
+
+module.exports = {
+  SupabaseRubricRepository,
+  InMemoryRubricRepository,
+  createRubricRepository,
+  normalizeRubric,
+};
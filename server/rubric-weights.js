@@ -0,0 +1,123 @@
+// Rubric weights for the argument analysis overall score
+// Teachers can weight the six analysis areas per class or per activity
+// (`pesos_rubrica`); an activity's weights win over its class's, and both
+// fall back to equal weights. Weights are normalized to sum 1.
+
+const AREAS = [
+  "structure",
+  "content",
+  "reasoning",
+  "evidence",
+  "criticalThinking",
+  "originality",
+];
+
+const DEFAULT_WEIGHTS = Object.fromEntries(AREAS.map((a) => [a, 1 / 6]));
+
+// Route scope -> value stored in `pesos_rubrica.ambito`
+const SCOPES = { class: "clase", activity: "actividad" };
+
+class RubricWeights {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.cacheTtlMs = options.cacheTtlMs ?? 60000;
+    this.cache = new Map();
+  }
+
+  // Weights that apply to an analysis: { weights, source }
+  // where source is "activity", "class" or "default"; never throws
+  async resolve({ classId, activityId } = {}) {
+    try {
+      if (activityId) {
+        const weights = await this.get("activity", activityId);
+        if (weights) return { weights, source: "activity" };
+      }
+      if (classId) {
+        const weights = await this.get("class", classId);
+        if (weights) return { weights, source: "class" };
+      }
+    } catch (error) {
+      console.error("[rubric-weights] lookup error:", error);
+    }
+    return { weights: { ...DEFAULT_WEIGHTS }, source: "default" };
+  }
+
+  // Stored weights of a class or activity, or null
+  async get(scope, scopeId) {
+    this.assertScope(scope);
+    if (!this.supabase || !scopeId) return null;
+
+    const key = `${scope}:${scopeId}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.at < this.cacheTtlMs) {
+      return cached.weights;
+    }
+
+    const { data, error } = await this.supabase
+      .from("pesos_rubrica")
+      .select("pesos")
+      .eq("ambito", SCOPES[scope])
+      .eq("id_ambito", scopeId)
+      .maybeSingle();
+    if (error) throw new Error(`get weights: ${error.message || error}`);
+
+    const weights = data?.pesos ? RubricWeights.normalize(data.pesos) : null;
+    this.cache.set(key, { weights, at: Date.now() });
+    return weights;
+  }
+
+  // Store weights for a class or activity; returns the normalized weights
+  async set(scope, scopeId, weights) {
+    this.assertScope(scope);
+    const normalized = RubricWeights.normalize(weights);
+    const { error } = await this.supabase.from("pesos_rubrica").upsert(
+      {
+        ambito: SCOPES[scope],
+        id_ambito: scopeId,
+        pesos: normalized,
+        actualizado_en: new Date().toISOString(),
+      },
+      { onConflict: "ambito,id_ambito" }
+    );
+    if (error) throw new Error(`set weights: ${error.message || error}`);
+    this.cache.set(`${scope}:${scopeId}`, {
+      weights: normalized,
+      at: Date.now(),
+    });
+    return normalized;
+  }
+
+  assertScope(scope) {
+    if (!SCOPES[scope]) {
+      throw new Error(
+        `Invalid scope "${scope}". Use: ${Object.keys(SCOPES).join(", ")}`
+      );
+    }
+  }
+
+  // Validate weights and scale them to sum 1; missing areas weigh 0
+  static normalize(weights) {
+    if (!weights || typeof weights !== "object" || Array.isArray(weights)) {
+      throw new Error("weights must be an object");
+    }
+    const unknown = Object.keys(weights).filter((k) => !AREAS.includes(k));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown areas: ${unknown.join(", ")}. Use: ${AREAS.join(", ")}`
+      );
+    }
+    const values = AREAS.map((area) => Number(weights[area] ?? 0));
+    if (values.some((v) => !Number.isFinite(v) || v < 0)) {
+      throw new Error("weights must be non-negative numbers");
+    }
+    const sum = values.reduce((a, b) => a + b, 0);
+    if (sum <= 0) throw new Error("at least one weight must be positive");
+    return Object.fromEntries(AREAS.map((area, i) => [area, values[i] / sum]));
+  }
+}
+
+RubricWeights.AREAS = AREAS;
+RubricWeights.SCOPES = Object.keys(SCOPES);
+RubricWeights.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+
+module.exports = RubricWeights;
@@ -0,0 +1,298 @@
+// Spanish text utilities shared by every detector
+// - fold(): lowercase without accents ("Según" -> "segun", ñ is kept), one
+//   character per character so offsets into folded text are valid in the
+//   original
+// - tokenize() / stem(): words with offsets; a light stemmer that brings verb
+//   forms and plurals to one stem (analizar, analicé, analizando -> analiz)
+// - findTerms() / countTerms() / hasTerm(): whole-word, accent-insensitive
+//   phrase search, optionally on stems
+// - sentences(): sentence offsets aware of ¿? ¡! and abbreviations
+//   ("Dr. Pérez", "p. ej.", "EE. UU.") and decimals
+// - B / E / accentInsensitive() / cues(): building blocks for the regex
+//   detectors (word boundaries that work with accented letters)
+
+// Word boundaries that work with accented letters
+const B = "(?<![\\p{L}\\p{N}])";
+const E = "(?![\\p{L}\\p{N}])";
+
+const WORD = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Lowercase, accents removed; a character whose folded form would change
+// the length (standalone combining marks...) is kept as is
+function fold(text) {
+  let out = "";
+  for (const ch of String(text ?? "")) {
+    const lower = ch.toLowerCase();
+    const base = lower.length === ch.length ? lower : ch;
+    if (base === "ñ") {
+      out += base;
+      continue;
+    }
+    const stripped = base.normalize("NFD").replace(/\p{M}/gu, "");
+    out += stripped.length === base.length ? stripped : base;
+  }
+  return out;
+}
+
+// Words with offsets: [{ text, folded, start, end }]
+function tokenize(text) {
+  const source = String(text ?? "");
+  return [...fold(source).matchAll(WORD)].map((match) => ({
+    text: source.slice(match.index, match.index + match[0].length),
+    folded: match[0].replace(/\p{M}/gu, ""),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+// Verb endings, derivational suffixes and plurals (folded), longest first
+const SUFFIXES = [
+  "ariamos",
+  "eriamos",
+  "iriamos",
+  "ieramos",
+  "iesemos",
+  "aremos",
+  "eremos",
+  "iremos",
+  "abamos",
+  "aramos",
+  "asemos",
+  "asteis",
+  "isteis",
+  "aciones",
+  "iciones",
+  "amiento",
+  "imiento",
+  "arian",
+  "erian",
+  "irian",
+  "arias",
+  "erias",
+  "irias",
+  "ieron",
+  "iendo",
+  "acion",
+  "icion",
+  "mente",
+  "iamos",
+  "aria",
+  "eria",
+  "iria",
+  "aron",
+  "aste",
+  "iste",
+  "ando",
+  "yendo",
+  "ados",
+  "adas",
+  "idos",
+  "idas",
+  "abas",
+  "aban",
+  "amos",
+  "emos",
+  "imos",
+  "aran",
+  "eran",
+  "iran",
+  "ado",
+  "ada",
+  "ido",
+  "ida",
+  "aba",
+  "ias",
+  "ian",
+  "ais",
+  "eis",
+  "ar",
+  "er",
+  "ir",
+  "as",
+  "es",
+  "os",
+  "an",
+  "en",
+  "ia",
+  "io",
+  "a",
+  "e",
+  "o",
+  "i",
+];
+
+// Shortest stem left after removing a suffix
+const MIN_STEM = 3;
+
+// Stem of a word: up to two suffix removals (imágenes -> imagen -> imag),
+// then spelling changes of the stem undone (analic -> analiz,
+// busqu -> busc -> busz, llegu -> lleg) so all forms share one stem
+function stem(word) {
+  let result = fold(word).replace(/\p{M}/gu, "");
+  for (let pass = 0; pass < 2; pass++) {
+    const suffix = SUFFIXES.find(
+      (s) => result.endsWith(s) && result.length - s.length >= MIN_STEM
+    );
+    if (!suffix) break;
+    result = result.slice(0, -suffix.length);
+  }
+  return result.replace(/qu$/, "c").replace(/gu$/, "g").replace(/c$/, "z");
+}
+
+// Occurrences of any of `terms` as whole words, accent-insensitive:
+// [{ term, start, end, text }] in reading order. With `stem`, words are
+// compared by stem ("analizar" finds "analicé" and "analizando")
+function findTerms(text, terms, { stem: byStem = false } = {}) {
+  const source = String(text ?? "");
+  const key = (token) => (byStem ? stem(token.folded) : token.folded);
+  const words = tokenize(source);
+  const keys = words.map(key);
+  const found = [];
+  for (const term of terms) {
+    const termKeys = tokenize(term).map(key);
+    if (termKeys.length === 0) continue;
+    for (let i = 0; i + termKeys.length <= words.length; i++) {
+      if (termKeys.every((k, j) => keys[i + j] === k)) {
+        const start = words[i].start;
+        const end = words[i + termKeys.length - 1].end;
+        found.push({ term, start, end, text: source.slice(start, end) });
+      }
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+function countTerms(text, terms, options) {
+  return findTerms(text, terms, options).length;
+}
+
+function hasTerm(text, terms, options) {
+  return findTerms(text, terms, options).length > 0;
+}
+
+// Abbreviations after which a period never ends a sentence (titles are
+// followed by a name), and those that end one only before a capital letter
+const TITLES = new Set([
+  "sr",
+  "sra",
+  "srta",
+  "dr",
+  "dra",
+  "lic",
+  "ing",
+  "prof",
+  "profa",
+  "ud",
+  "uds",
+  "av",
+  "ee",
+]);
+const ABBREVIATIONS = new Set([
+  "etc",
+  "ej",
+  "pag",
+  "pags",
+  "num",
+  "no",
+  "art",
+  "cap",
+  "vol",
+  "aprox",
+  "vs",
+  "uu",
+  "cia",
+]);
+
+// Sentence ends: terminators (with closing quotes or brackets) before a
+// space, an opening ¿/¡ or the end of the text; or a line break
+const TERMINATOR = /[.!?…]+["'»”’)\]]*(?=\s|[¿¡]|$)|\n+/gu;
+
+// Sentence offsets ({ start, end }) with surrounding spaces trimmed
+function sentences(text) {
+  const source = String(text ?? "");
+  const result = [];
+  const push = (start, end) => {
+    while (start < end && /\s/u.test(source[start])) start++;
+    while (end > start && /\s/u.test(source[end - 1])) end--;
+    if (end > start) result.push({ start, end });
+  };
+
+  let start = 0;
+  for (const match of source.matchAll(TERMINATOR)) {
+    if (match[0] === "." && isAbbreviation(source, match.index)) continue;
+    const lineBreak = match[0][0] === "\n";
+    push(start, lineBreak ? match.index : match.index + match[0].length);
+    start = match.index + match[0].length;
+  }
+  push(start, source.length);
+  return result;
+}
+
+// Whether the period at `index` closes an abbreviation or an initial
+function isAbbreviation(text, index) {
+  const word = text.slice(0, index).match(/[\p{L}\p{M}]+$/u)?.[0];
+  if (!word) return false;
+  const folded = fold(word).replace(/\p{M}/gu, "");
+  if (word.length === 1 || TITLES.has(folded)) return true;
+  if (!ABBREVIATIONS.has(folded)) return false;
+  const next = text.slice(index + 1).match(/\S/u)?.[0];
+  return !next || !/[\p{Lu}¿¡]/u.test(next);
+}
+
+const VOWELS = {
+  a: "aá",
+  e: "eé",
+  i: "ií",
+  o: "oó",
+  u: "uúü",
+  á: "aá",
+  é: "eé",
+  í: "ií",
+  ó: "oó",
+  ú: "uúü",
+  ü: "uúü",
+};
+
+// Regex source where every vowel also matches its accented forms
+// ("segun" -> "seg[uúü]n"); escapes and \p{...} are left untouched
+function accentInsensitive(source) {
+  let out = "";
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === "\\") {
+      const property = source.slice(i).match(/^\\[pP]\{[^}]*\}/);
+      const escape = property ? property[0] : source.slice(i, i + 2);
+      out += escape;
+      i += escape.length - 1;
+    } else if (inClass) {
+      if (ch === "]") inClass = false;
+      out += VOWELS[ch.toLowerCase()] || ch;
+    } else if (ch === "[") {
+      inClass = true;
+      out += ch;
+    } else {
+      const variants = VOWELS[ch.toLowerCase()];
+      out += variants ? `[${variants}]` : ch;
+    }
+  }
+  return out;
+}
+
+// Whole-word, accent-insensitive regex for a list of phrases or patterns
+const cues = (list, flags = "iu") =>
+  new RegExp(`${B}(?:${list.map(accentInsensitive).join("|")})${E}`, flags);
+
+module.exports = {
+  B,
+  E,
+  fold,
+  tokenize,
+  stem,
+  findTerms,
+  countTerms,
+  hasTerm,
+  sentences,
+  accentInsensitive,
+  cues,
+};
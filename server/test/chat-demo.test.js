@@ -0,0 +1,113 @@
+// End-to-end /api/chat with the scripted demo scenario (no network, no keys)
+// The server runs as a child process with two demo providers in the chain, so
+// the scenario's simulated outage is retried like a real upstream failure
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const net = require("node:net");
+const path = require("node:path");
+
+const SERVER_DIR = path.join(__dirname, "..");
+
+let server;
+let baseUrl;
+
+// A port nothing is listening on right now
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  server = spawn(process.execPath, ["index.js"], {
+    cwd: SERVER_DIR,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      PROVIDER_CHAIN: "demo,demo",
+      DEMO_SCENARIOS: path.join(SERVER_DIR, "demo-scenarios"),
+      LLM_RETRY_BASE_MS: "1",
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(
+      () => reject(new Error(`server did not start:\n${output}`)),
+      15000
+    );
+    server.stderr.on("data", (chunk) => (output += chunk));
+    server.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("server running on")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    server.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+});
+
+after(() => {
+  server?.kill();
+});
+
+async function chat(messages) {
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ messages }),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("the demo scenario tutors an essay turn by turn", async () => {
+  const turns = [
+    [
+      "Tengo que escribir un ensayo sobre el uniforme escolar",
+      /^¡Vamos a construir tu ensayo!/,
+    ],
+    [
+      "Creo que el uniforme debería ser opcional",
+      /^Interesante postura: "el uniforme debería ser opcional"/,
+    ],
+    [
+      "Porque cada estudiante se expresa con su ropa",
+      /^Bien, ya tienes una razón/,
+    ],
+    // Fails once upstream (503); the retry gets the scenario's next rule
+    ["simular caída", /^Todavía no veo evidencia concreta/],
+    [
+      "Según una encuesta de 2023, el 60% se siente más cómodo sin uniforme",
+      /^Excelente, eso fortalece tu argumento/,
+    ],
+  ];
+
+  const messages = [];
+  for (const [content, expected] of turns) {
+    messages.push({ role: "user", content });
+    const { status, body } = await chat(messages);
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.match(body.content, expected);
+    assert.equal(body.provider, "demo");
+    messages.push({ role: "assistant", content: body.content });
+  }
+});
+
+test("a chat without messages is rejected", async () => {
+  const { status, body } = await chat([]);
+  assert.equal(status, 400);
+  assert.equal(body.error, "messages array is required");
+});
@@ -0,0 +1,123 @@
+// Draft comparison: sentence alignment and what changed between drafts
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const DraftComparer = require("../draft-compare");
+
+const comparer = new DraftComparer();
+const changesOf = (previous, current) =>
+  comparer.align(previous, current).map((entry) => ({
+    change: entry.change,
+    previous: entry.previous?.text ?? null,
+    current: entry.current?.text ?? null,
+  }));
+
+test("align finds kept, moved, removed and added sentences", () => {
+  assert.deepEqual(
+    changesOf(
+      "Creo que el uniforme debe ser opcional. Los estudiantes se expresan con la ropa. El colegio ahorra dinero con él.",
+      "El colegio ahorra dinero con él. Creo que el uniforme escolar debe ser opcional. Un estudio de 2020 muestra menos estrés."
+    ),
+    [
+      {
+        change: "moved",
+        previous: "Creo que el uniforme debe ser opcional.",
+        current: "Creo que el uniforme escolar debe ser opcional.",
+      },
+      {
+        change: "removed",
+        previous: "Los estudiantes se expresan con la ropa.",
+        current: null,
+      },
+      {
+        change: "unchanged",
+        previous: "El colegio ahorra dinero con él.",
+        current: "El colegio ahorra dinero con él.",
+      },
+      {
+        change: "added",
+        previous: null,
+        current: "Un estudio de 2020 muestra menos estrés.",
+      },
+    ]
+  );
+});
+
+test("align offsets point into each draft", () => {
+  const current = "Intro nueva. Me gusta el café.";
+  const [added, kept] = comparer.align("Me gusta el café.", current);
+  assert.equal(added.change, "added");
+  assert.equal(kept.change, "unchanged");
+  assert.equal(
+    current.slice(kept.current.start, kept.current.end),
+    kept.current.text
+  );
+  assert.equal(kept.previous.start, 0);
+});
+
+test("an accent fix matches the earlier sentence as a modification", () => {
+  assert.deepEqual(
+    comparer
+      .align("Me gusta el café.", "Me gusta el cafe.")
+      .map((e) => [e.change, e.similarity]),
+    [["modified", 1]]
+  );
+});
+
+test("masked drafts match regardless of placeholder numbers", () => {
+  assert.deepEqual(
+    comparer
+      .align(
+        "Según [NOMBRE_1], la tesis es clara.",
+        "Según [NOMBRE_2], la tesis es clara."
+      )
+      .map((e) => e.change),
+    ["unchanged"]
+  );
+});
+
+test("compare diffs dimensions and fallacies and praises improvements", () => {
+  const result = comparer.compare(
+    {
+      text: "Creo que el uniforme debe ser opcional.",
+      analysis: {
+        content: { thesisClarity: 0.4 },
+        overall: { total: 0.5 },
+        fallacies: [
+          {
+            type: "ad_hominem",
+            name: "Ad hominem",
+            span: { start: 0, end: 18, text: "Juan es un idiota." },
+          },
+        ],
+      },
+    },
+    {
+      text: "Creo que el uniforme debe ser opcional porque según un estudio de 2020 reduce el estrés.",
+      analysis: {
+        content: { thesisClarity: 0.8 },
+        overall: { total: 0.52 },
+        fallacies: [],
+      },
+    }
+  );
+
+  assert.deepEqual(result.summary, {
+    unchanged: 0,
+    modified: 1,
+    moved: 0,
+    added: 0,
+    removed: 0,
+  });
+  assert.equal(result.dimensions.thesisClarity.trend, "improved");
+  assert.equal(result.dimensions.thesisClarity.delta, 0.4);
+  assert.equal(result.dimensions.overall.trend, "unchanged");
+  assert.deepEqual(
+    result.fallacies.resolved.map((f) => f.type),
+    ["ad_hominem"]
+  );
+  assert.deepEqual(
+    result.praise.map((p) => p.dimension),
+    ["thesisClarity", "fallacies"]
+  );
+});
@@ -0,0 +1,48 @@
+// Fallacy cues: reported on real fallacies, not on ordinary sentences
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const FallacyDetector = require("../fallacy-detector");
+
+const detector = new FallacyDetector();
+const typesOf = (text) => detector.detect(text).map((d) => d.type);
+
+test("generalizations about a group are hasty generalizations", () => {
+  const [detection] = detector.detect(
+    "Me gusta leer. Todos los políticos son corruptos."
+  );
+  assert.equal(detection.type, "hasty_generalization");
+  assert.deepEqual(detection.span, {
+    start: 15,
+    end: 49,
+    text: "Todos los políticos son corruptos.",
+  });
+});
+
+test("first-person habits and experiences are not generalizations", () => {
+  assert.deepEqual(
+    typesOf("Nunca he ido a Cartagena. Siempre estudio en la mañana."),
+    []
+  );
+});
+
+test("insulting the person argued against is ad hominem", () => {
+  assert.deepEqual(typesOf("No le creas al alcalde porque es un corrupto."), [
+    "ad_hominem",
+  ]);
+  assert.deepEqual(typesOf("Juan dice eso, pero es un idiota."), [
+    "ad_hominem",
+  ]);
+});
+
+test("a judgement about a group is not ad hominem", () => {
+  assert.deepEqual(typesOf("Los estudiantes son tontos cuando no leen."), []);
+  assert.deepEqual(typesOf("Todos los políticos son corruptos."), [
+    "hasty_generalization",
+  ]);
+});
+
+test("empty or non-string input has no detections", () => {
+  assert.deepEqual(detector.detect(""), []);
+  assert.deepEqual(detector.detect(null), []);
+});
@@ -0,0 +1,171 @@
+// Circuit breaker and fallback chain: retries, skipping and stream cleanup
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  LLMProvider,
+  ProviderError,
+  buildUsage,
+} = require("../providers/base-provider");
+const CircuitBreaker = require("../providers/circuit-breaker");
+const FallbackProvider = require("../providers/fallback-provider");
+
+// Provider that plays `script` in order: an Error is thrown, a string is
+// the reply; the last entry repeats
+class ScriptedProvider extends LLMProvider {
+  constructor(name, script) {
+    super(name, { model: `${name}-model` });
+    this.script = script;
+    this.calls = 0;
+  }
+
+  async chat() {
+    const step = this.script[Math.min(this.calls++, this.script.length - 1)];
+    if (step instanceof Error) throw step;
+    return this.buildResult(step, "stop", buildUsage(1, 1));
+  }
+}
+
+const unavailable = () => new ProviderError("unavailable", { status: 503 });
+const chain = (providers, config = {}) =>
+  new FallbackProvider(providers, { retryBaseMs: 1, ...config });
+
+test("the breaker opens after the threshold and lets one trial through", () => {
+  const breaker = new CircuitBreaker({ threshold: 2, cooldownMs: 0 });
+  breaker.recordFailure();
+  assert.equal(breaker.state, "closed");
+  breaker.recordFailure();
+  assert.equal(breaker.status().state, "open");
+
+  // Cooldown over: a single half-open trial at a time
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.state, "half-open");
+  assert.equal(breaker.canRequest(), false);
+
+  // A trial without a verdict frees the slot for the next call
+  breaker.release();
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordSuccess();
+  assert.deepEqual(breaker.status(), {
+    state: "closed",
+    failures: 0,
+    retryAt: null,
+  });
+});
+
+test("a failed half-open trial reopens the breaker", () => {
+  const breaker = new CircuitBreaker({ threshold: 1, cooldownMs: 60000 });
+  breaker.recordFailure();
+  assert.equal(breaker.canRequest(), false);
+  breaker.openedAt -= 60000;
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.state, "open");
+  assert.equal(breaker.canRequest(), false);
+});
+
+test("transient failures are retried on the same provider", async () => {
+  const primary = new ScriptedProvider("primary", [unavailable(), "hola"]);
+  const backup = new ScriptedProvider("backup", ["respaldo"]);
+  const result = await chain([primary, backup]).chat([]);
+
+  assert.equal(result.content, "hola");
+  assert.equal(result.provider, "primary");
+  assert.equal(primary.calls, 2);
+  assert.equal(backup.calls, 0);
+  assert.deepEqual(
+    result.attempts.map((a) => a.ok || a.status),
+    [503, true]
+  );
+});
+
+test("client errors and bugs go to the next provider without retries", async () => {
+  for (const error of [
+    new ProviderError("bad request", { status: 400 }),
+    new TypeError("cannot read properties of undefined"),
+  ]) {
+    const primary = new ScriptedProvider("primary", [error]);
+    const backup = new ScriptedProvider("backup", ["respaldo"]);
+    const fallback = chain([primary, backup]);
+    const result = await fallback.chat([]);
+
+    assert.equal(result.content, "respaldo");
+    assert.equal(primary.calls, 1);
+    // Not a sign of an unhealthy provider
+    assert.equal(fallback.status()[0].failures, 0);
+  }
+});
+
+test("an open breaker skips its provider", async () => {
+  const primary = new ScriptedProvider("primary", [unavailable()]);
+  const backup = new ScriptedProvider("backup", ["respaldo"]);
+  const fallback = chain([primary, backup], {
+    maxRetries: 0,
+    breakerThreshold: 1,
+  });
+
+  await fallback.chat([]);
+  assert.equal(fallback.status()[0].state, "open");
+
+  const result = await fallback.chat([]);
+  assert.equal(result.content, "respaldo");
+  assert.equal(primary.calls, 1);
+  assert.deepEqual(result.attempts[0], {
+    provider: "primary",
+    skipped: "circuit_open",
+  });
+});
+
+test("when every provider fails the last upstream error is thrown", async () => {
+  const fallback = chain(
+    [
+      new ScriptedProvider("primary", [unavailable()]),
+      new ScriptedProvider("backup", [
+        new ProviderError("rate limited", { status: 429 }),
+      ]),
+    ],
+    { maxRetries: 1 }
+  );
+
+  await assert.rejects(fallback.chat([]), (error) => {
+    assert.equal(error.status, 429);
+    assert.equal(error.attempts.length, 4);
+    return true;
+  });
+});
+
+test("stopping a stream early closes the upstream stream", async () => {
+  let closed = false;
+  const provider = new ScriptedProvider("primary", []);
+  provider.stream = async function* () {
+    try {
+      yield { type: "delta", content: "uno " };
+      yield { type: "delta", content: "dos " };
+      yield { type: "done", finishReason: "stop", usage: buildUsage(1, 2) };
+    } finally {
+      closed = true;
+    }
+  };
+
+  for await (const event of chain([provider]).stream([])) {
+    assert.deepEqual(event, { type: "delta", content: "uno " });
+    break;
+  }
+  assert.equal(closed, true);
+});
+
+test("a stream failing after the first delta counts against the breaker", async () => {
+  const provider = new ScriptedProvider("primary", []);
+  provider.stream = async function* () {
+    yield { type: "delta", content: "uno " };
+    throw unavailable();
+  };
+  const fallback = chain([provider], { breakerThreshold: 1 });
+
+  const received = [];
+  await assert.rejects(async () => {
+    for await (const event of fallback.stream([])) received.push(event);
+  }, /unavailable/);
+  assert.equal(received.length, 1);
+  assert.equal(fallback.status()[0].state, "open");
+});
@@ -0,0 +1,106 @@
+// PII redaction: masked values never reach the model and come back intact
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const PiiRedactor = require("../pii-redactor");
+
+const { RedactionSession } = PiiRedactor;
+
+const ROSTER = [
+  {
+    nombres: "Ana María",
+    apellidos: "Gómez Ruiz",
+    numero_documento: "1023456789",
+    celular: "3001234567",
+    correo: "ana@colegio.edu.co",
+    barrio: "Chapinero",
+  },
+];
+
+const sessionWithRoster = () =>
+  new RedactionSession(new PiiRedactor(null).rosterPatterns(ROSTER));
+
+test("redact masks every kind of personal data and restore undoes it", () => {
+  const session = sessionWithRoster();
+  const text =
+    "Soy Ana María Gómez Ruiz, mi cédula es 1.023.456.789, vivo en la Calle 45 # 12-30 del barrio La Candelaria y mi celular es 300 123 4567. Escríbeme a ana@colegio.edu.co.";
+
+  const redacted = session.redact(text);
+  assert.equal(
+    redacted,
+    "Soy [NOMBRE_1], mi cédula es [DOCUMENTO_1], vivo en la [DIRECCION_1] del barrio [BARRIO_1] y mi celular es [TELEFONO_1]. Escríbeme a [CORREO_1]."
+  );
+  assert.equal(session.restore(redacted), text);
+  assert.deepEqual(session.summary(), {
+    email: 1,
+    address: 1,
+    document: 1,
+    phone: 1,
+    neighbourhood: 1,
+    name: 1,
+  });
+});
+
+test("amounts and populations are not taken for ID numbers", () => {
+  const session = new RedactionSession();
+  const text = "Bogotá tiene 7.900.000 habitantes y costó 2.500.000 pesos.";
+  assert.equal(session.redact(text), text);
+  assert.equal(session.total, 0);
+});
+
+test("the same value keeps its placeholder within a session", () => {
+  const session = sessionWithRoster();
+  assert.equal(
+    session.redact("Ana María Gómez Ruiz y ana maría gómez ruiz"),
+    "[NOMBRE_1] y [NOMBRE_1]"
+  );
+});
+
+test("redactDeep and restoreDeep round-trip nested values", () => {
+  const session = sessionWithRoster();
+  const value = {
+    author: "Ana",
+    notes: ["escribe a ana@colegio.edu.co", { phone: "3001234567" }],
+    score: 3,
+  };
+  const redacted = session.redactDeep(value);
+  assert.deepEqual(redacted, {
+    author: "[NOMBRE_1]",
+    notes: ["escribe a [CORREO_1]", { phone: "[TELEFONO_1]" }],
+    score: 3,
+  });
+  assert.deepEqual(session.restoreDeep(redacted), value);
+});
+
+test("restoreSpans points spans back into the original text", () => {
+  const session = sessionWithRoster();
+  const original = "Hola, Ana María Gómez Ruiz opina que sí.";
+  const redacted = session.redact(original);
+  const start = redacted.indexOf("opina");
+  const restored = session.restoreSpans(
+    { span: { start, end: redacted.length, text: redacted.slice(start) } },
+    original
+  );
+  assert.deepEqual(restored.span, {
+    start: original.indexOf("opina"),
+    end: original.length,
+    text: "opina que sí.",
+  });
+});
+
+test("the stream restorer holds back placeholders split across chunks", () => {
+  const session = sessionWithRoster();
+  session.redact("Ana María Gómez Ruiz");
+  const restorer = session.createStreamRestorer();
+  assert.equal(restorer.push("Hola [NOM"), "Hola ");
+  assert.equal(
+    restorer.push("BRE_1], ¿qué tal?"),
+    "Ana María Gómez Ruiz, ¿qué tal?"
+  );
+  assert.equal(restorer.flush(), "");
+});
+
+test("createSession returns null when redaction is disabled", async () => {
+  const redactor = new PiiRedactor(null, { enabled: false });
+  assert.equal(await redactor.createSession({}), null);
+});
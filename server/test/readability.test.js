@@ -0,0 +1,74 @@
+// Readability formulas (Fernández Huerta, Szigriszt-Pazos, Crawford) and
+// grade checks
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ReadabilityAnalyzer = require("../readability");
+
+const analyzer = new ReadabilityAnalyzer();
+const { countSyllables } = ReadabilityAnalyzer;
+
+const DENSE =
+  "La consideración epistemológica de las responsabilidades institucionales contemporáneas exige interpretaciones extraordinariamente minuciosas y argumentaciones metodológicamente rigurosas, particularmente cuando las organizaciones gubernamentales latinoamericanas administran presupuestos comunitarios. ";
+
+test("countSyllables handles diphthongs, hiatus and silent u", () => {
+  for (const [word, expected] of [
+    ["casa", 2],
+    ["ciudad", 2],
+    ["poeta", 3],
+    ["país", 2],
+    ["aéreo", 4],
+    ["guitarra", 3],
+    ["que", 1],
+    ["pingüino", 3],
+    ["hoy", 1],
+  ]) {
+    assert.equal(countSyllables(word), expected, word);
+  }
+});
+
+test("measure applies the formulas per sentence and per 100 words", () => {
+  // 6 words, 10 syllables, 2 sentences
+  const metrics = analyzer.measure("El gato come. El perro duerme.");
+  assert.equal(metrics.words, 6);
+  assert.equal(metrics.syllables, 10);
+  assert.equal(metrics.sentences, 2);
+  assert.equal(metrics.wordsPerSentence, 3);
+  // 206.84 - 0.6 * 166.67 - 1.02 * 33.33
+  assert.equal(metrics.fernandezHuerta.score, 72.8);
+  // 206.835 - 62.3 * 1.667 - 3
+  assert.equal(metrics.szigrisztPazos.score, 100);
+  assert.equal(metrics.szigrisztPazos.inflesz, "muy fácil");
+  // Negative school years are reported as 0
+  assert.equal(metrics.crawford, 0);
+  assert.equal(metrics.reliable, false);
+});
+
+test("measure of an empty text is all zeros", () => {
+  const metrics = analyzer.measure("");
+  assert.equal(metrics.words, 0);
+  assert.equal(metrics.sentences, 0);
+  assert.equal(metrics.fernandezHuerta.score, 0);
+});
+
+test("checkGrade accepts simple text for the early grades", () => {
+  const check = analyzer.checkGrade(
+    "El gato come pescado. El perro duerme en casa.",
+    "3°"
+  );
+  assert.equal(check.grade, 3);
+  assert.equal(check.band, "1° a 3°");
+  assert.equal(check.fits, true);
+});
+
+test("checkGrade reports dense text for a low grade", () => {
+  const check = analyzer.checkGrade(DENSE.repeat(2), 2);
+  assert.equal(check.fits, false);
+  assert.equal(check.readability.reliable, true);
+  assert.equal(check.issues.length, 4);
+  assert.match(check.issues[0], /^Lectura muy difícil para 2°/);
+});
+
+test("checkGrade returns null for an unknown grade", () => {
+  assert.equal(analyzer.checkGrade("Texto.", "sin grado"), null);
+});
@@ -0,0 +1,76 @@
+// Rubric validation and normalization
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeRubric } = require("../rubric-repo");
+
+const levels = [
+  { score: 3, label: "Logrado", descriptor: " Tesis clara " },
+  { score: 1, label: "Inicial" },
+];
+
+test("normalizeRubric fills ids, scales weights and sorts levels", () => {
+  const rubric = normalizeRubric({
+    name: "  Ensayo  ",
+    criteria: [
+      { name: "Tesis", weight: 3, dimension: "content", levels },
+      { name: "Estructura", levels },
+    ],
+  });
+
+  assert.equal(rubric.name, "Ensayo");
+  assert.equal(rubric.description, "");
+  assert.deepEqual(
+    rubric.criteria.map(({ id, weight, dimension }) => ({
+      id,
+      weight,
+      dimension,
+    })),
+    [
+      { id: "c1", weight: 0.75, dimension: "content" },
+      { id: "c2", weight: 0.25, dimension: null },
+    ]
+  );
+  assert.deepEqual(rubric.criteria[0].levels, [
+    { score: 1, label: "Inicial", descriptor: "" },
+    { score: 3, label: "Logrado", descriptor: "Tesis clara" },
+  ]);
+});
+
+test("normalizeRubric rejects invalid rubrics", () => {
+  const criterion = { name: "Tesis", levels };
+  for (const [input, message] of [
+    [null, /rubric must be an object/],
+    [{ criteria: [criterion] }, /name is required/],
+    [{ name: "R", criteria: [] }, /criteria must be a non-empty array/],
+    [
+      { name: "R", criteria: [criterion, { ...criterion, id: "c1" }] },
+      /duplicate id "c1"/,
+    ],
+    [
+      { name: "R", criteria: [{ ...criterion, weight: -1 }] },
+      /weight must be a non-negative number/,
+    ],
+    [
+      { name: "R", criteria: [{ ...criterion, dimension: "spelling" }] },
+      /dimension "spelling" is unknown/,
+    ],
+    [
+      { name: "R", criteria: [{ ...criterion, levels: [levels[0]] }] },
+      /at least 2 levels/,
+    ],
+    [
+      {
+        name: "R",
+        criteria: [{ ...criterion, levels: [levels[0], levels[0]] }],
+      },
+      /different scores/,
+    ],
+    [
+      { name: "R", criteria: [{ ...criterion, weight: 0 }] },
+      /at least one weight must be positive/,
+    ],
+  ]) {
+    assert.throws(() => normalizeRubric(input), message);
+  }
+});
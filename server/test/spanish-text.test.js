@@ -0,0 +1,55 @@
+// Spanish text helpers: stemming, term search and sentence splitting
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { fold, stem, findTerms, sentences } = require("../spanish-text");
+
+const sentenceTexts = (text) =>
+  sentences(text).map(({ start, end }) => text.slice(start, end));
+
+test("fold lowercases and strips accents", () => {
+  assert.equal(fold("Canción"), "cancion");
+});
+
+test("stem gives every form of a verb the same stem", () => {
+  for (const [forms, expected] of [
+    [["analizar", "analicé", "analizando"], "analiz"],
+    [["buscar", "busqué"], "busz"],
+    [["llegar", "llegué"], "lleg"],
+  ]) {
+    for (const form of forms) assert.equal(stem(form), expected, form);
+  }
+  assert.equal(stem("imágenes"), "imag");
+});
+
+test("findTerms matches by stem only when asked to", () => {
+  const text = "Analicé el texto y sigo analizando.";
+  assert.deepEqual(findTerms(text, ["analizar"]), []);
+  assert.deepEqual(
+    findTerms(text, ["analizar"], { stem: true }).map((m) => m.text),
+    ["Analicé", "analizando"]
+  );
+});
+
+test("sentences split on terminators, questions and line breaks", () => {
+  assert.deepEqual(sentenceTexts("Llegó. ¿Vino? ¡Sí!\nOtra línea"), [
+    "Llegó.",
+    "¿Vino?",
+    "¡Sí!",
+    "Otra línea",
+  ]);
+});
+
+test("sentences do not end at titles or mid-sentence abbreviations", () => {
+  assert.deepEqual(
+    sentenceTexts(
+      "El Sr. Pérez llegó. Trajo libros, cuadernos, etc. y lápices."
+    ),
+    ["El Sr. Pérez llegó.", "Trajo libros, cuadernos, etc. y lápices."]
+  );
+});
+
+test("sentence offsets skip surrounding spaces", () => {
+  assert.deepEqual(sentences("  Hola.  "), [{ start: 2, end: 7 }]);
+  assert.deepEqual(sentences(""), []);
+});
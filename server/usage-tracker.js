@@ -0,0 +1,329 @@
+// LLM usage accounting and token quotas
+// Every completion is recorded in `uso_llm` (tokens, model, latency) against the
+// student, class and institution; quotas come from `cuotas_llm` or QUOTA_* env vars
+// Uses: QUOTA_STUDENT_DAILY_TOKENS, QUOTA_STUDENT_MONTHLY_TOKENS,
+//       QUOTA_CLASS_DAILY_TOKENS, QUOTA_CLASS_MONTHLY_TOKENS,
+//       QUOTA_INSTITUTION_DAILY_TOKENS, QUOTA_INSTITUTION_MONTHLY_TOKENS,
+//       QUOTA_ANONYMOUS_DAILY_TOKENS (per client IP, per server instance)
+
+const SCOPES = {
+  student: { column: "id_estudiante", dbScope: "estudiante", env: "STUDENT" },
+  class: { column: "id_clase", dbScope: "clase", env: "CLASS" },
+  institution: {
+    column: "id_institucion",
+    dbScope: "institucion",
+    env: "INSTITUTION",
+  },
+};
+
+const GROUP_COLUMNS = {
+  student: "id_estudiante",
+  class: "id_clase",
+  institution: "id_institucion",
+  model: "modelo",
+  provider: "proveedor",
+  prompt: "id_version_prompt",
+};
+
+// Rough token estimate (~4 characters per token) when a provider omits usage
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function startOfDay(now = new Date()) {
+  return new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  );
+}
+
+function startOfMonth(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+function periodWindow(period, now = new Date()) {
+  if (period === "daily") {
+    const start = startOfDay(now);
+    return { start, resetAt: new Date(start.getTime() + 24 * 3600 * 1000) };
+  }
+  const start = startOfMonth(now);
+  return {
+    start,
+    resetAt: new Date(
+      Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)
+    ),
+  };
+}
+
+const envLimit = (key) => {
+  const value = Number(process.env[key]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+class UsageTracker {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.institutionCache = new Map();
+    this.anonymousUsage = new Map();
+  }
+
+  // Normalize provider usage, estimating when the provider did not report it
+  normalizeUsage(usage, messages, content) {
+    if (usage && (usage.promptTokens || usage.completionTokens)) {
+      return { ...usage, estimated: false };
+    }
+    const promptTokens = (messages || []).reduce(
+      (sum, m) => sum + estimateTokens(m.content),
+      0
+    );
+    const completionTokens = estimateTokens(content);
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated: true,
+    };
+  }
+
+  // Institution of a student (or of a class through its course), cached
+  async resolveInstitution(studentId, classId) {
+    if (!this.supabase) return null;
+    const key = studentId ? `s:${studentId}` : classId ? `c:${classId}` : null;
+    if (!key) return null;
+    if (this.institutionCache.has(key)) return this.institutionCache.get(key);
+
+    let institutionId = null;
+    if (studentId) {
+      const { data } = await this.supabase
+        .from("estudiantes")
+        .select("id_institucion")
+        .eq("id_estudiante", studentId)
+        .maybeSingle();
+      institutionId = data?.id_institucion || null;
+    } else {
+      const { data: clase } = await this.supabase
+        .from("clases")
+        .select("id_curso")
+        .eq("id_clase", classId)
+        .maybeSingle();
+      if (clase?.id_curso) {
+        const { data: curso } = await this.supabase
+          .from("cursos")
+          .select("id_institucion")
+          .eq("id_curso", clase.id_curso)
+          .maybeSingle();
+        institutionId = curso?.id_institucion || null;
+      }
+    }
+
+    this.institutionCache.set(key, institutionId);
+    return institutionId;
+  }
+
+  // Configured limits for a scope: DB row first, then env defaults
+  async getLimits(scope, scopeId) {
+    const { dbScope, env } = SCOPES[scope];
+    const limits = {
+      daily: envLimit(`QUOTA_${env}_DAILY_TOKENS`),
+      monthly: envLimit(`QUOTA_${env}_MONTHLY_TOKENS`),
+    };
+    if (!this.supabase) return limits;
+
+    const { data, error } = await this.supabase
+      .from("cuotas_llm")
+      .select("tokens_diarios, tokens_mensuales")
+      .eq("ambito", dbScope)
+      .eq("id_ambito", scopeId)
+      .maybeSingle();
+    if (error) {
+      console.error("[usage] quota lookup error:", error);
+      return limits;
+    }
+    if (data) {
+      limits.daily = data.tokens_diarios ?? limits.daily;
+      limits.monthly = data.tokens_mensuales ?? limits.monthly;
+    }
+    return limits;
+  }
+
+  // Summed in the database (`tokens_usados_desde`): selecting the rows would
+  // stop at the API row limit and under-count busy classes and institutions
+  async tokensUsedSince(scope, scopeId, since) {
+    const { data, error } = await this.supabase.rpc("tokens_usados_desde", {
+      p_ambito: SCOPES[scope].dbScope,
+      p_id_ambito: scopeId,
+      p_desde: since.toISOString(),
+    });
+    if (error) throw new Error(`usage lookup: ${error.message || error}`);
+    return Number(data) || 0;
+  }
+
+  // Check every applicable quota; returns { allowed } or the first exceeded one
+  async checkQuota({ studentId, classId, institutionId, clientKey }) {
+    if (!studentId && !classId && !institutionId) {
+      return this.checkAnonymousQuota(clientKey);
+    }
+    if (!this.supabase) return { allowed: true };
+
+    const scopes = [
+      ["student", studentId],
+      ["class", classId],
+      ["institution", institutionId],
+    ].filter(([, id]) => id);
+
+    for (const [scope, scopeId] of scopes) {
+      const limits = await this.getLimits(scope, scopeId);
+      for (const period of ["daily", "monthly"]) {
+        const limit = limits[period];
+        if (!limit) continue;
+        const { start, resetAt } = periodWindow(period);
+        const used = await this.tokensUsedSince(scope, scopeId, start);
+        if (used >= limit) {
+          return {
+            allowed: false,
+            scope,
+            scopeId,
+            period,
+            limit,
+            used,
+            resetAt: resetAt.toISOString(),
+          };
+        }
+      }
+    }
+    return { allowed: true };
+  }
+
+  checkAnonymousQuota(clientKey) {
+    const limit = envLimit("QUOTA_ANONYMOUS_DAILY_TOKENS");
+    if (!limit || !clientKey) return { allowed: true };
+    const { start, resetAt } = periodWindow("daily");
+    const entry = this.anonymousUsage.get(clientKey);
+    const used = entry && entry.day === start.getTime() ? entry.tokens : 0;
+    if (used >= limit) {
+      return {
+        allowed: false,
+        scope: "anonymous",
+        scopeId: clientKey,
+        period: "daily",
+        limit,
+        used,
+        resetAt: resetAt.toISOString(),
+      };
+    }
+    return { allowed: true };
+  }
+
+  // Persist one completion; failures are logged and never break the chat
+  async record({
+    studentId,
+    classId,
+    institutionId,
+    conversationId,
+    clientKey,
+    route,
+    provider,
+    model,
+    promptVersionId,
+    usage,
+    latencyMs,
+  }) {
+    const totalTokens = usage?.totalTokens || 0;
+
+    if (!studentId && !classId && !institutionId && clientKey) {
+      const day = startOfDay().getTime();
+      const entry = this.anonymousUsage.get(clientKey);
+      const tokens = entry && entry.day === day ? entry.tokens : 0;
+      this.anonymousUsage.set(clientKey, { day, tokens: tokens + totalTokens });
+    }
+
+    if (!this.supabase) return;
+    const { error } = await this.supabase.from("uso_llm").insert({
+      id_estudiante: studentId || null,
+      id_clase: classId || null,
+      id_institucion: institutionId || null,
+      id_conversacion: conversationId || null,
+      ruta: route,
+      proveedor: provider || null,
+      modelo: model || null,
+      id_version_prompt: promptVersionId || null,
+      prompt_tokens: usage?.promptTokens || 0,
+      completion_tokens: usage?.completionTokens || 0,
+      total_tokens: totalTokens,
+      estimado: Boolean(usage?.estimated),
+      latencia_ms: Math.round(latencyMs || 0),
+    });
+    if (error) {
+      console.error("[usage] record error:", error);
+    }
+  }
+
+  async setQuota(scope, scopeId, { dailyTokens, monthlyTokens }) {
+    const { error } = await this.supabase.from("cuotas_llm").upsert(
+      {
+        ambito: SCOPES[scope].dbScope,
+        id_ambito: scopeId,
+        tokens_diarios: dailyTokens ?? null,
+        tokens_mensuales: monthlyTokens ?? null,
+      },
+      { onConflict: "ambito,id_ambito" }
+    );
+    if (error) throw new Error(`set quota: ${error.message || error}`);
+  }
+
+  // Aggregate usage between two dates, grouped by student/class/institution/
+  // model/provider or prompt version
+  async report({ from, to, groupBy = "student", filters = {} }) {
+    const groupColumn = GROUP_COLUMNS[groupBy];
+    if (!groupColumn) {
+      throw new Error(
+        `Invalid groupBy "${groupBy}". Use: ${Object.keys(GROUP_COLUMNS).join(
+          ", "
+        )}`
+      );
+    }
+
+    // Aggregated in the database (`reporte_uso_llm`), not row by row
+    const filterParams = {};
+    for (const [scope, value] of Object.entries(filters)) {
+      if (value && SCOPES[scope]) {
+        filterParams[`p_${SCOPES[scope].column}`] = value;
+      }
+    }
+    const { data, error } = await this.supabase.rpc("reporte_uso_llm", {
+      p_desde: from.toISOString(),
+      p_hasta: to.toISOString(),
+      p_agrupar: groupColumn,
+      ...filterParams,
+    });
+    if (error) throw new Error(`usage report: ${error.message || error}`);
+
+    const rows = (data || [])
+      .map((row) => ({
+        key: row.clave,
+        requests: Number(row.solicitudes) || 0,
+        promptTokens: Number(row.prompt_tokens) || 0,
+        completionTokens: Number(row.completion_tokens) || 0,
+        totalTokens: Number(row.total_tokens) || 0,
+        averageLatencyMs: Number(row.latencia_promedio_ms) || 0,
+      }))
+      .sort((a, b) => b.totalTokens - a.totalTokens);
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      groupBy,
+      totals: rows.reduce(
+        (acc, r) => ({
+          requests: acc.requests + r.requests,
+          totalTokens: acc.totalTokens + r.totalTokens,
+        }),
+        { requests: 0, totalTokens: 0 }
+      ),
+      rows,
+    };
+  }
+}
+
+UsageTracker.SCOPES = Object.keys(SCOPES);
+
+module.exports = UsageTracker;
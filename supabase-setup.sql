@@ -16,6 +16,7 @@ DROP TABLE IF EXISTS retroalimentaciones CASCADE;
 DROP TABLE IF EXISTS evaluaciones CASCADE;
 DROP TABLE IF EXISTS entregas CASCADE;
 DROP TABLE IF EXISTS sesiones CASCADE;
+DROP TABLE IF EXISTS rubricas CASCADE;
 DROP TABLE IF EXISTS actividades CASCADE;
 DROP TABLE IF EXISTS clases CASCADE;
 DROP TABLE IF EXISTS estudiante_necesidad CASCADE;
@@ -25,6 +26,15 @@ DROP TABLE IF EXISTS docentes CASCADE;
 DROP TABLE IF EXISTS cursos CASCADE;
 DROP TABLE IF EXISTS instituciones CASCADE;
 DROP TABLE IF EXISTS interacciones_ia CASCADE;
+DROP TABLE IF EXISTS conversaciones CASCADE;
+DROP TABLE IF EXISTS infracciones_tareas CASCADE;
+DROP TABLE IF EXISTS uso_llm CASCADE;
+DROP TABLE IF EXISTS cuotas_llm CASCADE;
+DROP TABLE IF EXISTS politicas_chat_clase CASCADE;
+DROP TABLE IF EXISTS plantillas_prompt CASCADE;
+DROP TABLE IF EXISTS redacciones_pii CASCADE;
+DROP TABLE IF EXISTS pesos_rubrica CASCADE;
+DROP TABLE IF EXISTS analisis_argumentos CASCADE;
 
 -- ============================================================================
 -- Tablas base (UUID PKs)
@@ -113,6 +123,17 @@ CREATE TABLE actividades (
   complejidad           VARCHAR(10) NOT NULL
 );
 
+-- Rúbricas definidas por el docente para una actividad
+CREATE TABLE rubricas (
+  id_rubrica            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  id_actividad          UUID NOT NULL REFERENCES actividades(id_actividad) ON DELETE CASCADE,
+  nombre                VARCHAR(120) NOT NULL,
+  descripcion           TEXT NULL,
+  criterios             JSONB NOT NULL, -- [{id, name, description, weight, dimension, levels:[{score, label, descriptor}]}]
+  creado_en             TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actualizado_en        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
 CREATE TABLE sesiones (
   id_sesion             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   rol                   VARCHAR(15) NOT NULL, -- Estudiante/Docente
@@ -145,13 +166,17 @@ CREATE TABLE evaluaciones (
   creatividad_score     DECIMAL(3,1) NOT NULL,
   rubrica_total         DECIMAL(3,1) NOT NULL,
   nivel_desempeno       VARCHAR(15) NOT NULL,
-  retroalimentacion_resumen VARCHAR(250) NOT NULL
+  retroalimentacion_resumen VARCHAR(250) NOT NULL,
+  id_rubrica            UUID NULL REFERENCES rubricas(id_rubrica) ON DELETE SET NULL,
+  resultados_criterios  JSONB NULL,     -- [{criterionId, level, score, justification, nextStep}]
+  justificacion         TEXT NULL
 );
 
 CREATE TABLE retroalimentaciones (
   id_retro              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   id_evaluacion         UUID NOT NULL REFERENCES evaluaciones(id_evaluacion) ON DELETE CASCADE,
   tipo                  VARCHAR(15) NOT NULL, -- Automática/Docente
+  criterio              VARCHAR(80) NULL,     -- id del criterio de la rúbrica
   sugerencia            VARCHAR(250) NOT NULL,
   accion_recomendada    VARCHAR(150) NOT NULL
 );
@@ -185,16 +210,146 @@ CREATE TABLE recursos_generados (
   url_recurso           VARCHAR(200) NOT NULL
 );
 
+-- ============================================================================
+-- Hilos de conversación del chat (historial en el servidor)
+-- ============================================================================
+CREATE TABLE conversaciones (
+  id_conversacion       UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  id_estudiante         UUID NOT NULL REFERENCES estudiantes(id_estudiante) ON DELETE CASCADE,
+  id_actividad          UUID NULL REFERENCES actividades(id_actividad) ON DELETE SET NULL,
+  titulo                VARCHAR(150) NULL,
+  estado                VARCHAR(15) NOT NULL DEFAULT 'activa', -- activa|archivada
+  tesis                 TEXT NULL,        -- tesis del estudiante, fijada en el contexto del chat
+  resumen               TEXT NULL,        -- resumen acumulado de los turnos antiguos
+  resumen_hasta         TIMESTAMPTZ NULL, -- fecha_hora del último turno incluido en el resumen
+  creado_en             TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actualizado_en        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Plantillas de prompt versionadas por rol (una versión activa por nombre)
+-- ============================================================================
+CREATE TABLE plantillas_prompt (
+  id_version            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  nombre                VARCHAR(40) NOT NULL, -- student_tutor|teacher_assistant|evaluator
+  version               INT NOT NULL,
+  contenido             TEXT NOT NULL,        -- variables: {{topic}} {{learningStyle}} {{grade}} {{language}}
+  descripcion           VARCHAR(200) NULL,
+  activa                BOOLEAN NOT NULL DEFAULT FALSE,
+  creado_en             TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  activado_en           TIMESTAMPTZ NULL,
+  UNIQUE (nombre, version)
+);
+
 -- ============================================================================
 -- Tabla adicional: INTERACCIONES_IA
 -- ============================================================================
 CREATE TABLE interacciones_ia (
   id_interaccion        UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   id_estudiante         UUID NULL REFERENCES estudiantes(id_estudiante) ON DELETE SET NULL,
+  id_conversacion       UUID NULL REFERENCES conversaciones(id_conversacion) ON DELETE CASCADE,
   rol                   VARCHAR(20) NOT NULL, -- 'Estudiante' o 'AgenteIA'
   mensaje               TEXT NOT NULL,
   fecha_hora            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-  estilo_aprendizaje    VARCHAR(50) NULL
+  estilo_aprendizaje    VARCHAR(50) NULL,
+  id_version_prompt     UUID NULL REFERENCES plantillas_prompt(id_version) ON DELETE SET NULL -- NULL = plantilla integrada
+);
+
+-- ============================================================================
+-- Política anti-tareas del chat por clase e infracciones registradas
+-- ============================================================================
+CREATE TABLE politicas_chat_clase (
+  id_clase              UUID PRIMARY KEY REFERENCES clases(id_clase) ON DELETE CASCADE,
+  politica_tareas       VARCHAR(10) NOT NULL DEFAULT 'guided', -- strict|guided|open
+  actualizado_en        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE infracciones_tareas (
+  id_infraccion         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  id_estudiante         UUID NULL REFERENCES estudiantes(id_estudiante) ON DELETE SET NULL,
+  id_clase              UUID NULL REFERENCES clases(id_clase) ON DELETE CASCADE,
+  id_conversacion       UUID NULL REFERENCES conversaciones(id_conversacion) ON DELETE SET NULL,
+  etapa                 VARCHAR(10) NOT NULL, -- request|response
+  politica              VARCHAR(10) NOT NULL,
+  accion                VARCHAR(10) NOT NULL, -- blocked|guided|replaced|allowed
+  motivos               JSONB NOT NULL DEFAULT '[]'::jsonb,
+  mensaje               TEXT NOT NULL,
+  creado_en             TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Consumo de tokens LLM y cuotas por estudiante, clase e institución
+-- ============================================================================
+CREATE TABLE uso_llm (
+  id_uso                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  id_estudiante         UUID NULL REFERENCES estudiantes(id_estudiante) ON DELETE SET NULL,
+  id_clase              UUID NULL REFERENCES clases(id_clase) ON DELETE SET NULL,
+  id_institucion        UUID NULL REFERENCES instituciones(id_institucion) ON DELETE SET NULL,
+  id_conversacion       UUID NULL REFERENCES conversaciones(id_conversacion) ON DELETE SET NULL,
+  ruta                  VARCHAR(60) NOT NULL, -- chat|...
+  proveedor             VARCHAR(40) NULL,
+  modelo                VARCHAR(120) NULL,
+  id_version_prompt     UUID NULL REFERENCES plantillas_prompt(id_version) ON DELETE SET NULL,
+  prompt_tokens         INT NOT NULL DEFAULT 0,
+  completion_tokens     INT NOT NULL DEFAULT 0,
+  total_tokens          INT NOT NULL DEFAULT 0,
+  estimado              BOOLEAN NOT NULL DEFAULT FALSE, -- tokens estimados si el proveedor no los reporta
+  latencia_ms           INT NOT NULL DEFAULT 0,
+  creado_en             TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE cuotas_llm (
+  id_cuota              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ambito                VARCHAR(15) NOT NULL, -- estudiante|clase|institucion
+  id_ambito             UUID NOT NULL,
+  tokens_diarios        INT NULL,
+  tokens_mensuales      INT NULL,
+  UNIQUE (ambito, id_ambito)
+);
+
+-- ============================================================================
+-- Pesos de la rúbrica del análisis de argumentos por clase o actividad
+-- ============================================================================
+CREATE TABLE pesos_rubrica (
+  id_pesos              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ambito                VARCHAR(10) NOT NULL, -- clase|actividad
+  id_ambito             UUID NOT NULL,
+  pesos                 JSONB NOT NULL,       -- {"structure":0.2,"evidence":0.3,...} (suman 1)
+  actualizado_en        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (ambito, id_ambito)
+);
+
+-- ============================================================================
+-- Historial de análisis de argumentos (seguimiento del progreso)
+-- ============================================================================
+CREATE TABLE analisis_argumentos (
+  id_analisis           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  id_sesion             VARCHAR(80) NULL,     -- sessionId del cliente
+  id_estudiante         UUID NULL REFERENCES estudiantes(id_estudiante) ON DELETE CASCADE,
+  id_clase              UUID NULL REFERENCES clases(id_clase) ON DELETE SET NULL,
+  id_actividad          UUID NULL REFERENCES actividades(id_actividad) ON DELETE SET NULL,
+  texto                 TEXT NULL,            -- texto analizado (con datos personales enmascarados)
+  analisis              JSONB NOT NULL,
+  retroalimentacion     JSONB NOT NULL DEFAULT '[]'::jsonb,
+  puntaje_total         DECIMAL(5,4) NOT NULL DEFAULT 0, -- 0-1 ponderado
+  rubrica_total         DECIMAL(3,1) NULL,               -- 0-5
+  motor                 VARCHAR(10) NULL,                -- llm|heuristic|mixed
+  creado_en             TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Datos personales enmascarados antes de enviar texto a un proveedor LLM
+-- (solo conteos por tipo, nunca los valores)
+-- ============================================================================
+CREATE TABLE redacciones_pii (
+  id_redaccion          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  id_estudiante         UUID NULL REFERENCES estudiantes(id_estudiante) ON DELETE SET NULL,
+  id_clase              UUID NULL REFERENCES clases(id_clase) ON DELETE SET NULL,
+  id_conversacion       UUID NULL REFERENCES conversaciones(id_conversacion) ON DELETE SET NULL,
+  ruta                  VARCHAR(60) NOT NULL, -- chat|analyze_argument
+  tipos                 JSONB NOT NULL,       -- {"name":2,"phone":1,...}
+  total                 INT NOT NULL,
+  creado_en             TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
 -- ============================================================================
@@ -240,6 +395,19 @@ CREATE TABLE micro_retros (
   habilidad_objetivo VARCHAR(40) NULL,  -- inferencia|síntesis|argumento|...
   pista TEXT NULL,                      -- ayudas graduales
   criterio_aceptacion TEXT NULL,        -- qué valida que supere el reto (rubrica breve)
+  detalle JSONB NULL,                   -- {type, fallacyType, span, counterargument, thesis, priority, estimatedTime, hints}
+  estado VARCHAR(12) NOT NULL DEFAULT 'pendiente', -- pendiente|superado|reintentar
+  pistas_usadas INT NOT NULL DEFAULT 0, -- niveles de pista ya entregados
+  creado_en TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Cada pista entregada de la escalera de un micro-reto (1 empujón,
+-- 2 pregunta guía, 3 ejemplo parcial resuelto)
+CREATE TABLE pistas_solicitadas (
+  id_solicitud UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  id_reto UUID NOT NULL REFERENCES micro_retros(id_reto) ON DELETE CASCADE,
+  id_estudiante UUID NOT NULL REFERENCES estudiantes(id_estudiante) ON DELETE CASCADE,
+  nivel INT NOT NULL,
   creado_en TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
@@ -262,6 +430,7 @@ CREATE INDEX idx_cursos_inst              ON cursos(id_institucion);
 CREATE INDEX idx_clases_curso             ON clases(id_curso);
 CREATE INDEX idx_clases_docente           ON clases(id_docente);
 CREATE INDEX idx_actividades_clase        ON actividades(id_clase);
+CREATE INDEX idx_rubricas_actividad       ON rubricas(id_actividad);
 CREATE INDEX idx_entregas_actividad       ON entregas(id_actividad);
 CREATE INDEX idx_entregas_estudiante      ON entregas(id_estudiante);
 CREATE INDEX idx_eval_entrega             ON evaluaciones(id_entrega);
@@ -270,9 +439,21 @@ CREATE INDEX idx_fuentes_entrega          ON fuentes_externas(id_entrega);
 CREATE INDEX idx_conf_docente             ON configuraciones_docente(id_docente);
 CREATE INDEX idx_rec_conf                 ON recursos_generados(id_conf);
 CREATE INDEX idx_interacciones_estudiante ON interacciones_ia(id_estudiante);
+CREATE INDEX idx_interacciones_conversacion ON interacciones_ia(id_conversacion, fecha_hora);
+CREATE INDEX idx_conversaciones_estudiante ON conversaciones(id_estudiante, actualizado_en);
+CREATE INDEX idx_infracciones_clase ON infracciones_tareas(id_clase, creado_en);
+CREATE INDEX idx_uso_llm_estudiante ON uso_llm(id_estudiante, creado_en);
+CREATE INDEX idx_uso_llm_clase ON uso_llm(id_clase, creado_en);
+CREATE INDEX idx_uso_llm_institucion ON uso_llm(id_institucion, creado_en);
+CREATE INDEX idx_redacciones_pii_clase ON redacciones_pii(id_clase, creado_en);
+CREATE INDEX idx_analisis_estudiante ON analisis_argumentos(id_estudiante, creado_en);
+CREATE INDEX idx_analisis_actividad ON analisis_argumentos(id_actividad, creado_en);
+CREATE INDEX idx_analisis_sesion ON analisis_argumentos(id_sesion, creado_en);
+CREATE UNIQUE INDEX idx_plantillas_prompt_activa ON plantillas_prompt(nombre) WHERE activa;
 CREATE INDEX idx_plan_guiado_act_est ON plan_guiado(id_actividad, id_estudiante);
 CREATE INDEX idx_pasos_plan_plan_orden ON pasos_plan(id_plan, orden);
 CREATE INDEX idx_retos_paso ON micro_retros(id_paso);
+CREATE INDEX idx_pistas_reto ON pistas_solicitadas(id_reto, creado_en);
 CREATE INDEX idx_respuestas_estudiante ON respuestas_estudiante(id_estudiante, creado_en);
 
 -- ============================================================================
@@ -314,6 +495,59 @@ BEGIN
   RETURN v_plan;
 END $$;
 
+-- ============================================================================
+-- Funciones de consumo LLM: totales agregados en la base de datos (una
+-- consulta de filas se corta en el límite de filas de la API)
+-- ============================================================================
+-- Tokens usados por un estudiante, clase o institución desde una fecha
+CREATE OR REPLACE FUNCTION tokens_usados_desde(p_ambito VARCHAR, p_id_ambito UUID,
+                                               p_desde TIMESTAMPTZ)
+RETURNS BIGINT LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(SUM(total_tokens), 0)::BIGINT
+  FROM uso_llm
+  WHERE creado_en >= p_desde
+    AND CASE p_ambito
+          WHEN 'estudiante' THEN id_estudiante = p_id_ambito
+          WHEN 'clase' THEN id_clase = p_id_ambito
+          WHEN 'institucion' THEN id_institucion = p_id_ambito
+          ELSE FALSE
+        END;
+$$;
+
+-- Reporte de consumo entre dos fechas agrupado por una columna de uso_llm
+-- (id_estudiante, id_clase, id_institucion, modelo, proveedor o
+-- id_version_prompt), con filtros opcionales por estudiante, clase e institución
+CREATE OR REPLACE FUNCTION reporte_uso_llm(p_desde TIMESTAMPTZ, p_hasta TIMESTAMPTZ,
+                                           p_agrupar VARCHAR,
+                                           p_id_estudiante UUID DEFAULT NULL,
+                                           p_id_clase UUID DEFAULT NULL,
+                                           p_id_institucion UUID DEFAULT NULL)
+RETURNS TABLE (clave TEXT, solicitudes BIGINT, prompt_tokens BIGINT,
+               completion_tokens BIGINT, total_tokens BIGINT,
+               latencia_promedio_ms INT)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    COALESCE(CASE p_agrupar
+               WHEN 'id_estudiante' THEN u.id_estudiante::TEXT
+               WHEN 'id_clase' THEN u.id_clase::TEXT
+               WHEN 'id_institucion' THEN u.id_institucion::TEXT
+               WHEN 'modelo' THEN u.modelo
+               WHEN 'proveedor' THEN u.proveedor
+               WHEN 'id_version_prompt' THEN u.id_version_prompt::TEXT
+             END, 'sin_asignar') AS clave,
+    COUNT(*)::BIGINT,
+    COALESCE(SUM(u.prompt_tokens), 0)::BIGINT,
+    COALESCE(SUM(u.completion_tokens), 0)::BIGINT,
+    COALESCE(SUM(u.total_tokens), 0)::BIGINT,
+    COALESCE(ROUND(AVG(u.latencia_ms)), 0)::INT
+  FROM uso_llm u
+  WHERE u.creado_en >= p_desde AND u.creado_en < p_hasta
+    AND (p_id_estudiante IS NULL OR u.id_estudiante = p_id_estudiante)
+    AND (p_id_clase IS NULL OR u.id_clase = p_id_clase)
+    AND (p_id_institucion IS NULL OR u.id_institucion = p_id_institucion)
+  GROUP BY 1;
+$$;
+
 -- ============================================================================
 -- Datos de ejemplo para testing
 -- ============================================================================